@@ -0,0 +1,46 @@
+const { logger, redactString } = require("./logger");
+
+/**
+ * Outbound alerts for problems nobody would otherwise see until calls stop showing up in Forth.
+ * POSTs { text, alert, status: "firing" | "resolved", ...fields } to url: Slack incoming webhooks show text,
+ * anything else (an email relay, a pager) gets the fields too. Without url alerts are only logged.
+ * fire() sends a key at most once per repeatMs; resolve() sends only for a key that fired, then forgets it.
+ */
+function createAlerter({ url, httpClient, repeatMs = 60 * 60 * 1000, timeoutMs = 10000, log = logger.child({ component: "alerts" }) }) {
+  const firing = new Map();
+
+  async function post(key, status, text, fields) {
+    if (!url) return false;
+    try {
+      const r = await httpClient.fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ text, alert: key, status, ...fields }),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      if (!r.ok) throw new Error("HTTP " + r.status);
+      return true;
+    } catch (e) {
+      log.error("alert delivery failed", { alert: key, error: redactString(e?.message ?? String(e)) });
+      return false;
+    }
+  }
+
+  async function fire(key, text, fields = {}) {
+    const last = firing.get(key);
+    if (last != null && Date.now() - last < repeatMs) return false;
+    firing.set(key, Date.now());
+    log.error("alert firing", { alert: key, text, ...fields });
+    return post(key, "firing", text, fields);
+  }
+
+  async function resolve(key, text, fields = {}) {
+    if (!firing.delete(key)) return false;
+    log.info("alert resolved", { alert: key, text, ...fields });
+    return post(key, "resolved", text, fields);
+  }
+
+  return { fire, resolve, enabled: Boolean(url), firing: () => [...firing.keys()] };
+}
+
+module.exports = { createAlerter };
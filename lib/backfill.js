@@ -0,0 +1,125 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { readJsonFile, writeJsonFile } = require("./jsonFile");
+const { logger } = require("./logger");
+
+const log = logger.child({ component: "backfill" });
+
+/**
+ * Backfill runner: pages through a time range and hands each log entry to processEntry.
+ * Progress is checkpointed to <dir>/<id>.json after every entry, so a failed or interrupted run resumes
+ * right after the last counted entry and the summary counts each entry once (a crash mid-entry re-runs
+ * that one entry, which processEntry dedupes).
+ *
+ * fetchPage({ startTime, endTime, offset, limit }) -> { entries, total }
+ * processEntry(entry, { dryRun }) -> outcome label counted in the summary (e.g. "created", "deduped")
+ */
+function createBackfillRunner({ dir, fetchPage, processEntry }) {
+  const running = new Map();
+
+  const fileFor = (id) => path.join(dir, id + ".json");
+  const save = (job) => {
+    job.updatedAt = new Date().toISOString();
+    writeJsonFile(fileFor(job.id), job);
+  };
+
+  function get(id) {
+    if (!/^[\w-]+$/.test(String(id))) return null;
+    return readJsonFile(fileFor(id), null);
+  }
+
+  function list() {
+    let names = [];
+    try {
+      names = fs.readdirSync(dir).filter((n) => n.endsWith(".json"));
+    } catch (_) {
+      return [];
+    }
+    return names
+      .map((n) => readJsonFile(path.join(dir, n), null))
+      .filter(Boolean)
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  }
+
+  async function run(job) {
+    job.status = "running";
+    job.error = null;
+    save(job);
+    try {
+      for (;;) {
+        const page = await fetchPage({ startTime: job.startTime, endTime: job.endTime, offset: job.offset, limit: job.pageSize });
+        if (page.total != null) job.total = page.total;
+        for (const entry of page.entries) {
+          let outcome;
+          try {
+            outcome = await processEntry(entry, { dryRun: job.dryRun });
+          } catch (e) {
+            outcome = "errored";
+            if (job.errors.length < 50) job.errors.push({ id: entry?.id ?? null, error: e?.message ?? String(e) });
+          }
+          job.summary[outcome] = (job.summary[outcome] ?? 0) + 1;
+          job.summary.entries += 1;
+          job.offset += 1;
+          save(job);
+        }
+        job.summary.pages += 1;
+        save(job);
+        if (page.entries.length < job.pageSize) break;
+      }
+      job.status = "completed";
+      job.finishedAt = new Date().toISOString();
+      log.info("completed", { backfill_id: job.id, summary: job.summary });
+    } catch (e) {
+      job.status = "failed";
+      job.error = e?.message ?? String(e);
+      log.error("failed; resume to continue from checkpoint", { backfill_id: job.id, offset: job.offset, error: job.error });
+    }
+    save(job);
+    return job;
+  }
+
+  function launch(job) {
+    if (running.has(job.id)) return running.get(job.id);
+    const p = run(job).finally(() => running.delete(job.id));
+    running.set(job.id, p);
+    return p;
+  }
+
+  /**
+   * Create a job and start it. Returns { job, done } — done resolves with the final job state.
+   */
+  function start({ startTime, endTime, pageSize = 100, dryRun = false }) {
+    const job = {
+      id: crypto.randomUUID(),
+      startTime,
+      endTime,
+      pageSize,
+      dryRun,
+      offset: 0,
+      total: null,
+      status: "pending",
+      createdAt: new Date().toISOString(),
+      summary: { pages: 0, entries: 0 },
+      errors: []
+    };
+    save(job);
+    log.info("started", { backfill_id: job.id, start_time: startTime, end_time: endTime, dry_run: dryRun });
+    return { job, done: launch(job) };
+  }
+
+  /**
+   * Continue a job from its checkpoint. Returns null when the id is unknown.
+   */
+  function resume(id) {
+    const job = get(id);
+    if (!job) return null;
+    if (job.status === "completed") return { job, done: Promise.resolve(job) };
+    log.info("resuming", { backfill_id: job.id, offset: job.offset });
+    return { job, done: launch(job) };
+  }
+
+  return { start, resume, get, list, isRunning: (id) => running.has(id) };
+}
+
+module.exports = { createBackfillRunner };
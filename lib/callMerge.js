@@ -0,0 +1,176 @@
+const crypto = require("crypto");
+const { readJsonFile, writeJsonFile } = require("./jsonFile");
+const { logger } = require("./logger");
+
+const log = logger.child({ component: "call-merge" });
+
+const MODES = ["update", "window", "off"];
+// Routes whose disposition is the agent's pick; call-completed only maps one from the hangup reason
+const DISPOSITION_ROUTES = new Set(["disposition", "disposition-set"]);
+
+/**
+ * Fold a later event's Forth call fields into the call built so far:
+ *   created_at      - the earliest (a disposition without a time is stamped when it arrived, after the call)
+ *   duration        - the longest (disposition events send 00:00:00)
+ *   call_disposition / call_result - a disposition route's mapping wins over call-completed's
+ *   notes           - each distinct note kept, joined with " || "
+ *   recording_url   - the first one sent
+ *   event_id        - a linked Forth event (non-zero) wins over the default 0
+ *   anything else   - first value wins
+ * dispositionFrom is the route whose mapping is in existing. Returns { fields, dispositionFrom }.
+ */
+function mergeCallFields(existing, incoming, { route, dispositionFrom }) {
+  const fields = { ...incoming, ...existing };
+  if (incoming.created_at && (!existing.created_at || incoming.created_at < existing.created_at)) fields.created_at = incoming.created_at;
+  if (incoming.duration && (!existing.duration || incoming.duration > existing.duration)) fields.duration = incoming.duration;
+  if (incoming.event_id) fields.event_id = incoming.event_id;
+  let from = dispositionFrom;
+  const hasDisposition = incoming.call_disposition != null || incoming.call_result != null;
+  if (hasDisposition && (DISPOSITION_ROUTES.has(route) || !DISPOSITION_ROUTES.has(dispositionFrom))) {
+    if (incoming.call_disposition != null) fields.call_disposition = incoming.call_disposition;
+    if (incoming.call_result != null) fields.call_result = incoming.call_result;
+    from = route;
+  }
+  const notes = [existing.notes, incoming.notes].filter(Boolean);
+  fields.notes = notes.length === 2 && !existing.notes.includes(incoming.notes) ? notes.join(" || ") : existing.notes || incoming.notes;
+  if (fields.notes === undefined) delete fields.notes;
+  return { fields, dispositionFrom: from };
+}
+
+// Fields of fields that differ from what Forth already has
+function changedFields(fields, sent) {
+  return Object.fromEntries(Object.entries(fields).filter(([k, v]) => JSON.stringify(v) !== JSON.stringify(sent?.[k])));
+}
+
+/**
+ * One Forth call per Convoso call, however many webhooks describe it. Events are correlated per tenant and
+ * contact by call id (call_log_id / call_id), else by lead_id within leadWindowMs for events without a call id.
+ * Records: { id, tenant, contactId, callIds, leadId, fields, dispositionFrom, routes, state, jobId, sent, forthCallId }
+ *   state "pending" (a job will send fields) -> "sending" -> "sent"
+ * Modes:
+ *   update - the first event creates the Forth call; later ones update it (PUT /v1/calls/:id) with what changed
+ *   window - Forth calls cannot be updated: events are held windowMs and sent as one create; later events
+ *            start a new call
+ *   off    - every event creates its own call (no records)
+ * Records are dropped ttlMs after their last event.
+ */
+function createCallMerger({ filePath, mode = "update", windowMs = 2 * 60 * 1000, leadWindowMs = 15 * 60 * 1000, ttlMs = 24 * 60 * 60 * 1000 }) {
+  const state = readJsonFile(filePath, { calls: [] });
+  state.calls = Array.isArray(state.calls) ? state.calls : [];
+
+  function persist() {
+    writeJsonFile(filePath, state);
+  }
+
+  function prune(now) {
+    const before = state.calls.length;
+    state.calls = state.calls.filter((c) => now - c.updatedAt < ttlMs);
+    return before !== state.calls.length;
+  }
+
+  function find({ tenant, contactId, callIds, leadId }, now) {
+    const mine = state.calls.filter((c) => !c.closed && c.tenant === tenant && String(c.contactId) === String(contactId));
+    const byId = callIds.length ? mine.find((c) => c.callIds.some((id) => callIds.includes(id))) : null;
+    if (byId) return byId;
+    if (!leadId) return null;
+    // Two events that both carry (different) call ids are different calls, even for the same lead
+    return mine
+      .filter((c) => c.leadId === leadId && now - c.updatedAt < leadWindowMs && (!callIds.length || !c.callIds.length))
+      .sort((a, b) => b.updatedAt - a.updatedAt)[0] ?? null;
+  }
+
+  /**
+   * Add an event's Forth call fields. isQueued(jobId) says whether a record's job is still waiting to run.
+   * Returns { record, enqueue, delayMs }: enqueue is false when a queued job will already send the merged fields.
+   */
+  function add({ tenant, contactId, callIds = [], leadId = null, route, fields }, { isQueued }) {
+    const now = Date.now();
+    prune(now);
+    let record = find({ tenant, contactId, callIds, leadId }, now);
+    let enqueue = true;
+    let delayMs = 0;
+    if (record?.state === "pending") {
+      // A queued job will send the merged fields; one that died or was purged is replaced
+      enqueue = !isQueued(record.jobId);
+    } else if (record && !(mode === "update" && (record.state === "sending" || record.forthCallId != null))) {
+      // Sent and cannot be updated (window mode, or Forth returned no call id): this event starts a new call
+      record.closed = true;
+      record = null;
+    }
+    if (!record) {
+      record = {
+        id: crypto.randomUUID(),
+        tenant,
+        contactId,
+        callIds: [],
+        leadId: leadId || null,
+        fields: {},
+        dispositionFrom: null,
+        routes: [],
+        state: "pending",
+        jobId: null,
+        sent: null,
+        forthCallId: null,
+        createdAt: now,
+        updatedAt: now
+      };
+      state.calls.push(record);
+      if (mode === "window") delayMs = windowMs;
+    } else {
+      log.info("merged into call", { merge_id: record.id, route, state: record.state, forth_call_id: record.forthCallId, tenant });
+    }
+    const merged = mergeCallFields(record.fields, fields, { route, dispositionFrom: record.dispositionFrom });
+    record.fields = merged.fields;
+    record.dispositionFrom = merged.dispositionFrom;
+    record.callIds = [...new Set([...record.callIds, ...callIds])];
+    record.leadId = record.leadId || leadId || null;
+    record.routes.push(route);
+    record.updatedAt = now;
+    persist();
+    return { record, enqueue, delayMs };
+  }
+
+  function update(id, changes) {
+    const record = state.calls.find((c) => c.id === id);
+    if (!record) return null;
+    Object.assign(record, changes);
+    persist();
+    return record;
+  }
+
+  return {
+    mode,
+    enabled: mode !== "off",
+    add,
+    update,
+    get: (id) => state.calls.find((c) => c.id === id) ?? null,
+    // The open record an event for { tenant, contactId, callIds, leadId } would merge into, if any
+    find: (query) => find({ callIds: [], leadId: null, ...query }, Date.now()),
+    /**
+     * What a job for this record has to send: { action: "create" | "update" | "unchanged", fields }.
+     */
+    plan(record) {
+      if (record.state !== "sent" || record.forthCallId == null) return { action: "create", fields: record.fields };
+      const fields = changedFields(record.fields, record.sent);
+      return { action: Object.keys(fields).length ? "update" : "unchanged", fields };
+    },
+    list: () => state.calls.slice()
+  };
+}
+
+/**
+ * CALL_MERGE_MODE (update | window | off, default update), CALL_MERGE_WINDOW_MS (default 120000),
+ * CALL_MERGE_LEAD_WINDOW_MS (default 900000). An unknown mode logs and falls back to update.
+ */
+function callMergeConfigFromEnv(env = process.env) {
+  const mode = String(env.CALL_MERGE_MODE ?? "").trim().toLowerCase() || "update";
+  const num = (name, fallback) => (env[name] != null && env[name] !== "" && Number.isFinite(Number(env[name])) ? Number(env[name]) : fallback);
+  if (!MODES.includes(mode)) log.error("unknown CALL_MERGE_MODE, using update", { mode });
+  return {
+    mode: MODES.includes(mode) ? mode : "update",
+    windowMs: num("CALL_MERGE_WINDOW_MS", 2 * 60 * 1000),
+    leadWindowMs: num("CALL_MERGE_LEAD_WINDOW_MS", 15 * 60 * 1000)
+  };
+}
+
+module.exports = { createCallMerger, mergeCallFields, callMergeConfigFromEnv };
@@ -0,0 +1,135 @@
+const { readJsonFile, writeJsonFile } = require("./jsonFile");
+const { formatInTimeZone } = require("./timestamps");
+const { logger } = require("./logger");
+
+const log = logger.child({ component: "callbacks" });
+
+const TYPES = ["event", "task"];
+// Where Convoso puts the callback time, in the order they are read
+const CALLBACK_TIME_FIELDS = ["callback_time", "callback_datetime", "callback_date", "recall_time", "appointment_time", "appointment_date"];
+const CANCELLED_STATUSES = new Set(["cancelled", "canceled", "deleted", "inactive", "removed"]);
+
+/**
+ * The callback a Convoso webhook describes: { callbackId, times: [{ field, value }], agent, comment, cancelled }.
+ * cancelled comes from callback_status / action ("cancelled", "deleted", "inactive", ...), never the lead's own status.
+ */
+function readCallback(payload) {
+  const first = (...names) => names.map((n) => String(payload[n] ?? "").trim()).find(Boolean) ?? "";
+  return {
+    callbackId: first("callback_id", "appointment_id"),
+    times: CALLBACK_TIME_FIELDS.map((field) => ({ field, value: payload[field] })),
+    agent: first("callback_user", "user_full_name", "agent_name", "user_name", "user", "user_id"),
+    comment: first("callback_comment", "comments", "agent_comment", "notes", "note"),
+    cancelled: CANCELLED_STATUSES.has(first("callback_status", "action").toLowerCase())
+  };
+}
+
+/**
+ * Which Convoso callback a webhook is about, per contact: its callback_id, else its lead (one open callback per lead).
+ */
+function callbackRef({ callbackId, leadId, phone }) {
+  if (callbackId) return "id:" + callbackId;
+  if (leadId) return "lead:" + leadId;
+  return phone ? "phone:" + phone : null;
+}
+
+/**
+ * Forth body for a callback at atMs, written in timeZone (the tenant's Forth timezone):
+ *   event - start_date / end_date (durationMinutes long), status scheduled | cancelled
+ *   task  - due_date, status open | cancelled
+ */
+function forthCallbackBody({ type, durationMinutes }, { atMs, timeZone, agent, comment, cancelled, phone }) {
+  const start = formatInTimeZone(atMs, timeZone);
+  const fields = {
+    title: "Convoso callback" + (agent ? " - " + agent : ""),
+    description: [comment || "No agent comment", agent ? "Agent: " + agent : "", phone ? "phone=" + phone : ""].filter(Boolean).join(" | "),
+    assigned_agent: agent || null
+  };
+  if (type === "task") return { ...fields, due_date: start, status: cancelled ? "cancelled" : "open" };
+  return {
+    ...fields,
+    event_type: "callback",
+    start_date: start,
+    end_date: formatInTimeZone(atMs + durationMinutes * 60 * 1000, timeZone),
+    status: cancelled ? "cancelled" : "scheduled"
+  };
+}
+
+/**
+ * Forth events (or tasks) created for Convoso callbacks, so a rescheduled or cancelled callback updates the one it
+ * created instead of adding another.
+ * Records: { tenant, contactId, ref, type, forthEventId, sent, cancelled, callIds, leadId, createdAt, updatedAt }
+ * Records are dropped ttlMs after their last change.
+ */
+function createCallbackStore({ filePath, ttlMs = 30 * 24 * 60 * 60 * 1000 }) {
+  const state = readJsonFile(filePath, { callbacks: [] });
+  state.callbacks = Array.isArray(state.callbacks) ? state.callbacks : [];
+
+  const same = (c, tenant, contactId) => c.tenant === tenant && String(c.contactId) === String(contactId);
+
+  function persist() {
+    const now = Date.now();
+    state.callbacks = state.callbacks.filter((c) => now - c.updatedAt < ttlMs);
+    writeJsonFile(filePath, state);
+  }
+
+  function get(tenant, contactId, ref) {
+    return state.callbacks.find((c) => same(c, tenant, contactId) && c.ref === ref) ?? null;
+  }
+
+  /**
+   * Create or update the record for tenant / contactId / ref with changes. Returns the record.
+   */
+  function save(tenant, contactId, ref, changes) {
+    const now = Date.now();
+    let record = get(tenant, contactId, ref);
+    if (!record) {
+      record = { tenant, contactId, ref, createdAt: now };
+      state.callbacks.push(record);
+    }
+    Object.assign(record, changes, { updatedAt: now });
+    persist();
+    return record;
+  }
+
+  /**
+   * The open callback a Forth call belongs to: one sharing a Convoso call id, else (for a callback without call ids)
+   * one for the same lead created within leadWindowMs.
+   */
+  function forCall({ tenant, contactId, callIds = [], leadId = null }, leadWindowMs) {
+    const mine = state.callbacks.filter((c) => same(c, tenant, contactId) && !c.cancelled && c.forthEventId != null);
+    const byId = callIds.length ? mine.find((c) => (c.callIds ?? []).some((id) => callIds.includes(id))) : null;
+    if (byId || !leadId) return byId ?? null;
+    const now = Date.now();
+    return mine
+      .filter((c) => c.leadId === leadId && !(c.callIds ?? []).length && now - c.createdAt < leadWindowMs)
+      .sort((a, b) => b.createdAt - a.createdAt)[0] ?? null;
+  }
+
+  return { get, save, forCall, list: () => state.callbacks.slice() };
+}
+
+/**
+ * FORTH_CALLBACK_TYPE (event | task, default event), CALLBACK_EVENT_MINUTES (default 15),
+ * CALLBACK_DISPOSITIONS (comma-separated Convoso dispositions that schedule a callback, default CALLBK,CALLBACK).
+ * An unknown type logs and falls back to event.
+ */
+function callbackConfigFromEnv(env = process.env) {
+  const type = String(env.FORTH_CALLBACK_TYPE ?? "").trim().toLowerCase() || "event";
+  if (!TYPES.includes(type)) log.error("unknown FORTH_CALLBACK_TYPE, using event", { type });
+  const dispositions = String(env.CALLBACK_DISPOSITIONS ?? "CALLBK,CALLBACK").split(",").map((d) => d.trim().toUpperCase()).filter(Boolean);
+  return {
+    type: TYPES.includes(type) ? type : "event",
+    durationMinutes: Number(env.CALLBACK_EVENT_MINUTES) > 0 ? Number(env.CALLBACK_EVENT_MINUTES) : 15,
+    dispositions
+  };
+}
+
+module.exports = {
+  readCallback,
+  callbackRef,
+  forthCallbackBody,
+  createCallbackStore,
+  callbackConfigFromEnv,
+  CALLBACK_TIME_FIELDS
+};
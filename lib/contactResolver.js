@@ -0,0 +1,107 @@
+/**
+ * Phone -> Forth contact lookup cache and multi-match resolution.
+ */
+
+/**
+ * In-memory TTL cache. Empty results (misses) are kept for negativeTtlMs instead of ttlMs; isNegative(value) says
+ * which values are misses (default: an empty array).
+ */
+function createLookupCache({ ttlMs, negativeTtlMs, isNegative = (value) => Array.isArray(value) && value.length === 0 }) {
+  const entries = new Map();
+  const stats = { hits: 0, negativeHits: 0, misses: 0 };
+
+  function get(key) {
+    const e = entries.get(key);
+    if (!e || Date.now() > e.expiresAt) {
+      if (e) entries.delete(key);
+      stats.misses += 1;
+      return { hit: false };
+    }
+    if (isNegative(e.value)) stats.negativeHits += 1;
+    else stats.hits += 1;
+    return { hit: true, value: e.value };
+  }
+
+  function set(key, value) {
+    const negative = isNegative(value);
+    const ttl = negative ? negativeTtlMs : ttlMs;
+    if (ttl <= 0) return;
+    entries.set(key, { value, expiresAt: Date.now() + ttl });
+  }
+
+  return {
+    get,
+    set,
+    delete: (key) => entries.delete(key),
+    clear: () => entries.clear(),
+    stats: () => ({ ...stats, size: entries.size })
+  };
+}
+
+const POLICIES = ["first", "most_recent", "lead_id", "all"];
+
+function contactUpdatedAt(contact) {
+  const raw = contact.updated_at ?? contact.date_updated ?? contact.updated ?? contact.modified ?? contact.created_at ?? "";
+  const t = Date.parse(String(raw).replace(" ", "T"));
+  return Number.isFinite(t) ? t : 0;
+}
+
+/**
+ * Read a contact field by name. Looks at the top level, then custom_fields as an object
+ * or as an array of { id|name|label, value }.
+ */
+function readContactField(contact, field) {
+  if (!field) return undefined;
+  if (contact[field] != null) return contact[field];
+  const custom = contact.custom_fields ?? contact.customFields;
+  if (Array.isArray(custom)) {
+    const f = custom.find((c) => String(c?.id) === field || c?.name === field || c?.label === field);
+    return f?.value;
+  }
+  if (custom && typeof custom === "object") return custom[field];
+  return undefined;
+}
+
+/**
+ * Pick which of several matching contacts a call should be logged to.
+ * config: { policy, fallback, leadIdField }; context: { leadId }
+ * Returns { contacts, policy, reason, candidates } — contacts is empty when nothing matched.
+ */
+function resolveContacts(contacts, config, context = {}) {
+  const candidates = contacts.length;
+  if (!candidates) return { contacts: [], policy: config.policy, reason: "no_match", candidates };
+  if (candidates === 1) return { contacts, policy: config.policy, reason: "single_match", candidates };
+
+  const pick = (policy) => {
+    if (policy === "all") return { contacts, reason: "all_matches" };
+    if (policy === "first") return { contacts: [contacts[0]], reason: "first_result" };
+    if (policy === "lead_id") {
+      const leadId = String(context.leadId ?? "").trim();
+      if (!leadId || !config.leadIdField) return null;
+      const hit = contacts.filter((c) => String(readContactField(c, config.leadIdField) ?? "").trim() === leadId);
+      return hit.length ? { contacts: [hit[0]], reason: "lead_id_match" } : null;
+    }
+    const sorted = contacts.slice().sort((a, b) => contactUpdatedAt(b) - contactUpdatedAt(a));
+    return { contacts: [sorted[0]], reason: "most_recently_updated" };
+  };
+
+  const primary = pick(config.policy);
+  if (primary) return { ...primary, policy: config.policy, candidates };
+  const fallback = pick(config.fallback);
+  return { ...fallback, policy: config.fallback, reason: fallback.reason + " (fallback from " + config.policy + ")", candidates };
+}
+
+/**
+ * CONTACT_MATCH_POLICY = first | most_recent (default) | lead_id | all
+ * CONTACT_MATCH_FALLBACK = policy used when lead_id finds nothing (default most_recent)
+ * CONTACT_LEAD_ID_FIELD = Forth contact field holding the Convoso lead_id
+ */
+function loadContactMatchConfig(env = process.env) {
+  const policy = POLICIES.includes(env.CONTACT_MATCH_POLICY) ? env.CONTACT_MATCH_POLICY : "most_recent";
+  const fallback = POLICIES.includes(env.CONTACT_MATCH_FALLBACK) && env.CONTACT_MATCH_FALLBACK !== "lead_id"
+    ? env.CONTACT_MATCH_FALLBACK
+    : "most_recent";
+  return { policy, fallback, leadIdField: env.CONTACT_LEAD_ID_FIELD || "" };
+}
+
+module.exports = { createLookupCache, resolveContacts, readContactField, loadContactMatchConfig, POLICIES };
@@ -0,0 +1,113 @@
+const querystring = require("querystring");
+const { logger } = require("./logger");
+const { parsePhone } = require("./phone");
+
+const log = logger.child({ component: "convoso-event" });
+
+/**
+ * Normalize a plain object (from JSON array element or JSON object): phone, phone_number, phoneE164, phone_extension,
+ * call_type, call_log_id. phoneOptions ({ defaultCallingCode }) is how numbers without phone_code are read (lib/phone.js).
+ */
+function normalizePayloadObject(raw, _inputType, phoneOptions = {}) {
+  const phoneNumber = String(raw.phone_number ?? raw.phone ?? raw.primary_phone ?? raw.PhoneNumber ?? raw.caller_id ?? raw.lead_phone ?? "").trim();
+  const parsed = parsePhone(phoneNumber, { phoneCode: raw.phone_code, defaultCallingCode: phoneOptions.defaultCallingCode });
+  const phone = parsed?.national ?? "";
+  const phoneE164 = raw.phoneE164 ?? parsed?.e164 ?? null;
+  const call_type = raw.call_type ?? raw.callType ?? raw.CallType ?? "";
+  const call_log_id = raw.call_log_id ?? raw.callLogId ?? "";
+  return { ...raw, phone_number: phoneNumber, phone, phoneE164, phone_extension: parsed?.extension ?? null, call_type, call_log_id, _inputType };
+}
+
+/**
+ * Normalize a Convoso webhook body, whatever shape Convoso sent it in.
+ * Accepts: params string (querystring or JSON), JSON array, JSON object, params as array/object, or giant JSON key.
+ * Returns single payload object with phone (national digits), phone_number, phoneE164, call_type, call_log_id, _inputType.
+ */
+function normalizeConvosoBody(body, phoneOptions = {}) {
+  body = body || {};
+  if (typeof body.params === "string") {
+    const paramsStr = body.params.trim();
+    if (paramsStr.startsWith("{") && paramsStr.endsWith("}")) {
+      try {
+        const parsed = JSON.parse(body.params);
+        log.debug("detected params_json");
+        return normalizePayloadObject(parsed, "params_json", phoneOptions);
+      } catch (_) {
+        // fall through to querystring
+      }
+    }
+    return normalizePayloadObject({ ...querystring.parse(body.params) }, "params", phoneOptions);
+  }
+  if (Array.isArray(body)) {
+    const raw = body[0] || {};
+    return normalizePayloadObject(raw, "json_array", phoneOptions);
+  }
+  if (Array.isArray(body.params)) {
+    const raw = body.params[0] || {};
+    return normalizePayloadObject(raw, "json_params_array", phoneOptions);
+  }
+  if (body.params && typeof body.params === "object" && !Array.isArray(body.params)) {
+    return normalizePayloadObject(body.params, "json_params_object", phoneOptions);
+  }
+  const hasPhone = body.phone_number ?? body.phone ?? body.primary_phone ?? body.caller_id ?? body.lead_phone;
+  if (!hasPhone && body && typeof body === "object") {
+    for (const k of Object.keys(body)) {
+      if (typeof k === "string") {
+        const trimmed = k.trim();
+        if (trimmed.startsWith("{") && trimmed.endsWith("}")) {
+          try {
+            const parsed = JSON.parse(k);
+            log.debug("detected giant_json_key");
+            return normalizePayloadObject(parsed, "giant_json_key", phoneOptions);
+          } catch (_) {
+            // continue to next key
+          }
+        }
+      }
+    }
+  }
+  return normalizePayloadObject(body, "json_object", phoneOptions);
+}
+
+/**
+ * Map a Convoso call_type (or a direction field) to Forth call_type.
+ * Returns "Incoming" | "Outgoing" | null (omit from payload if null).
+ */
+function convosoCallTypeToForth(callType) {
+  const t = String(callType ?? "").toUpperCase().trim();
+  if (t === "INBOUND" || t === "INCOMING" || t === "IN") return "Incoming";
+  if (t === "OUTBOUND" || t === "MANUAL" || t === "OUTGOING" || t === "OUT") return "Outgoing";
+  return null;
+}
+
+/**
+ * The internal event every Convoso call webhook becomes, whichever route received it.
+ * direction is null when the webhook did not say; enrichment may fill it from the call log,
+ * otherwise the event is written as a contact note rather than guessed.
+ * payload keeps the full normalized body for mapping and parking.
+ */
+function convosoEvent(convoso) {
+  const str = (v) => String(v ?? "").trim();
+  return {
+    source: "convoso",
+    inputType: convoso._inputType ?? "json",
+    phone: convoso.phone,
+    leadId: str(convoso.lead_id),
+    callLogId: str(convoso.call_log_id),
+    callId: str(convoso.call_id),
+    campaignId: str(convoso.campaign_id),
+    listId: str(convoso.list_id),
+    direction: convosoCallTypeToForth(convoso.direction || convoso.call_type),
+    disposition: str(convoso.disposition ?? convoso.disposition_name),
+    callTime: str(convoso.call_start_time ?? convoso.start_time ?? convoso.created_at),
+    recordingUrl: str(convoso.recording_url),
+    payload: convoso
+  };
+}
+
+module.exports = {
+  normalizePayloadObject,
+  normalizeConvosoBody,
+  convosoCallTypeToForth,
+  convosoEvent
+};
@@ -0,0 +1,164 @@
+const fs = require("fs");
+const path = require("path");
+const { readJsonFile, writeJsonFile, fileMtimeMs } = require("./jsonFile");
+const { logger } = require("./logger");
+
+const log = logger.child({ component: "dedupe" });
+
+/**
+ * Dedupe store: remembers keys for ttlMs so replayed webhooks are skipped.
+ * Backends:
+ *   memory - process-local Map (lost on restart)
+ *   file   - JSON file on disk (survives restarts; point DEDUPE_STORE_PATH at a shared disk for several instances).
+ *            Changes are made under an exclusive lockfile (<path>.lock), so two processes cannot both claim a key.
+ * Methods are async so a networked backend can be swapped in without touching the routes.
+ *   claim(key, value) -> true if the key was free and is now taken, false if already seen
+ *   has(key), get(key), release(key), size()
+ */
+function createMemoryDedupeStore({ ttlMs }) {
+  const entries = new Map();
+
+  function prune() {
+    const now = Date.now();
+    for (const [k, v] of entries.entries()) {
+      if (now - v.ts > ttlMs) entries.delete(k);
+    }
+  }
+
+  return {
+    backend: "memory",
+    async claim(key, value) {
+      prune();
+      if (entries.has(key)) return false;
+      entries.set(key, { ...value, ts: Date.now() });
+      return true;
+    },
+    async has(key) {
+      prune();
+      return entries.has(key);
+    },
+    async get(key) {
+      prune();
+      return entries.get(key) ?? null;
+    },
+    async release(key) {
+      entries.delete(key);
+    },
+    async size() {
+      prune();
+      return entries.size;
+    }
+  };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function createFileDedupeStore({ ttlMs, filePath, lockTimeoutMs = 5000, lockStaleMs = 10000 }) {
+  let entries = readJsonFile(filePath, {});
+  let loadedMtime = fileMtimeMs(filePath);
+  const lockPath = filePath + ".lock";
+
+  /**
+   * Run fn against a fresh read of the file while holding <path>.lock (created with O_EXCL). A lock older than
+   * lockStaleMs is left over from a crashed process and is broken.
+   */
+  async function withLock(fn) {
+    fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+    const started = Date.now();
+    for (;;) {
+      try {
+        fs.closeSync(fs.openSync(lockPath, "wx"));
+        break;
+      } catch (e) {
+        if (e.code !== "EEXIST") throw e;
+        if (Date.now() - fileMtimeMs(lockPath) > lockStaleMs) {
+          log.warn("breaking stale lock", { path: lockPath });
+          fs.rmSync(lockPath, { force: true });
+          continue;
+        }
+        if (Date.now() - started > lockTimeoutMs) throw new Error("dedupe store lock timed out: " + lockPath);
+        await sleep(5 + Math.random() * 20);
+      }
+    }
+    try {
+      entries = readJsonFile(filePath, {});
+      loadedMtime = fileMtimeMs(filePath);
+      return fn();
+    } finally {
+      fs.rmSync(lockPath, { force: true });
+    }
+  }
+
+  // Pick up writes made by another instance sharing the same file
+  function reload() {
+    const mtime = fileMtimeMs(filePath);
+    if (mtime !== loadedMtime) {
+      entries = readJsonFile(filePath, {});
+      loadedMtime = mtime;
+    }
+  }
+
+  // Reads prune in memory only; the file is rewritten by claim / release, under the lock
+  function prune() {
+    const now = Date.now();
+    for (const k of Object.keys(entries)) {
+      if (now - entries[k].ts > ttlMs) delete entries[k];
+    }
+  }
+
+  function persist() {
+    writeJsonFile(filePath, entries);
+    loadedMtime = fileMtimeMs(filePath);
+  }
+
+  return {
+    backend: "file",
+    async claim(key, value) {
+      return withLock(() => {
+        prune();
+        if (entries[key]) return false;
+        entries[key] = { ...value, ts: Date.now() };
+        persist();
+        return true;
+      });
+    },
+    async has(key) {
+      reload();
+      prune();
+      return Boolean(entries[key]);
+    },
+    async get(key) {
+      reload();
+      prune();
+      return entries[key] ?? null;
+    },
+    async release(key) {
+      await withLock(() => {
+        if (!entries[key]) return;
+        delete entries[key];
+        persist();
+      });
+    },
+    async size() {
+      reload();
+      prune();
+      return Object.keys(entries).length;
+    }
+  };
+}
+
+/**
+ * Build a dedupe store from options (defaults come from DEDUPE_STORE / DEDUPE_STORE_PATH / DATA_DIR).
+ */
+function createDedupeStore({ backend, ttlMs, filePath } = {}) {
+  const kind = String(backend ?? process.env.DEDUPE_STORE ?? "memory").toLowerCase();
+  if (kind === "file") {
+    const p = filePath || process.env.DEDUPE_STORE_PATH || path.join(process.env.DATA_DIR || "data", "dedupe.json");
+    log.info("using file store", { path: p });
+    return createFileDedupeStore({ ttlMs, filePath: p });
+  }
+  if (kind !== "memory") log.warn("unknown DEDUPE_STORE, falling back to memory", { backend: kind });
+  return createMemoryDedupeStore({ ttlMs });
+}
+
+module.exports = { createDedupeStore, createMemoryDedupeStore, createFileDedupeStore };
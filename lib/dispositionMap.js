@@ -0,0 +1,128 @@
+const fs = require("fs");
+const { logger } = require("./logger");
+
+// Forth call_disposition IDs
+const DISP = {
+  NO_ANSWER: 1,
+  CONNECTED: 2,
+  LEFT_MESSAGE: 3,
+  BUSY: 6
+};
+
+const TEXT_FIELDS = ["status", "status_name", "term_reason", "disposition", "call_result"];
+
+/**
+ * Default mapping. Rules are checked in order; first match wins.
+ * Rule shape: { name, dispId, call_result, fields?, pattern?, flags?, values?, min_talk_sec? }
+ *   pattern      - regex tested against each of `fields` (default: all TEXT_FIELDS)
+ *   values       - exact, case-insensitive matches against `fields` (e.g. Convoso status codes)
+ *   min_talk_sec - matches when talk time is at least this many seconds
+ */
+const DEFAULT_DISPOSITION_MAP = {
+  default: { dispId: DISP.CONNECTED, call_result: "Connected" },
+  rules: [
+    { name: "talk_time", min_talk_sec: 1, dispId: DISP.CONNECTED, call_result: "Connected" },
+    { name: "no_answer", pattern: "\\bno ?answer\\b", values: ["NA"], dispId: DISP.NO_ANSWER, call_result: "No Answer" },
+    { name: "busy", pattern: "\\bbusy\\b", values: ["B"], dispId: DISP.BUSY, call_result: "Busy" },
+    { name: "left_message", pattern: "\\bleft\\b|\\bvm\\b|voicemail|\\bmessage\\b", dispId: DISP.LEFT_MESSAGE, call_result: "Left Message" }
+  ]
+};
+
+/**
+ * Validate a raw config object and compile its regexes. Throws on invalid config.
+ */
+function compileDispositionMap(raw) {
+  if (!raw || !Array.isArray(raw.rules)) throw new Error("disposition map needs a rules array");
+  const def = raw.default ?? DEFAULT_DISPOSITION_MAP.default;
+  if (!Number.isFinite(Number(def.dispId))) throw new Error("disposition map default.dispId must be a number");
+  const rules = raw.rules.map((r, i) => {
+    const name = r.name || "rule_" + i;
+    if (!Number.isFinite(Number(r.dispId))) throw new Error("rule " + name + ": dispId must be a number");
+    if (r.pattern == null && r.values == null && r.min_talk_sec == null) {
+      throw new Error("rule " + name + ": needs pattern, values or min_talk_sec");
+    }
+    const fields = Array.isArray(r.fields) && r.fields.length ? r.fields.map(String) : TEXT_FIELDS;
+    for (const f of fields) {
+      if (!TEXT_FIELDS.includes(f)) throw new Error("rule " + name + ": unknown field " + f);
+    }
+    return {
+      name,
+      dispId: Number(r.dispId),
+      call_result: String(r.call_result ?? ""),
+      fields,
+      regex: r.pattern != null ? new RegExp(String(r.pattern), r.flags ?? "i") : null,
+      values: Array.isArray(r.values) ? r.values.map((v) => String(v).trim().toLowerCase()) : null,
+      min_talk_sec: r.min_talk_sec != null ? Number(r.min_talk_sec) : null
+    };
+  });
+  return { default: { dispId: Number(def.dispId), call_result: String(def.call_result ?? "") }, rules, raw };
+}
+
+/**
+ * Load mapping from DISPOSITION_MAP_JSON (inline JSON) or DISPOSITION_MAP_FILE (path to JSON).
+ * Falls back to DEFAULT_DISPOSITION_MAP when neither is set or the config is invalid.
+ */
+function loadDispositionMap(env = process.env) {
+  let raw = null;
+  let source = "default";
+  try {
+    if (env.DISPOSITION_MAP_JSON) {
+      raw = JSON.parse(env.DISPOSITION_MAP_JSON);
+      source = "env";
+    } else if (env.DISPOSITION_MAP_FILE) {
+      raw = JSON.parse(fs.readFileSync(env.DISPOSITION_MAP_FILE, "utf8"));
+      source = "file:" + env.DISPOSITION_MAP_FILE;
+    }
+    if (raw) return { ...compileDispositionMap(raw), source };
+  } catch (e) {
+    logger.warn("invalid disposition map config, using defaults", { component: "disposition-map", source, error: e?.message ?? String(e) });
+  }
+  return { ...compileDispositionMap(DEFAULT_DISPOSITION_MAP), source: "default" };
+}
+
+/**
+ * Pull the mapping inputs out of a Convoso payload (webhook or call log entry).
+ */
+function dispositionInput(convoso) {
+  return {
+    status: String(convoso.status ?? "").trim(),
+    status_name: String(convoso.status_name ?? "").trim(),
+    term_reason: String(convoso.term_reason ?? convoso.term_reason_id ?? "").trim(),
+    disposition: String(convoso.disposition ?? convoso.disposition_name ?? "").trim(),
+    call_result: String(convoso.call_result ?? "").trim(),
+    talk_sec: Number(convoso.talk_time ?? convoso.talk_seconds ?? 0) || 0
+  };
+}
+
+function ruleMatches(rule, input) {
+  if (rule.min_talk_sec != null && input.talk_sec >= rule.min_talk_sec) return { field: "talk_time", value: input.talk_sec };
+  for (const f of rule.fields) {
+    const v = input[f];
+    if (!v) continue;
+    if (rule.values && rule.values.includes(v.toLowerCase())) return { field: f, value: v };
+    if (rule.regex && rule.regex.test(v)) return { field: f, value: v };
+  }
+  return null;
+}
+
+/**
+ * Map a Convoso payload to { dispId, call_result, rule, matched }.
+ * rule is the matching rule name, or "default" when nothing matched.
+ */
+function mapDisposition(map, convoso) {
+  const input = dispositionInput(convoso);
+  for (const rule of map.rules) {
+    const matched = ruleMatches(rule, input);
+    if (matched) return { dispId: rule.dispId, call_result: rule.call_result, rule: rule.name, matched };
+  }
+  return { dispId: map.default.dispId, call_result: map.default.call_result, rule: "default", matched: null };
+}
+
+module.exports = {
+  DISP,
+  DEFAULT_DISPOSITION_MAP,
+  compileDispositionMap,
+  loadDispositionMap,
+  dispositionInput,
+  mapDisposition
+};
@@ -0,0 +1,142 @@
+const crypto = require("crypto");
+const { readJsonFile, writeJsonFile } = require("./jsonFile");
+const { logger } = require("./logger");
+
+const log = logger.child({ component: "event-journal" });
+
+// Forth / Convoso responses kept per entry, so one huge error page cannot bloat the journal
+const MAX_BODY_CHARS = 4000;
+
+function clip(value) {
+  if (value == null) return value;
+  const s = JSON.stringify(value);
+  return s.length > MAX_BODY_CHARS ? { truncated: true, preview: s.slice(0, MAX_BODY_CHARS) } : value;
+}
+
+/**
+ * Journal of recent incoming webhooks, for answering "why didn't my call show up in Forth?".
+ * One entry per request (found again by request_id): redacted body, input type, tenant, enrichment,
+ * resolved contact, each queued Forth write with its request and response, and the outcome.
+ * Only redacted bodies are written to disk: the original body a replay needs is kept in memory for rawTtlMs
+ * (record(fields, { raw })) and is never returned by list()/get().
+ * Keeps the newest maxEntries in one JSON file; writes are batched (flushMs) since every webhook updates
+ * its entry several times.
+ */
+function createEventJournal({ filePath, maxEntries = 1000, flushMs = 1000, rawTtlMs = 60 * 60 * 1000 }) {
+  const state = readJsonFile(filePath, { entries: [] });
+  // Journals written before bodies were kept in memory only carried raw; drop it on load
+  state.entries = Array.isArray(state.entries) ? state.entries.map(({ raw, ...entry }) => entry) : [];
+  const raws = new Map();
+  let timer = null;
+
+  function flush() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    try {
+      writeJsonFile(filePath, state);
+    } catch (e) {
+      log.error("write failed", { error: e?.message ?? String(e) });
+    }
+  }
+
+  function schedule() {
+    if (timer) return;
+    timer = setTimeout(flush, flushMs);
+    timer.unref?.();
+  }
+
+  function pruneRaws(now) {
+    for (const [id, r] of raws) if (now > r.expiresAt) raws.delete(id);
+  }
+
+  function record(fields, { raw } = {}) {
+    const entry = { id: crypto.randomUUID(), ts: new Date().toISOString(), jobs: [], ...fields };
+    state.entries.push(entry);
+    if (state.entries.length > maxEntries) {
+      for (const dropped of state.entries.splice(0, state.entries.length - maxEntries)) raws.delete(dropped.id);
+    }
+    const now = Date.now();
+    pruneRaws(now);
+    if (raw !== undefined && rawTtlMs > 0) raws.set(entry.id, { body: raw, expiresAt: now + rawTtlMs });
+    schedule();
+    return entry;
+  }
+
+  // The original body of an entry, while it is still kept in memory (undefined after rawTtlMs or a restart)
+  function raw(id) {
+    const r = raws.get(id);
+    if (!r || Date.now() > r.expiresAt) {
+      raws.delete(id);
+      return undefined;
+    }
+    return r.body;
+  }
+
+  const byRequest = (requestId) => {
+    if (!requestId) return null;
+    for (let i = state.entries.length - 1; i >= 0; i--) {
+      if (state.entries[i].request_id === requestId) return state.entries[i];
+    }
+    return null;
+  };
+
+  /**
+   * Merge fields into the entry for requestId (no-op when the request was not journaled).
+   */
+  function annotate(requestId, fields) {
+    const entry = byRequest(requestId);
+    if (!entry) return null;
+    Object.assign(entry, fields, "response" in fields ? { response: clip(fields.response) } : {});
+    schedule();
+    return entry;
+  }
+
+  /**
+   * Add or update a queued job on the entry for requestId: { queue, job_id, type, status, attempts, request, response, error }.
+   */
+  function recordJob(requestId, job) {
+    const entry = byRequest(requestId);
+    if (!entry) return null;
+    const existing = entry.jobs.find((j) => j.job_id === job.job_id);
+    const next = { ...existing, ...job, response: clip(job.response ?? existing?.response ?? null), updated_at: new Date().toISOString() };
+    entry.jobs = existing ? entry.jobs.map((j) => (j === existing ? next : j)) : [...entry.jobs, next];
+    schedule();
+    return entry;
+  }
+
+  /**
+   * Newest first. filter: { phoneLast4, leadId, callLogId, route, tenant, outcome, since, until (ISO), limit }
+   */
+  function list({ phoneLast4, leadId, callLogId, route, tenant, outcome, since, until, limit = 100 } = {}) {
+    const out = [];
+    for (let i = state.entries.length - 1; i >= 0 && out.length < limit; i--) {
+      const e = state.entries[i];
+      if (phoneLast4 && e.phone_last4 !== phoneLast4) continue;
+      if (leadId && String(e.lead_id ?? "") !== leadId) continue;
+      if (callLogId && String(e.call_log_id ?? "") !== callLogId) continue;
+      if (route && e.route !== route) continue;
+      if (tenant && e.tenant !== tenant) continue;
+      if (outcome && e.outcome !== outcome) continue;
+      if (since && e.ts < since) continue;
+      if (until && e.ts > until) continue;
+      out.push(e);
+    }
+    return out;
+  }
+
+  function get(id) {
+    return state.entries.find((e) => e.id === id) ?? null;
+  }
+
+  return {
+    record,
+    annotate,
+    recordJob,
+    list,
+    get,
+    raw,
+    flush
+  };
+}
+
+module.exports = { createEventJournal };
@@ -0,0 +1,234 @@
+const { logger } = require("./logger");
+
+/**
+ * Webhook event pipeline: normalize -> authenticate -> tenant -> dedupe -> enrich -> resolve contact -> map
+ * [-> mapped dedupe] -> write.
+ * A stage is { name, run(ctx) }. It reads and adds to ctx and ends the run early with ctx.halt(status, body, outcome).
+ * Stages get their collaborators injected, so each one can run on its own against fixtures or stub servers.
+ *
+ * replay ({ of, tenant } for an admin replay of a journaled event) skips dedupe, since re-running is the point.
+ *
+ * ctx: { route, req, body, dryRun, replay, log, event, tenant, dedupeKey, mappedDedupeKey, convosoLog, enrichment, match, mapped, write, jobs,
+ *        outcome, response: { status, body } | null, stages: [names that ran] }
+ */
+function createEventPipeline(route, stages, { log = logger.child({ component: route }) } = {}) {
+  async function run({ req = null, body = req?.body, dryRun = false, replay = null } = {}) {
+    const cleanups = [];
+    const ctx = {
+      route,
+      req,
+      body,
+      dryRun,
+      replay,
+      log,
+      event: null,
+      tenant: null,
+      dedupeKey: null,
+      mappedDedupeKey: null,
+      convosoLog: null,
+      enrichment: null,
+      match: null,
+      mapped: null,
+      write: null,
+      jobs: [],
+      outcome: null,
+      response: null,
+      stages: [],
+      halt(status, responseBody, outcome) {
+        ctx.response = { status, body: responseBody };
+        if (outcome) ctx.outcome = outcome;
+      },
+      // Undo side effects (e.g. a claimed dedupe key) if a later stage throws
+      onError(fn) {
+        cleanups.push(fn);
+      }
+    };
+    try {
+      for (const stage of stages) {
+        ctx.stages.push(stage.name);
+        await stage.run(ctx);
+        if (ctx.response) break;
+      }
+    } catch (e) {
+      for (const fn of cleanups.reverse()) {
+        await Promise.resolve()
+          .then(fn)
+          .catch((err) => log.error("stage cleanup failed", { error: err?.message ?? String(err) }));
+      }
+      throw e;
+    }
+    return ctx;
+  }
+
+  return { route, stages: stages.map((s) => s.name), run };
+}
+
+/**
+ * normalize(body) -> Convoso payload; toEvent(payload) -> event. A missing phone stops with 400;
+ * validate(event) can stop with { status, body, outcome } for route-specific rules.
+ */
+function normalizeStage({ normalize, toEvent, validate }) {
+  return {
+    name: "normalize",
+    run(ctx) {
+      ctx.event = toEvent(normalize(ctx.body));
+      const last4 = ctx.event.phone && ctx.event.phone.length >= 4 ? ctx.event.phone.slice(-4) : "none";
+      ctx.log.info("webhook parsed", { input_type: ctx.event.inputType, phone_last4: last4 });
+      if (!ctx.event.phone) return ctx.halt(400, { ok: false, error: "Missing phone" }, "skipped_other");
+      const rejected = validate ? validate(ctx.event) : null;
+      if (rejected) ctx.halt(rejected.status, rejected.body, rejected.outcome);
+    }
+  };
+}
+
+/**
+ * verify(req) -> { ok, reason }. Requests already verified by middleware (req.webhookAuth) pass through,
+ * so the stage also works when the pipeline runs outside Express.
+ */
+function authenticateStage({ verify }) {
+  return {
+    name: "authenticate",
+    run(ctx) {
+      if (!ctx.req || ctx.req.webhookAuth) return;
+      const result = verify(ctx.req);
+      if (!result.ok) {
+        ctx.log.warn("rejected", { reason: result.reason });
+        return ctx.halt(401, { ok: false, error: "Unauthorized" }, "unauthorized");
+      }
+      ctx.req.webhookAuth = result;
+    }
+  };
+}
+
+/**
+ * resolve(ctx) -> { tenant, via } or { error, status }. Every later stage writes to ctx.tenant's Forth account.
+ */
+function tenantStage({ resolve }) {
+  return {
+    name: "tenant",
+    run(ctx) {
+      const resolved = resolve(ctx);
+      if (resolved.error) {
+        ctx.log.warn("tenant not resolved", { reason: resolved.error });
+        return ctx.halt(resolved.status, { ok: false, error: resolved.error }, resolved.status === 401 ? "unauthorized" : "skipped_other");
+      }
+      ctx.tenant = resolved.tenant;
+      ctx.log.info("tenant resolved", { tenant: resolved.tenant.id, via: resolved.via });
+    }
+  };
+}
+
+/**
+ * key(event) -> dedupe key or null (no dedupe). The key is claimed before any Forth lookup and released
+ * again if a later stage throws. Dry-run only peeks. onDuplicate(ctx) builds the response for a repeat.
+ */
+function dedupeStage({ store, key, onDuplicate }) {
+  return {
+    name: "dedupe",
+    async run(ctx) {
+      const k = key(ctx.event);
+      ctx.dedupeKey = k;
+      if (k) await claimDedupeKey(ctx, { store, key: k, onDuplicate });
+    }
+  };
+}
+
+/**
+ * key(ctx) -> a dedupe key only known once the event is mapped (e.g. the Convoso call log enrichment matched), or null.
+ * Claimed like dedupeStage's key unless it is the same one; ctx.mappedDedupeKey.
+ */
+function mappedDedupeStage({ store, key, onDuplicate }) {
+  return {
+    name: "mapped_dedupe",
+    async run(ctx) {
+      const k = key(ctx);
+      if (!k || k === ctx.dedupeKey) return;
+      ctx.mappedDedupeKey = k;
+      await claimDedupeKey(ctx, { store, key: k, onDuplicate });
+    }
+  };
+}
+
+async function claimDedupeKey(ctx, { store, key, onDuplicate }) {
+  if (ctx.replay) return ctx.log.info("dedupe skipped for replay", { dedupe_key: key, replay_of: ctx.replay.of });
+  const fresh = ctx.dryRun
+    ? !(await store.has(key))
+    : await store.claim(key, { route: ctx.route, lead_id: ctx.event.leadId || null });
+  if (!fresh) {
+    ctx.log.info("deduped", { dedupe_key: key });
+    return ctx.halt(200, onDuplicate(ctx), ctx.dryRun ? null : "deduped");
+  }
+  if (!ctx.dryRun) ctx.onError(() => store.release(key));
+}
+
+/**
+ * fetchCallLog(event) -> Convoso call log entry (with _match) or null. when(event) decides whether this
+ * route needs the lookup at all. ctx.enrichment summarizes the match for responses.
+ */
+function enrichStage({ fetchCallLog, when = () => true }) {
+  return {
+    name: "enrich",
+    async run(ctx) {
+      if (!when(ctx.event)) return;
+      ctx.convosoLog = await fetchCallLog(ctx.event);
+      ctx.enrichment = ctx.convosoLog
+        ? { convoso_log_id: ctx.convosoLog.id ?? null, ...ctx.convosoLog._match }
+        : { convoso_log_id: null, method: null, confidence: "none" };
+    }
+  };
+}
+
+/**
+ * findContacts(phone, payload, { tenant }) -> { contacts, policy, reason, candidates, cached, phoneFormat }.
+ */
+function resolveContactStage({ findContacts }) {
+  return {
+    name: "resolve_contact",
+    async run(ctx) {
+      ctx.match = await findContacts(ctx.event.phone, ctx.event.payload, { tenant: ctx.tenant });
+    }
+  };
+}
+
+/**
+ * build(event, convosoLog, tenant) -> { write, ... } where write is { type, payload } without the contact.
+ */
+function mapStage({ build }) {
+  return {
+    name: "map",
+    run(ctx) {
+      ctx.mapped = build(ctx.event, ctx.convosoLog, ctx.tenant);
+      ctx.write = ctx.mapped.write;
+    }
+  };
+}
+
+/**
+ * Dry-run previews, no contact parks, otherwise the write is queued per contact.
+ * preview(ctx, decision) / park(ctx) build responses; enqueue(ctx) -> jobs; respond(ctx) -> 202 body.
+ */
+function writeStage({ preview, park, enqueue, respond }) {
+  return {
+    name: "write",
+    run(ctx) {
+      const contacts = ctx.match?.contacts ?? [];
+      if (ctx.dryRun) return ctx.halt(200, preview(ctx, contacts.length ? "would_write" : "would_park"));
+      if (!contacts.length) return ctx.halt(200, park(ctx), "skipped_no_contact");
+      ctx.jobs = enqueue(ctx);
+      return ctx.halt(202, respond(ctx), ctx.write.type === "forth.createContactNote" ? "noted" : "created");
+    }
+  };
+}
+
+module.exports = {
+  createEventPipeline,
+  normalizeStage,
+  authenticateStage,
+  tenantStage,
+  dedupeStage,
+  enrichStage,
+  resolveContactStage,
+  mapStage,
+  mappedDedupeStage,
+  writeStage
+};
@@ -0,0 +1,315 @@
+const { logger, redactString } = require("./logger");
+const { readJsonFile, writeJsonFile } = require("./jsonFile");
+
+// Refresh this long before the token expires
+const TOKEN_BUFFER_MS = 6 * 60 * 60 * 1000;
+// Forth tokens expire every 10 days; used only when neither expires_in nor a JWT exp claim says otherwise
+const TOKEN_DEFAULT_TTL_MS = 9 * 24 * 60 * 60 * 1000;
+// setTimeout overflows past ~24.8 days
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// Where Forth has been seen to put the token in a refresh response, in the order they are tried
+const TOKEN_FIELDS = [
+  ["access_token"],
+  ["response", "access_token"],
+  ["response", "api_key"],
+  ["response", "token"],
+  ["response", "ApiKey"]
+];
+
+function readToken(body) {
+  for (const fieldPath of TOKEN_FIELDS) {
+    const value = fieldPath.reduce((o, k) => (o && typeof o === "object" ? o[k] : undefined), body);
+    if (typeof value === "string" && value) return { token: value, field: fieldPath.join(".") };
+  }
+  return null;
+}
+
+/**
+ * exp claim (ms) of a JWT, or null when the token is not a JWT or has no numeric exp. The signature is not
+ * checked: this only decides when to refresh, Forth still validates the token.
+ */
+function jwtExpiryMs(token) {
+  const parts = String(token).split(".");
+  if (parts.length !== 3) return null;
+  try {
+    const exp = JSON.parse(Buffer.from(parts[1], "base64url").toString("utf8"))?.exp;
+    return Number.isFinite(exp) && exp > 0 ? exp * 1000 : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * When a freshly issued token expires: the earlier of expires_in and the JWT exp claim, else the default TTL.
+ * Returns { expiresAt, source }.
+ */
+function tokenExpiry(token, expiresIn, now = Date.now()) {
+  const fromResponse = Number(expiresIn) > 0 ? now + Number(expiresIn) * 1000 : null;
+  const fromJwt = jwtExpiryMs(token);
+  if (fromResponse && fromJwt) return fromJwt < fromResponse ? { expiresAt: fromJwt, source: "jwt_exp" } : { expiresAt: fromResponse, source: "expires_in" };
+  if (fromResponse) return { expiresAt: fromResponse, source: "expires_in" };
+  if (fromJwt) return { expiresAt: fromJwt, source: "jwt_exp" };
+  return { expiresAt: now + TOKEN_DEFAULT_TTL_MS, source: "default_ttl" };
+}
+
+/**
+ * One Forth account: base URL, credentials and its access token lifecycle. Each tenant gets its own
+ * client, so tokens, refreshes and readiness never cross accounts.
+ * With keyId + apiSecret the token is refreshed before it expires (and once on a 401/403);
+ * without them apiKey is sent as-is.
+ * tokenFile keeps the token across restarts (only reused for the same keyId). start() refreshes on a timer set from
+ * the token's real expiry, retrying failures with jittered backoff (retryBaseMs doubled, up to retryMaxMs).
+ * After alertAfterFailures failed refreshes in a row, with the token expired or within alertWindowMs of it,
+ * alerts.fire() is called; alerts.resolve() once a refresh works again.
+ * onRefresh(result) is called with "ok" | "error" after every refresh attempt.
+ */
+function createForthClient({
+  tenant = "default",
+  baseUrl,
+  apiKey,
+  keyId,
+  apiSecret,
+  httpClient,
+  tokenFile = null,
+  retryBaseMs = 30 * 1000,
+  retryMaxMs = 15 * 60 * 1000,
+  alertAfterFailures = 3,
+  alertWindowMs = TOKEN_BUFFER_MS,
+  alerts = null,
+  onRefresh = () => {},
+  log = logger.child({ component: "forth-auth", tenant })
+}) {
+  const hasRefreshCreds = Boolean(keyId && apiSecret);
+  let accessToken = apiKey || null;
+  let expiresAt = 0;
+  let expirySource = null;
+  let refreshPromise = null;
+  let missingCredsLogged = false;
+  let lastRefreshError = null;
+  let failures = 0;
+  let running = false;
+  let timer = null;
+  let nextRefreshAt = 0;
+  const alertKey = "forth_token_refresh:" + tenant;
+
+  // A token persisted by an earlier run is reused until it is due for refresh, so restarts do not hit /auth/token
+  if (hasRefreshCreds && tokenFile) {
+    const saved = readJsonFile(tokenFile, null);
+    const savedExpiresAt = Date.parse(saved?.expires_at ?? "");
+    if (saved?.key_id === keyId && saved.access_token && savedExpiresAt > Date.now()) {
+      accessToken = saved.access_token;
+      expiresAt = savedExpiresAt;
+      expirySource = "persisted";
+      log.info("loaded persisted token", { expires_at: saved.expires_at });
+    }
+  }
+
+  function persistToken() {
+    if (!tokenFile) return;
+    try {
+      writeJsonFile(tokenFile, { key_id: keyId, access_token: accessToken, expires_at: new Date(expiresAt).toISOString(), refreshed_at: new Date().toISOString() }, { mode: 0o600 });
+    } catch (e) {
+      log.error("persisting token failed", { error: e?.message ?? String(e) });
+    }
+  }
+
+  function retryDelayMs() {
+    const exp = Math.min(retryMaxMs, retryBaseMs * 2 ** Math.max(0, failures - 1));
+    // +/-20% jitter so tenants (and instances) that failed together do not retry in lockstep
+    return Math.round(exp * (0.8 + Math.random() * 0.4));
+  }
+
+  function schedule(delayMs) {
+    if (!running) return;
+    clearTimeout(timer);
+    const delay = Math.min(Math.max(0, delayMs), MAX_TIMER_MS);
+    nextRefreshAt = Date.now() + delay;
+    timer = setTimeout(() => refreshAccessToken().catch(() => {}), delay);
+    timer.unref?.();
+  }
+
+  function refreshFailed(e) {
+    failures += 1;
+    lastRefreshError = { at: new Date().toISOString(), error: redactString(e?.message ?? String(e)) };
+    onRefresh("error");
+    const retryMs = retryDelayMs();
+    log.error("refresh failed", { error: e?.message ?? String(e), consecutive_failures: failures, ...(running ? { retry_in_ms: retryMs } : {}) });
+    schedule(retryMs);
+    const remainingMs = accessToken && expiresAt ? expiresAt - Date.now() : 0;
+    if (alerts && failures >= alertAfterFailures && remainingMs <= alertWindowMs) {
+      const expiry = remainingMs > 0 ? "expires " + new Date(expiresAt).toISOString() : "has expired (or was never issued)";
+      alerts.fire(alertKey, `Forth token refresh for tenant ${tenant} has failed ${failures} times in a row; the token ${expiry}. Forth writes will fail once it is gone.`, {
+        tenant,
+        consecutive_failures: failures,
+        token_expires_at: expiresAt ? new Date(expiresAt).toISOString() : null,
+        last_error: lastRefreshError.error
+      }).catch(() => {});
+    }
+  }
+
+  async function refreshAccessToken() {
+    if (refreshPromise) return refreshPromise;
+    refreshPromise = (async () => {
+      try {
+        if (!hasRefreshCreds) throw new Error("FORTH_KEY_ID or FORTH_API_SECRET missing");
+        const r = await httpClient.fetch(`${baseUrl}/v1/auth/token`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ client_id: keyId, client_secret: apiSecret })
+        });
+        const j = await r.json();
+        // A null, array or scalar body is a failed refresh like any other, not a crash on Object.keys
+        if (j === null || typeof j !== "object" || Array.isArray(j)) {
+          throw new Error("Token response is not a JSON object (HTTP " + r.status + ", " + (Array.isArray(j) ? "array" : j === null ? "null" : typeof j) + ")");
+        }
+        log.info("token refresh response", {
+          status: r.status,
+          keys: Object.keys(j).sort(),
+          ...(typeof j.data === "object" && j.data !== null ? { data_keys: Object.keys(j.data).sort() } : {})
+        });
+        if (!r.ok) throw new Error(j.message ?? j.error ?? "HTTP " + r.status);
+        const found = readToken(j);
+        if (!found) throw new Error("No access_token in response (keys=" + JSON.stringify(Object.keys(j)) + ", response_keys=" + JSON.stringify(Object.keys(j.response || {})) + ")");
+        const expiry = tokenExpiry(found.token, j.response?.expires_in ?? j.expires_in);
+        accessToken = found.token;
+        expiresAt = expiry.expiresAt;
+        expirySource = expiry.source;
+        persistToken();
+        lastRefreshError = null;
+        const recoveredAfter = failures;
+        failures = 0;
+        onRefresh("ok");
+        log.info("refreshed token", { expires_at: new Date(expiresAt).toISOString(), expiry_source: expirySource, token_field: found.field });
+        schedule(expiresAt - TOKEN_BUFFER_MS - Date.now());
+        if (alerts && recoveredAfter) {
+          alerts.resolve(alertKey, `Forth token refresh for tenant ${tenant} works again after ${recoveredAfter} failures.`, { tenant }).catch(() => {});
+        }
+        return accessToken;
+      } finally {
+        refreshPromise = null;
+      }
+    })();
+    try {
+      return await refreshPromise;
+    } catch (e) {
+      refreshFailed(e);
+      throw e;
+    }
+  }
+
+  /**
+   * Keep the token fresh on a timer. A token still outside the refresh buffer (e.g. persisted) is used as-is.
+   */
+  function start() {
+    if (!hasRefreshCreds || running) return;
+    running = true;
+    const dueInMs = accessToken && expiresAt ? expiresAt - TOKEN_BUFFER_MS - Date.now() : 0;
+    schedule(dueInMs);
+  }
+
+  function stop() {
+    running = false;
+    clearTimeout(timer);
+    timer = null;
+    nextRefreshAt = 0;
+  }
+
+  async function getApiKey() {
+    if (!hasRefreshCreds) {
+      if (!missingCredsLogged) {
+        missingCredsLogged = true;
+        log.warn("missing creds; using FORTH_API_KEY only");
+      }
+      return apiKey || "";
+    }
+    const now = Date.now();
+    // With the timer running it refreshes ahead of expiry (and retries), so requests only refresh a token that is gone
+    if (accessToken && now < expiresAt && (running || now < expiresAt - TOKEN_BUFFER_MS)) return accessToken;
+    return refreshAccessToken();
+  }
+
+  async function forthFetch(url, options) {
+    const key = await getApiKey();
+    const headers = { ...options?.headers, "Api-Key": key };
+    let r = await httpClient.fetch(url, { ...options, headers });
+    if (r.status === 401 || r.status === 403) {
+      log.warn("token rejected, refreshing and retrying once", { status: r.status });
+      accessToken = null;
+      expiresAt = 0;
+      const newKey = await refreshAccessToken();
+      const retryHeaders = { ...options?.headers, "Api-Key": newKey };
+      r = await httpClient.fetch(url, { ...options, headers: retryHeaders });
+    }
+    return r;
+  }
+
+  const url = (pathname) => baseUrl + pathname;
+
+  /**
+   * JSON request to a Forth path. Returns { status, body }.
+   */
+  async function request(method, pathname, body) {
+    const r = await forthFetch(url(pathname), {
+      method,
+      ...(body !== undefined ? { headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) } : {})
+    });
+    const j = await r.json();
+    return { status: r.status, body: j };
+  }
+
+  const contactPath = (contactId) => `/v1/contacts/${encodeURIComponent(contactId)}`;
+
+  /**
+   * Readiness: can we authenticate to this account right now?
+   * With refresh creds we need an unexpired token; without them apiKey must be set.
+   */
+  function readiness() {
+    if (!hasRefreshCreds) {
+      const ok = Boolean(apiKey);
+      return { ok, mode: "static_key", reason: ok ? null : "FORTH_API_KEY not set" };
+    }
+    const ok = Boolean(accessToken) && Date.now() < expiresAt;
+    return {
+      ok,
+      mode: "refresh",
+      token_expires_at: expiresAt ? new Date(expiresAt).toISOString() : null,
+      expiry_source: expirySource,
+      next_refresh_at: nextRefreshAt ? new Date(nextRefreshAt).toISOString() : null,
+      consecutive_failures: failures,
+      last_refresh_error: lastRefreshError,
+      reason: ok ? null : accessToken ? "token expired" : "no token yet"
+    };
+  }
+
+  return {
+    tenant,
+    baseUrl,
+    host: new URL(baseUrl).host,
+    hasRefreshCreds,
+    url,
+    contactPath,
+    refreshAccessToken,
+    start,
+    stop,
+    fetch: forthFetch,
+    readiness,
+    tokenExpiresAt: () => expiresAt,
+    refreshFailures: () => failures,
+    searchContactByPhone: (phone) => request("GET", `/v1/contacts/search_by_phone/${encodeURIComponent(phone)}`),
+    getContact: (contactId) => request("GET", contactPath(contactId)),
+    createContact: (contact) => request("POST", "/v1/contacts", contact),
+    updateContact: (contactId, contact) => request("PUT", contactPath(contactId), contact),
+    createContactNote: (contactId, noteBody) => request("POST", contactPath(contactId) + "/notes", noteBody),
+    // Calendar events / tasks on a contact (Convoso callbacks)
+    createContactEvent: (contactId, event) => request("POST", contactPath(contactId) + "/events", event),
+    updateContactEvent: (contactId, eventId, event) => request("PUT", contactPath(contactId) + `/events/${encodeURIComponent(eventId)}`, event),
+    createContactTask: (contactId, task) => request("POST", contactPath(contactId) + "/tasks", task),
+    updateContactTask: (contactId, taskId, task) => request("PUT", contactPath(contactId) + `/tasks/${encodeURIComponent(taskId)}`, task),
+    createCall: (payload) => request("POST", "/v1/calls", payload),
+    // Update an existing Forth call (used to add recording_url once Convoso has the recording)
+    updateCall: (callId, fields) => request("PUT", `/v1/calls/${encodeURIComponent(callId)}`, fields)
+  };
+}
+
+module.exports = { createForthClient, tokenExpiry, jwtExpiryMs };
@@ -0,0 +1,148 @@
+const { logger } = require("./logger");
+
+/**
+ * Outbound HTTP client shared by the Forth and Convoso calls.
+ * Each host gets a token bucket (ratePerSec, burst) and a max-in-flight cap; waiting requests are served FIFO.
+ * A 429 pauses the whole host for Retry-After (or an exponential default) and the request is retried.
+ */
+
+function abortError() {
+  const e = new Error("The operation was aborted");
+  e.name = "AbortError";
+  return e;
+}
+
+/**
+ * Retry-After is either delta-seconds or an HTTP date. Returns ms, or null when absent/unparseable.
+ */
+function parseRetryAfter(value) {
+  if (value == null || value === "") return null;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(value);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
+function createHostLimiter({ ratePerSec, burst, maxInFlight }) {
+  let tokens = burst;
+  let lastRefill = Date.now();
+  let inFlight = 0;
+  let blockedUntil = 0;
+  let timer = null;
+  const waiters = [];
+  const stats = { requests: 0, throttled: 0, rateLimited: 0 };
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + ((now - lastRefill) / 1000) * ratePerSec);
+    lastRefill = now;
+  }
+
+  function pump() {
+    if (timer) return;
+    while (waiters.length) {
+      if (inFlight >= maxInFlight) return; // release() pumps again
+      refill();
+      const now = Date.now();
+      let waitMs = 0;
+      if (blockedUntil > now) waitMs = blockedUntil - now;
+      else if (tokens < 1) waitMs = Math.ceil(((1 - tokens) / ratePerSec) * 1000);
+      if (waitMs > 0) {
+        timer = setTimeout(() => {
+          timer = null;
+          pump();
+        }, waitMs);
+        return;
+      }
+      tokens -= 1;
+      inFlight += 1;
+      waiters.shift().resolve();
+    }
+  }
+
+  function acquire(signal) {
+    if (signal?.aborted) return Promise.reject(abortError());
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      const onAbort = () => {
+        const i = waiters.indexOf(waiter);
+        if (i >= 0) waiters.splice(i, 1);
+        reject(abortError());
+      };
+      waiter.resolve = () => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve();
+      };
+      signal?.addEventListener("abort", onAbort, { once: true });
+      waiters.push(waiter);
+      stats.requests += 1;
+      pump();
+      if (waiters.includes(waiter)) stats.throttled += 1;
+    });
+  }
+
+  function release() {
+    inFlight -= 1;
+    pump();
+  }
+
+  function block(ms) {
+    blockedUntil = Math.max(blockedUntil, Date.now() + ms);
+    stats.rateLimited += 1;
+  }
+
+  function metrics() {
+    return { ...stats, queued: waiters.length, inFlight, blockedUntil: blockedUntil > Date.now() ? blockedUntil : 0 };
+  }
+
+  return { acquire, release, block, metrics };
+}
+
+/**
+ * hostLimits: { [host]: { ratePerSec, burst, maxInFlight } }; unknown hosts use defaultLimit.
+ * fetch(url, options) has the same signature as global fetch; options.signal also cancels queue waits.
+ * onResponse({ host, method, status, durationMs }) fires per HTTP attempt (status 0 on network error).
+ */
+function createHttpClient({ hostLimits = {}, defaultLimit = { ratePerSec: 5, burst: 10, maxInFlight: 4 }, max429Retries = 3, maxRetryAfterMs = 120000, log = logger.child({ component: "http" }), onResponse = () => {} } = {}) {
+  const limiters = new Map();
+
+  function limiterFor(host) {
+    if (!limiters.has(host)) limiters.set(host, createHostLimiter({ ...defaultLimit, ...hostLimits[host] }));
+    return limiters.get(host);
+  }
+
+  async function clientFetch(url, options) {
+    const host = new URL(url).host;
+    const limiter = limiterFor(host);
+    for (let attempt = 0; ; attempt++) {
+      await limiter.acquire(options?.signal);
+      let r;
+      const started = Date.now();
+      try {
+        r = await fetch(url, options);
+      } finally {
+        limiter.release();
+        onResponse({ host, method: options?.method ?? "GET", status: r?.status ?? 0, durationMs: Date.now() - started });
+      }
+      if (r.status !== 429) return r;
+      const waitMs = parseRetryAfter(r.headers.get("retry-after")) ?? Math.min(60000, 1000 * 2 ** attempt);
+      if (attempt >= max429Retries || waitMs > maxRetryAfterMs) {
+        log.warn("429, giving up", { host, attempts: attempt + 1, retry_after_ms: waitMs });
+        return r;
+      }
+      await r.arrayBuffer().catch(() => {});
+      limiter.block(waitMs);
+      log.warn("429, pausing host", { host, pause_ms: waitMs, retry: attempt + 1, max_retries: max429Retries });
+    }
+  }
+
+  function metrics() {
+    const out = {};
+    for (const [host, limiter] of limiters.entries()) out[host] = limiter.metrics();
+    return out;
+  }
+
+  return { fetch: clientFetch, metrics };
+}
+
+module.exports = { createHttpClient, parseRetryAfter };
@@ -0,0 +1,178 @@
+const crypto = require("crypto");
+const { readJsonFile, writeJsonFile } = require("./jsonFile");
+const { logger, runOutsideRequest } = require("./logger");
+
+/**
+ * Error a job handler throws to control retries. retryable=false sends the job straight to dead-letter.
+ */
+class JobError extends Error {
+  constructor(message, { retryable = true, status } = {}) {
+    super(message);
+    this.name = "JobError";
+    this.retryable = retryable;
+    this.status = status;
+  }
+}
+
+/**
+ * Persisted job queue with exponential backoff and a dead-letter list.
+ * State lives in one JSON file ({ jobs, dead }) rewritten on every change, so pending work survives restarts.
+ * Only one instance should run the worker against a given file.
+ *
+ * handlers: { [type]: async (payload, job) => result } — throw JobError to control retry.
+ * onSettled(job, { status: "done" | "retry" | "dead", result, error }) runs after every attempt.
+ */
+function createJobQueue({ name, filePath, handlers, maxAttempts = 8, baseDelayMs = 30000, maxDelayMs = 60 * 60 * 1000, pollMs = 5000, onSettled = () => {} }) {
+  const state = readJsonFile(filePath, { jobs: [], dead: [] });
+  state.jobs = Array.isArray(state.jobs) ? state.jobs : [];
+  state.dead = Array.isArray(state.dead) ? state.dead : [];
+  let draining = null;
+  let timer = null;
+  const log = logger.child({ component: name });
+
+  function persist() {
+    writeJsonFile(filePath, state);
+  }
+
+  // Kick a drain on the next tick, outside the caller's request; a failed pass is logged like a polled one
+  function drainSoon() {
+    runOutsideRequest(() => setImmediate(() => {
+      drain().catch((e) => log.error("drain failed", { error: e?.message ?? String(e) }));
+    }));
+  }
+
+  // Jobs run outside the request, so carry the originating request_id on every line
+  const jobFields = (job) => ({ job_id: job.id, type: job.type, attempts: job.attempts, request_id: job.meta?.request_id ?? undefined });
+
+  // A broken observer must not fail the job
+  function settled(job, outcome) {
+    try {
+      onSettled(job, outcome);
+    } catch (e) {
+      log.error("onSettled failed", { ...jobFields(job), error: e?.message ?? String(e) });
+    }
+  }
+
+  function backoffMs(attempts) {
+    const exp = Math.min(maxDelayMs, baseDelayMs * 2 ** Math.max(0, attempts - 1));
+    // +/-20% jitter so a burst of failures does not retry in lockstep
+    return Math.round(exp * (0.8 + Math.random() * 0.4));
+  }
+
+  /**
+   * delayMs holds the first attempt back (e.g. to let related events merge into the job first).
+   */
+  function enqueue(type, payload, meta = {}, { delayMs = 0 } = {}) {
+    if (!handlers[type]) throw new Error("no handler for job type " + type);
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      payload,
+      meta,
+      attempts: 0,
+      createdAt: new Date().toISOString(),
+      nextAttemptAt: Date.now() + delayMs,
+      lastError: null
+    };
+    state.jobs.push(job);
+    persist();
+    log.info("enqueued", jobFields(job));
+    drainSoon();
+    return job;
+  }
+
+  async function runJob(job) {
+    job.attempts += 1;
+    try {
+      const result = await handlers[job.type](job.payload, job);
+      state.jobs = state.jobs.filter((j) => j.id !== job.id);
+      persist();
+      log.info("done", jobFields(job));
+      settled(job, { status: "done", result });
+      return result;
+    } catch (e) {
+      const retryable = e?.retryable !== false;
+      job.lastError = e?.message ?? String(e);
+      const dead = !retryable || job.attempts >= maxAttempts;
+      if (dead) {
+        state.jobs = state.jobs.filter((j) => j.id !== job.id);
+        state.dead.push({ ...job, deadAt: new Date().toISOString() });
+        log.error("dead-lettered", { ...jobFields(job), error: job.lastError });
+      } else {
+        job.nextAttemptAt = Date.now() + backoffMs(job.attempts);
+        log.warn("retry scheduled", { ...jobFields(job), max_attempts: maxAttempts, delay_ms: job.nextAttemptAt - Date.now(), error: job.lastError });
+      }
+      persist();
+      settled(job, { status: dead ? "dead" : "retry", error: job.lastError });
+      return undefined;
+    }
+  }
+
+  // Process due jobs; jobs run one at a time to keep Forth write order stable.
+  // Concurrent callers share the in-progress pass, so awaiting drain() always means "nothing due is left".
+  function drain() {
+    if (!draining) {
+      draining = (async () => {
+        // Re-scan after each job so work enqueued mid-drain is picked up without waiting for the next poll
+        for (;;) {
+          const now = Date.now();
+          const next = state.jobs.filter((j) => j.nextAttemptAt <= now).sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)[0];
+          if (!next) break;
+          await runJob(next);
+        }
+      })().finally(() => {
+        draining = null;
+      });
+    }
+    return draining;
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => {
+      drain().catch((e) => log.error("drain failed", { error: e?.message ?? String(e) }));
+    }, pollMs);
+    timer.unref?.();
+    drainSoon();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  function retryDead(id) {
+    const picked = id ? state.dead.filter((j) => j.id === id) : state.dead.slice();
+    if (!picked.length) return [];
+    const ids = new Set(picked.map((j) => j.id));
+    state.dead = state.dead.filter((j) => !ids.has(j.id));
+    for (const j of picked) {
+      const job = { ...j, attempts: 0, nextAttemptAt: Date.now() };
+      delete job.deadAt;
+      state.jobs.push(job);
+    }
+    persist();
+    drainSoon();
+    return picked.map((j) => j.id);
+  }
+
+  function purgeDead(id) {
+    const before = state.dead.length;
+    state.dead = id ? state.dead.filter((j) => j.id !== id) : [];
+    persist();
+    return before - state.dead.length;
+  }
+
+  return {
+    enqueue,
+    drain,
+    start,
+    stop,
+    retryDead,
+    purgeDead,
+    pending: () => state.jobs.slice(),
+    dead: () => state.dead.slice()
+  };
+}
+
+module.exports = { createJobQueue, JobError };
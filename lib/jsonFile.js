@@ -0,0 +1,39 @@
+const fs = require("fs");
+const path = require("path");
+const { logger } = require("./logger");
+
+/**
+ * Read a JSON file; returns fallback when the file is missing or unreadable.
+ */
+function readJsonFile(filePath, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (e) {
+    if (e?.code !== "ENOENT") logger.warn("read failed", { component: "json-file", path: filePath, error: e?.message ?? String(e) });
+    return fallback;
+  }
+}
+
+/**
+ * Write JSON via temp file + rename so a crash mid-write never leaves a truncated file.
+ * mode sets the file permissions (e.g. 0o600 for credentials).
+ */
+function writeJsonFile(filePath, data, { mode } = {}) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmp = filePath + "." + process.pid + ".tmp";
+  fs.writeFileSync(tmp, JSON.stringify(data), mode ? { mode } : undefined);
+  fs.renameSync(tmp, filePath);
+}
+
+/**
+ * mtime in ms, or 0 when the file does not exist. Used to notice writes from another instance.
+ */
+function fileMtimeMs(filePath) {
+  try {
+    return fs.statSync(filePath).mtimeMs;
+  } catch (_) {
+    return 0;
+  }
+}
+
+module.exports = { readJsonFile, writeJsonFile, fileMtimeMs };
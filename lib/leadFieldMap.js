@@ -0,0 +1,109 @@
+const fs = require("fs");
+const { logger } = require("./logger");
+
+/**
+ * Default Convoso lead -> Forth contact mapping.
+ * Shape: { fields: { <forth field>: source }, custom_fields: { <forth custom field>: source } }
+ *   source - a Convoso lead field name, or a list of names where the first non-empty value wins
+ * The normalized lead also carries phone (national digits) and phoneE164 (from phone_code or the default country, see lib/phone.js).
+ */
+const DEFAULT_LEAD_FIELD_MAP = {
+  fields: {
+    first_name: "first_name",
+    last_name: "last_name",
+    email: "email",
+    phone: "phone",
+    address: "address1",
+    address2: "address2",
+    city: "city",
+    state: "state",
+    zip: ["postal_code", "zip"]
+  },
+  custom_fields: {
+    convoso_lead_id: "lead_id",
+    convoso_campaign_id: "campaign_id",
+    convoso_list_id: "list_id",
+    phone_e164: "phoneE164"
+  }
+};
+
+function compileSources(section, name) {
+  if (section == null) return {};
+  if (typeof section !== "object" || Array.isArray(section)) throw new Error("lead field map " + name + " must be an object");
+  const out = {};
+  for (const [target, source] of Object.entries(section)) {
+    const list = Array.isArray(source) ? source : [source];
+    if (!list.length || list.some((s) => typeof s !== "string" || !s)) {
+      throw new Error("lead field map " + name + "." + target + ": source must be a field name or a list of them");
+    }
+    out[target] = list;
+  }
+  return out;
+}
+
+/**
+ * Validate a raw config object. Throws on invalid config.
+ */
+function compileLeadFieldMap(raw) {
+  if (!raw || typeof raw !== "object") throw new Error("lead field map must be an object");
+  const fields = compileSources(raw.fields, "fields");
+  const customFields = compileSources(raw.custom_fields, "custom_fields");
+  if (!Object.keys(fields).length && !Object.keys(customFields).length) throw new Error("lead field map maps no fields");
+  return { fields, customFields, raw };
+}
+
+/**
+ * Load mapping from LEAD_FIELD_MAP_JSON (inline JSON) or LEAD_FIELD_MAP_FILE (path to JSON).
+ * Falls back to DEFAULT_LEAD_FIELD_MAP when neither is set or the config is invalid.
+ */
+function loadLeadFieldMap(env = process.env) {
+  let raw = null;
+  let source = "default";
+  try {
+    if (env.LEAD_FIELD_MAP_JSON) {
+      raw = JSON.parse(env.LEAD_FIELD_MAP_JSON);
+      source = "env";
+    } else if (env.LEAD_FIELD_MAP_FILE) {
+      raw = JSON.parse(fs.readFileSync(env.LEAD_FIELD_MAP_FILE, "utf8"));
+      source = "file:" + env.LEAD_FIELD_MAP_FILE;
+    }
+    if (raw) return { ...compileLeadFieldMap(raw), source };
+  } catch (e) {
+    logger.warn("invalid lead field map config, using defaults", { component: "lead-field-map", source, error: e?.message ?? String(e) });
+  }
+  return { ...compileLeadFieldMap(DEFAULT_LEAD_FIELD_MAP), source: "default" };
+}
+
+function pickValue(lead, sources) {
+  for (const s of sources) {
+    const v = lead[s];
+    if (v != null && String(v).trim() !== "") return String(v).trim();
+  }
+  return undefined;
+}
+
+/**
+ * Map a normalized Convoso lead to a Forth contact body. Empty lead values are left out,
+ * so an update never blanks a field Convoso did not send. custom_fields is omitted when empty.
+ */
+function mapLeadToContact(map, lead) {
+  const contact = {};
+  for (const [target, sources] of Object.entries(map.fields)) {
+    const v = pickValue(lead, sources);
+    if (v !== undefined) contact[target] = v;
+  }
+  const custom = {};
+  for (const [target, sources] of Object.entries(map.customFields)) {
+    const v = pickValue(lead, sources);
+    if (v !== undefined) custom[target] = v;
+  }
+  if (Object.keys(custom).length) contact.custom_fields = custom;
+  return contact;
+}
+
+module.exports = {
+  DEFAULT_LEAD_FIELD_MAP,
+  compileLeadFieldMap,
+  loadLeadFieldMap,
+  mapLeadToContact
+};
@@ -0,0 +1,137 @@
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+
+/**
+ * Structured JSON-line logger.
+ * Every line carries ts, level, component, msg and — inside a request — request_id and route,
+ * taken from AsyncLocalStorage so library code does not have to thread them through.
+ * Fields pass through one redaction policy (REDACT_POLICY) before they are written.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const requestContext = new AsyncLocalStorage();
+
+// Central field policy: key (lower-cased) -> how its value is redacted
+const REDACT_POLICY = {
+  phone: "phone",
+  phone_number: "phone",
+  primary_phone: "phone",
+  caller_id: "phone",
+  lead_phone: "phone",
+  phonee164: "phone",
+  phone_e164: "phone",
+  auth_token: "secret",
+  access_token: "secret",
+  api_key: "secret",
+  "api-key": "secret",
+  client_secret: "secret",
+  token: "secret",
+  secret: "secret",
+  authorization: "secret",
+  "x-shared-secret": "secret",
+  "x-admin-token": "secret",
+  notes: "text",
+  note: "text",
+  content: "text",
+  comments: "text",
+  call_notes: "text",
+  agent_comment: "text"
+};
+
+const SECRET_QUERY_RE = /\b(auth_token|access_token|api_key|client_secret|token)=([^&\s"']+)/gi;
+// Phones in free text: the value after a phone-named key (phone_number=..., "phone":"...", search_by_phone/...)
+// or anything written like a phone (+15551234567, (555) 123-4567, 555-123-4567). Bare digit runs are left
+// alone: they are as often epoch-ms timestamps or lead, log and job ids.
+const PHONE_KEYS = [...Object.keys(REDACT_POLICY).filter((k) => REDACT_POLICY[k] === "phone"), "search_by_phone"];
+const PHONE_FIELD_RE = new RegExp(`\\b(${PHONE_KEYS.join("|")})("?\\s*[:=]\\s*"?|/)([^&\\s"',/?]+)`, "gi");
+const PHONE_FORMAT_RE = /\+\d{10,15}\b|(?:\+?1[-. ])?(?:\(\d{3}\) ?|\b\d{3}[-.])\d{3}[-.]\d{4}\b/g;
+
+function maskPhone(value) {
+  const d = String(value ?? "").replace(/\D/g, "");
+  return d ? "***" + d.slice(-4) : "";
+}
+
+/**
+ * Scrub secrets in query strings and phone numbers (see PHONE_FIELD_RE / PHONE_FORMAT_RE) out of free text.
+ */
+function redactString(str) {
+  return String(str)
+    .replace(SECRET_QUERY_RE, "$1=[REDACTED]")
+    .replace(PHONE_FIELD_RE, (m, key, sep, value) => (/\d{4}/.test(value) ? key + sep + maskPhone(value) : m))
+    .replace(PHONE_FORMAT_RE, (m) => maskPhone(m));
+}
+
+function redactValue(key, value, depth = 0) {
+  const rule = key ? REDACT_POLICY[String(key).toLowerCase()] : undefined;
+  if (value == null) return value;
+  if (rule === "secret") return "[REDACTED]";
+  if (rule === "phone") return maskPhone(value);
+  if (rule === "text") return "[REDACTED len=" + String(value).length + "]";
+  if (typeof value === "string") return redactString(value);
+  if (typeof value !== "object" || depth > 6) return value;
+  if (value instanceof Error) return redactString(value.message);
+  if (Array.isArray(value)) return value.map((v) => redactValue(null, v, depth + 1));
+  const out = {};
+  for (const [k, v] of Object.entries(value)) out[k] = redactValue(k, v, depth + 1);
+  return out;
+}
+
+/**
+ * Apply the field policy to an object (also used for anything persisted for humans to read).
+ */
+function redact(fields) {
+  return redactValue(null, fields);
+}
+
+function createLogger({ level = process.env.LOG_LEVEL || "info", base = {}, write = (line) => process.stdout.write(line + "\n") } = {}) {
+  const min = LEVELS[level] ?? LEVELS.info;
+
+  function emit(lvl, msg, fields) {
+    if (LEVELS[lvl] < min) return;
+    const ctx = requestContext.getStore();
+    const line = {
+      ts: new Date().toISOString(),
+      level: lvl,
+      ...base,
+      msg: redactString(msg),
+      ...(ctx ? { request_id: ctx.requestId, route: ctx.route } : {}),
+      ...redact(fields ?? {})
+    };
+    write(JSON.stringify(line));
+  }
+
+  return {
+    debug: (msg, fields) => emit("debug", msg, fields),
+    info: (msg, fields) => emit("info", msg, fields),
+    warn: (msg, fields) => emit("warn", msg, fields),
+    error: (msg, fields) => emit("error", msg, fields),
+    child: (fields) => createLogger({ level, base: { ...base, ...fields }, write })
+  };
+}
+
+const logger = createLogger();
+
+/**
+ * Express middleware: assign a correlation ID (reusing a sane incoming X-Request-Id),
+ * echo it in the X-Request-Id response header and make it visible to every log line for this request.
+ */
+function requestIdMiddleware(req, res, next) {
+  const incoming = String(req.get("X-Request-Id") ?? "").trim();
+  const requestId = /^[\w.:-]{8,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  req.requestId = requestId;
+  res.set("X-Request-Id", requestId);
+  requestContext.run({ requestId, route: req.path }, next);
+}
+
+function currentRequestId() {
+  return requestContext.getStore()?.requestId ?? null;
+}
+
+/**
+ * Run fn detached from the current request context (for background work kicked off by a request).
+ */
+function runOutsideRequest(fn) {
+  return requestContext.exit(fn);
+}
+
+module.exports = { logger, createLogger, redact, redactString, maskPhone, requestIdMiddleware, currentRequestId, runOutsideRequest, REDACT_POLICY };
@@ -0,0 +1,131 @@
+/**
+ * Minimal Prometheus registry: counters, gauges and histograms with labels, rendered in text format 0.0.4.
+ * Gauges can also be computed at scrape time via collect().
+ */
+
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map((k) => [k, String(labels[k])]));
+}
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labels, extra) {
+  const all = { ...labels, ...extra };
+  const keys = Object.keys(all);
+  if (!keys.length) return "";
+  return "{" + keys.map((k) => k + '="' + escapeLabel(all[k]) + '"').join(",") + "}";
+}
+
+function formatValue(v) {
+  if (v === Infinity) return "+Inf";
+  if (v === -Infinity) return "-Inf";
+  return String(v);
+}
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function createRegistry() {
+  const metrics = [];
+  const collectors = [];
+
+  function register(metric) {
+    metrics.push(metric);
+    return metric;
+  }
+
+  function counter(name, help) {
+    const series = new Map();
+    return register({
+      name,
+      help,
+      type: "counter",
+      inc(labels = {}, by = 1) {
+        const k = labelKey(labels);
+        const s = series.get(k) ?? { labels, value: 0 };
+        s.value += by;
+        series.set(k, s);
+      },
+      // Mirror a monotonic count that is tracked elsewhere (read at scrape time)
+      set(labels, value) {
+        series.set(labelKey(labels), { labels, value });
+      },
+      lines: () => [...series.values()].map((s) => name + formatLabels(s.labels) + " " + formatValue(s.value))
+    });
+  }
+
+  function gauge(name, help) {
+    const series = new Map();
+    return register({
+      name,
+      help,
+      type: "gauge",
+      set(labels, value) {
+        if (typeof labels !== "object" || labels === null) {
+          value = labels;
+          labels = {};
+        }
+        series.set(labelKey(labels), { labels, value });
+      },
+      lines: () => [...series.values()].map((s) => name + formatLabels(s.labels) + " " + formatValue(s.value))
+    });
+  }
+
+  function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const series = new Map();
+    return register({
+      name,
+      help,
+      type: "histogram",
+      observe(labels, value) {
+        const k = labelKey(labels);
+        const s = series.get(k) ?? { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        buckets.forEach((b, i) => {
+          if (value <= b) s.counts[i] += 1;
+        });
+        s.sum += value;
+        s.count += 1;
+        series.set(k, s);
+      },
+      lines: () => {
+        const out = [];
+        for (const s of series.values()) {
+          buckets.forEach((b, i) => out.push(name + "_bucket" + formatLabels(s.labels, { le: formatValue(b) }) + " " + s.counts[i]));
+          out.push(name + "_bucket" + formatLabels(s.labels, { le: "+Inf" }) + " " + s.count);
+          out.push(name + "_sum" + formatLabels(s.labels) + " " + formatValue(s.sum));
+          out.push(name + "_count" + formatLabels(s.labels) + " " + s.count);
+        }
+        return out;
+      }
+    });
+  }
+
+  /**
+   * fn runs before every render; use it to refresh gauges from live state.
+   */
+  function collect(fn) {
+    collectors.push(fn);
+  }
+
+  function render() {
+    for (const fn of collectors) {
+      try {
+        fn();
+      } catch (_) {
+        // a broken collector must not take down the scrape
+      }
+    }
+    const out = [];
+    for (const m of metrics) {
+      out.push("# HELP " + m.name + " " + m.help);
+      out.push("# TYPE " + m.name + " " + m.type);
+      out.push(...m.lines());
+    }
+    return out.join("\n") + "\n";
+  }
+
+  return { counter, gauge, histogram, collect, render };
+}
+
+module.exports = { createRegistry, DEFAULT_BUCKETS };
@@ -0,0 +1,139 @@
+const crypto = require("crypto");
+const { readJsonFile, writeJsonFile } = require("./jsonFile");
+const { logger } = require("./logger");
+
+const log = logger.child({ component: "parking" });
+
+/**
+ * Parking lot for webhook events whose phone matched no Forth contact yet.
+ * Each event keeps the normalized Convoso payload, the enrichment and the Forth write it was about to make,
+ * so it can be posted later without Convoso resending anything.
+ * Status: "parked" (reconciler still looking) -> "attached" | "expired".
+ */
+function createParkingLot({ filePath }) {
+  const state = readJsonFile(filePath, { events: [] });
+  state.events = Array.isArray(state.events) ? state.events : [];
+
+  function persist() {
+    writeJsonFile(filePath, state);
+  }
+
+  /**
+   * Park an event. When dedupeKey matches an event that is still parked, that event is returned instead.
+   */
+  function park({ route, tenant, phone, leadId, dedupeKey, dedupeClaimed = false, convoso, enrichment, write, windowMs }) {
+    if (dedupeKey) {
+      const existing = state.events.find((e) => e.dedupeKey === dedupeKey && e.status === "parked");
+      if (existing) return existing;
+    }
+    const now = Date.now();
+    const event = {
+      id: crypto.randomUUID(),
+      status: "parked",
+      route,
+      tenant: tenant ?? null,
+      phone,
+      leadId: leadId ?? null,
+      dedupeKey: dedupeKey ?? null,
+      dedupeClaimed,
+      convoso,
+      enrichment: enrichment ?? null,
+      write,
+      parkedAt: new Date(now).toISOString(),
+      reconcileUntil: now + windowMs,
+      lookups: 0,
+      lastLookupAt: null,
+      attachedTo: null,
+      jobIds: []
+    };
+    state.events.push(event);
+    persist();
+    return event;
+  }
+
+  function update(id, changes) {
+    const event = state.events.find((e) => e.id === id);
+    if (!event) return null;
+    Object.assign(event, changes);
+    persist();
+    return event;
+  }
+
+  function remove(id) {
+    const before = state.events.length;
+    state.events = state.events.filter((e) => e.id !== id);
+    if (state.events.length !== before) persist();
+    return before !== state.events.length;
+  }
+
+  return {
+    park,
+    update,
+    remove,
+    get: (id) => state.events.find((e) => e.id === id) ?? null,
+    list: (status) => state.events.filter((e) => !status || e.status === status)
+  };
+}
+
+/**
+ * Periodically retry the contact lookup for parked events until their window runs out.
+ * lookup(event) -> contacts[]; deliver(event, contacts) -> { jobIds, skipped? }
+ */
+function createReconciler({ parkingLot, lookup, deliver, intervalMs }) {
+  let running = false;
+  let timer = null;
+
+  async function reconcileOnce() {
+    if (running) return { checked: 0, attached: 0, expired: 0 };
+    running = true;
+    const summary = { checked: 0, attached: 0, expired: 0 };
+    try {
+      for (const event of parkingLot.list("parked")) {
+        if (Date.now() > event.reconcileUntil) {
+          parkingLot.update(event.id, { status: "expired" });
+          summary.expired += 1;
+          log.info("expired", { parked_id: event.id, parked_route: event.route });
+          continue;
+        }
+        summary.checked += 1;
+        try {
+          const contacts = await lookup(event);
+          parkingLot.update(event.id, { lookups: event.lookups + 1, lastLookupAt: new Date().toISOString() });
+          if (!contacts.length) continue;
+          const delivered = await deliver(event, contacts);
+          parkingLot.update(event.id, {
+            status: "attached",
+            attachedTo: contacts.map((c) => c.id),
+            attachedAt: new Date().toISOString(),
+            jobIds: delivered.jobIds,
+            skipped: delivered.skipped ?? null
+          });
+          summary.attached += 1;
+          log.info("attached", { parked_id: event.id, contact_ids: contacts.map((c) => c.id) });
+        } catch (e) {
+          log.error("reconcile failed", { parked_id: event.id, error: e?.message ?? String(e) });
+        }
+      }
+    } finally {
+      running = false;
+    }
+    return summary;
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => {
+      reconcileOnce().catch((e) => log.error("reconcile loop failed", { error: e?.message ?? String(e) }));
+    }, intervalMs);
+    timer.unref?.();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { reconcileOnce, start, stop };
+}
+
+module.exports = { createParkingLot, createReconciler };
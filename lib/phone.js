@@ -0,0 +1,133 @@
+/**
+ * Phone numbers between Convoso and Forth. Convoso sends the number as typed (national digits, sometimes with a
+ * country prefix, punctuation or an extension) and the country calling code separately in phone_code; Forth finds
+ * a contact only by the exact format it was stored in. parsePhone reads either into E.164.
+ * Config (env):
+ *   PHONE_DEFAULT_COUNTRY - country of numbers without "+" or phone_code: ISO code (US, GB, ...) or calling code
+ *                           (default US)
+ *   PHONE_SEARCH_FORMATS  - formats tried against Forth contact search, in order (see phoneSearchCandidates)
+ */
+
+// ISO country -> calling code, for PHONE_DEFAULT_COUNTRY (a calling code works for any other country)
+const COUNTRY_CALLING_CODES = {
+  US: "1", CA: "1", PR: "1", DO: "1", JM: "1",
+  MX: "52", BR: "55", AR: "54", CO: "57", CL: "56", PE: "51",
+  GB: "44", IE: "353", DE: "49", FR: "33", ES: "34", IT: "39", NL: "31", BE: "32", PT: "351", CH: "41", AT: "43",
+  SE: "46", NO: "47", DK: "45", FI: "358", PL: "48",
+  AU: "61", NZ: "64", IN: "91", PH: "63", SG: "65", JP: "81", KR: "82", CN: "86",
+  ZA: "27", IL: "972", AE: "971"
+};
+
+// Calling codes are prefix-free: 1 and 7 are the only one-digit codes, these the only two-digit ones, the rest three
+const TWO_DIGIT_CODES = new Set([
+  "20", "27", "30", "31", "32", "33", "34", "36", "39", "40", "41", "43", "44", "45", "46", "47", "48", "49",
+  "51", "52", "53", "54", "55", "56", "57", "58", "60", "61", "62", "63", "64", "65", "66",
+  "81", "82", "84", "86", "90", "91", "92", "93", "94", "95", "98"
+]);
+
+// Countries whose national numbers keep the leading 0 in E.164 (no trunk prefix)
+const KEEPS_LEADING_ZERO = new Set(["39"]);
+
+// "x123", "ext. 123", "extension 123", "#123", ";ext=123" (RFC 3966) after the number
+const EXTENSION_RE = /^(.*?\d)[\s.,-]*(?:;\s*ext=|ext(?:ension)?\.?:?|x|#)\s*(\d{1,7})\s*$/i;
+
+const FORMATS = ["national", "e164", "e164_digits", "dashed"];
+
+function callingCodeLength(digits) {
+  if (digits[0] === "1" || digits[0] === "7") return 1;
+  return TWO_DIGIT_CODES.has(digits.slice(0, 2)) ? 2 : 3;
+}
+
+/**
+ * Parse a phone number. "+" or "00" starts an international number; anything else is national to phoneCode, else
+ * defaultCallingCode. A country code typed in front of a national number is dropped (11 digits starting with 1 in
+ * NANP, more than 10 digits elsewhere), as is a trunk 0.
+ * Returns null without digits, else { e164, countryCode, national, extension, valid }; e164 is null when invalid
+ * (a NANP number that is not 10 digits, or outside E.164's 8-15 digits).
+ */
+function parsePhone(raw, { phoneCode, defaultCallingCode = "1" } = {}) {
+  const text = String(raw ?? "").trim();
+  const ext = EXTENSION_RE.exec(text);
+  const number = ext ? ext[1] : text;
+  const digits = number.replace(/\D/g, "");
+  if (!digits) return null;
+  let countryCode;
+  let national;
+  if (number.startsWith("+") || /^00[1-9]/.test(digits)) {
+    const international = number.startsWith("+") ? digits : digits.slice(2);
+    countryCode = international.slice(0, callingCodeLength(international));
+    national = international.slice(countryCode.length);
+  } else {
+    countryCode = String(phoneCode ?? "").replace(/\D/g, "") || defaultCallingCode;
+    national = digits;
+    if (countryCode === "1") {
+      if (national.length === 11 && national.startsWith("1")) national = national.slice(1);
+    } else {
+      if (national.length > 10 && national.startsWith(countryCode)) national = national.slice(countryCode.length);
+      if (national.startsWith("0") && !KEEPS_LEADING_ZERO.has(countryCode)) national = national.slice(1);
+    }
+  }
+  const length = countryCode.length + national.length;
+  const valid = countryCode === "1" ? national.length === 10 : length >= 8 && length <= 15;
+  return { e164: valid ? "+" + countryCode + national : null, countryCode, national, extension: ext ? ext[2] : null, valid };
+}
+
+/**
+ * National digits of a raw number, extension dropped: what Convoso keeps in phone_number next to phone_code, and
+ * what webhooks are keyed by (dedupe, parking).
+ */
+function normalizePhone(raw, { phoneCode, defaultCallingCode = "1" } = {}) {
+  return parsePhone(raw, { phoneCode, defaultCallingCode })?.national ?? "";
+}
+
+/**
+ * Values to search Forth contacts by, in formats order and without repeats: [{ format, value }].
+ *   national    - 5551230001; default-country numbers only (elsewhere the same digits are another number)
+ *   e164        - +15551230001
+ *   e164_digits - 15551230001
+ *   dashed      - 555-123-4567; default-country NANP numbers only
+ * An invalid number is only searched as its national digits.
+ */
+function phoneSearchCandidates(parsed, { formats = FORMATS, defaultCallingCode = "1" } = {}) {
+  if (!parsed) return [];
+  const domestic = parsed.countryCode === defaultCallingCode;
+  const values = {
+    national: domestic || !parsed.valid ? parsed.national : null,
+    e164: parsed.e164,
+    e164_digits: parsed.e164 ? parsed.e164.slice(1) : null,
+    dashed: domestic && parsed.valid && parsed.countryCode === "1"
+      ? `${parsed.national.slice(0, 3)}-${parsed.national.slice(3, 6)}-${parsed.national.slice(6)}`
+      : null
+  };
+  const seen = new Set();
+  const out = [];
+  for (const format of formats) {
+    const value = values[format];
+    if (!value || seen.has(value)) continue;
+    seen.add(value);
+    out.push({ format, value });
+  }
+  return out;
+}
+
+/**
+ * Load the phone config. Throws on an unknown country or search format, like a bad timezone: either would make
+ * every lookup miss quietly.
+ */
+function loadPhoneConfig(env = process.env) {
+  const country = String(env.PHONE_DEFAULT_COUNTRY ?? "").trim().toUpperCase() || "US";
+  const defaultCallingCode = /^\+?\d{1,3}$/.test(country) ? country.replace("+", "") : COUNTRY_CALLING_CODES[country];
+  if (!defaultCallingCode) throw new Error("PHONE_DEFAULT_COUNTRY: unknown country " + JSON.stringify(country) + " (use an ISO code or a calling code)");
+  const formats = String(env.PHONE_SEARCH_FORMATS ?? "").split(",").map((f) => f.trim().toLowerCase()).filter(Boolean);
+  const unknown = formats.filter((f) => !FORMATS.includes(f));
+  if (unknown.length) throw new Error("PHONE_SEARCH_FORMATS: unknown format " + unknown.join(", ") + " (use " + FORMATS.join(", ") + ")");
+  return { defaultCountry: country, defaultCallingCode, searchFormats: formats.length ? formats : FORMATS };
+}
+
+module.exports = {
+  parsePhone,
+  normalizePhone,
+  phoneSearchCandidates,
+  loadPhoneConfig,
+  PHONE_SEARCH_FORMATS: FORMATS
+};
@@ -0,0 +1,97 @@
+const fs = require("fs");
+const { logger } = require("./logger");
+
+const ACTIONS = ["update_status", "move_list", "dnc"];
+const EVENT_FIELDS = ["type", "status", "stage"];
+
+/**
+ * Default Forth -> Convoso rules. Every matching rule fires (a DNC request can also set a status).
+ * Rule shape: { name, action, fields?, pattern?, flags?, values?, status?, list_id? }
+ *   fields  - event fields to test: type, status, stage (default: status and stage)
+ *   pattern - regex tested against each field; values - exact, case-insensitive matches
+ *   action  - update_status (needs status) | move_list (needs list_id) | dnc
+ */
+const DEFAULT_REVERSE_SYNC_RULES = {
+  rules: [
+    { name: "do_not_call", pattern: "do.?not.?call|\\bdnc\\b", action: "dnc" },
+    // Exact, so "Not Enrolled" or "Unenrolled - pending" never reads as enrolled
+    { name: "enrolled", values: ["enrolled"], action: "update_status", status: "ENROLLED" }
+  ]
+};
+
+/**
+ * Validate a raw config object and compile its regexes. Throws on invalid config.
+ */
+function compileReverseSyncRules(raw) {
+  if (!raw || !Array.isArray(raw.rules)) throw new Error("reverse sync rules need a rules array");
+  const rules = raw.rules.map((r, i) => {
+    const name = r.name || "rule_" + i;
+    if (!ACTIONS.includes(r.action)) throw new Error("rule " + name + ": action must be one of " + ACTIONS.join(", "));
+    if (r.action === "update_status" && !r.status) throw new Error("rule " + name + ": update_status needs status");
+    if (r.action === "move_list" && r.list_id == null) throw new Error("rule " + name + ": move_list needs list_id");
+    if (r.pattern == null && r.values == null) throw new Error("rule " + name + ": needs pattern or values");
+    const fields = Array.isArray(r.fields) && r.fields.length ? r.fields.map(String) : ["status", "stage"];
+    for (const f of fields) {
+      if (!EVENT_FIELDS.includes(f)) throw new Error("rule " + name + ": unknown field " + f);
+    }
+    return {
+      name,
+      action: r.action,
+      status: r.status != null ? String(r.status) : null,
+      list_id: r.list_id != null ? String(r.list_id) : null,
+      fields,
+      regex: r.pattern != null ? new RegExp(String(r.pattern), r.flags ?? "i") : null,
+      values: Array.isArray(r.values) ? r.values.map((v) => String(v).trim().toLowerCase()) : null
+    };
+  });
+  return { rules, raw };
+}
+
+/**
+ * Load rules from REVERSE_SYNC_RULES_JSON (inline JSON) or REVERSE_SYNC_RULES_FILE (path to JSON).
+ * Falls back to DEFAULT_REVERSE_SYNC_RULES when neither is set or the config is invalid.
+ */
+function loadReverseSyncRules(env = process.env) {
+  let raw = null;
+  let source = "default";
+  try {
+    if (env.REVERSE_SYNC_RULES_JSON) {
+      raw = JSON.parse(env.REVERSE_SYNC_RULES_JSON);
+      source = "env";
+    } else if (env.REVERSE_SYNC_RULES_FILE) {
+      raw = JSON.parse(fs.readFileSync(env.REVERSE_SYNC_RULES_FILE, "utf8"));
+      source = "file:" + env.REVERSE_SYNC_RULES_FILE;
+    }
+    if (raw) return { ...compileReverseSyncRules(raw), source };
+  } catch (e) {
+    logger.warn("invalid reverse sync rules, using defaults", { component: "reverse-sync", source, error: e?.message ?? String(e) });
+  }
+  return { ...compileReverseSyncRules(DEFAULT_REVERSE_SYNC_RULES), source: "default" };
+}
+
+/**
+ * Every rule matching a normalized Forth event ({ type, status, stage }).
+ * Returns [{ rule, action, status, list_id, matched: { field, value } }].
+ */
+function matchReverseSyncRules(config, event) {
+  const out = [];
+  for (const rule of config.rules) {
+    for (const f of rule.fields) {
+      const v = String(event[f] ?? "").trim();
+      if (!v) continue;
+      if ((rule.values && rule.values.includes(v.toLowerCase())) || (rule.regex && rule.regex.test(v))) {
+        out.push({ rule: rule.name, action: rule.action, status: rule.status, list_id: rule.list_id, matched: { field: f, value: v } });
+        break;
+      }
+    }
+  }
+  return out;
+}
+
+module.exports = {
+  ACTIONS,
+  DEFAULT_REVERSE_SYNC_RULES,
+  compileReverseSyncRules,
+  loadReverseSyncRules,
+  matchReverseSyncRules
+};
@@ -0,0 +1,64 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { logger } = require("./logger");
+
+const log = logger.child({ component: "shadow-log" });
+
+/**
+ * Append-only JSON-lines log of dry-run results: what each webhook would have written to Forth.
+ * Also backs the reverse-sync audit trail (its own file).
+ * Rotates to <file>.1 once it passes maxBytes so it cannot fill the disk.
+ */
+function createShadowLog({ filePath, maxBytes = 20 * 1024 * 1024 }) {
+  function rotateIfNeeded() {
+    try {
+      if (fs.statSync(filePath).size > maxBytes) fs.renameSync(filePath, filePath + ".1");
+    } catch (_) {
+      // no file yet
+    }
+  }
+
+  function append(entry) {
+    const record = { id: crypto.randomUUID(), ts: new Date().toISOString(), ...entry };
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      rotateIfNeeded();
+      fs.appendFileSync(filePath, JSON.stringify(record) + "\n");
+    } catch (e) {
+      log.error("append failed", { error: e?.message ?? String(e) });
+    }
+    return record;
+  }
+
+  /**
+   * Most recent entries first. filter: { route, since (ISO), limit }
+   */
+  function list({ route, since, limit = 100 } = {}) {
+    let lines = [];
+    for (const p of [filePath + ".1", filePath]) {
+      try {
+        lines = lines.concat(fs.readFileSync(p, "utf8").split("\n").filter(Boolean));
+      } catch (_) {
+        // missing file
+      }
+    }
+    const out = [];
+    for (let i = lines.length - 1; i >= 0 && out.length < limit; i--) {
+      let entry;
+      try {
+        entry = JSON.parse(lines[i]);
+      } catch (_) {
+        continue;
+      }
+      if (route && entry.route !== route) continue;
+      if (since && entry.ts < since) continue;
+      out.push(entry);
+    }
+    return out;
+  }
+
+  return { append, list };
+}
+
+module.exports = { createShadowLog };
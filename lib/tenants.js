@@ -0,0 +1,159 @@
+const fs = require("fs");
+const { compileDispositionMap } = require("./dispositionMap");
+const { isValidTimeZone } = require("./timestamps");
+
+const AUTH_MODES = ["static", "hmac", "either"];
+const DEFAULT_FORTH_BASE_URL = "https://api.forthcrm.com";
+
+/**
+ * Tenants: one Convoso account dialing for several companies, each with its own Forth account.
+ * Shape: { tenants: [{ id, default?, campaign_ids?, list_ids?, secrets?, auth_mode?, forth_webhook_secrets?,
+ *                      forth: { base_url?, api_key?, key_id?, api_secret?, timezone? }, disposition_map? }] }
+ *   campaign_ids / list_ids - Convoso campaign / list IDs routed to this tenant (each ID to one tenant only)
+ *   secrets                 - Convoso webhook secrets for this tenant (default: SHARED_SECRET / WEBHOOK_SECRETS)
+ *   forth_webhook_secrets   - secrets for this tenant's Forth -> us webhooks (default: FORTH_WEBHOOK_SECRETS)
+ *   forth                   - base_url defaults to FORTH_BASE_URL; credentials are never shared between tenants;
+ *                             timezone (IANA name) is what this account expects created_at in (default FORTH_TZ)
+ *   disposition_map         - inline disposition map (see lib/dispositionMap.js; default: the global one)
+ *   default                 - webhooks that match no campaign, list, path or tenant-only secret go here
+ * Any secret or credential may be given as "env:NAME" to read it from another env var.
+ */
+function resolveValue(value, env, name) {
+  if (value == null || value === "") return null;
+  const s = String(value);
+  if (!s.startsWith("env:")) return s;
+  const v = env[s.slice(4)];
+  if (!v) throw new Error(name + ": env var " + s.slice(4) + " is not set");
+  return v;
+}
+
+function idList(value, name) {
+  if (value == null) return [];
+  if (!Array.isArray(value)) throw new Error(name + " must be a list");
+  return value.map((v) => String(v).trim()).filter(Boolean);
+}
+
+/**
+ * Validate a raw config object. Throws on invalid config.
+ * defaults: { forthBaseUrl, forthTimeZone, secrets, forthWebhookSecrets, dispositionMap } inherited by tenants that leave them out.
+ */
+function compileTenants(raw, defaults, env = process.env) {
+  if (!raw || !Array.isArray(raw.tenants) || !raw.tenants.length) throw new Error("tenant config needs a non-empty tenants array");
+  const seen = { id: new Map(), campaign: new Map(), list: new Map() };
+  const claim = (kind, key, id) => {
+    if (seen[kind].has(key)) throw new Error("tenant " + id + ": " + kind + " " + key + " already belongs to tenant " + seen[kind].get(key));
+    seen[kind].set(key, id);
+  };
+  const tenants = raw.tenants.map((t, i) => {
+    const id = String(t.id ?? "").trim();
+    if (!/^[A-Za-z0-9_-]+$/.test(id)) throw new Error("tenant " + i + ": id must be letters, digits, - or _");
+    claim("id", id, id);
+    const forth = t.forth ?? {};
+    const apiKey = resolveValue(forth.api_key, env, "tenant " + id + " forth.api_key");
+    const keyId = resolveValue(forth.key_id, env, "tenant " + id + " forth.key_id");
+    const apiSecret = resolveValue(forth.api_secret, env, "tenant " + id + " forth.api_secret");
+    if (!apiKey && !(keyId && apiSecret)) throw new Error("tenant " + id + ": forth needs api_key or key_id + api_secret");
+    const baseUrl = String(forth.base_url || defaults.forthBaseUrl || DEFAULT_FORTH_BASE_URL).replace(/\/+$/, "");
+    new URL(baseUrl); // throws on a malformed base_url
+    const forthTimeZone = forth.timezone ?? defaults.forthTimeZone ?? "UTC";
+    if (!isValidTimeZone(forthTimeZone)) throw new Error("tenant " + id + ": forth.timezone " + JSON.stringify(forthTimeZone) + " is not a known timezone");
+    if (t.auth_mode != null && !AUTH_MODES.includes(t.auth_mode)) throw new Error("tenant " + id + ": auth_mode must be one of " + AUTH_MODES.join(", "));
+    const secrets = (value, name, fallback) =>
+      value == null ? fallback : idList(value, "tenant " + id + " " + name).map((s) => resolveValue(s, env, "tenant " + id + " " + name));
+    const campaignIds = idList(t.campaign_ids, "tenant " + id + " campaign_ids");
+    const listIds = idList(t.list_ids, "tenant " + id + " list_ids");
+    campaignIds.forEach((c) => claim("campaign", c, id));
+    listIds.forEach((l) => claim("list", l, id));
+    return {
+      id,
+      isDefault: t.default === true,
+      campaignIds,
+      listIds,
+      secrets: secrets(t.secrets, "secrets", defaults.secrets),
+      ownSecrets: t.secrets != null,
+      authMode: t.auth_mode ?? null,
+      forthWebhookSecrets: secrets(t.forth_webhook_secrets, "forth_webhook_secrets", defaults.forthWebhookSecrets),
+      forth: { baseUrl, apiKey, keyId, apiSecret },
+      forthTimeZone,
+      dispositionMap: t.disposition_map != null ? { ...compileDispositionMap(t.disposition_map), source: "tenant" } : defaults.dispositionMap
+    };
+  });
+  const marked = tenants.filter((t) => t.isDefault);
+  if (marked.length > 1) throw new Error("only one tenant can be the default");
+  if (!marked.length && tenants.length === 1) tenants[0].isDefault = true;
+  return { tenants, raw };
+}
+
+/**
+ * Load tenants from TENANTS_JSON (inline JSON) or TENANTS_FILE (path to JSON). Without either there is a single
+ * "default" tenant built from FORTH_BASE_URL / FORTH_API_KEY / FORTH_KEY_ID / FORTH_API_SECRET.
+ * Unlike the rule configs, an invalid tenant config throws: falling back would send every company's calls
+ * to one Forth account.
+ */
+function loadTenants(env, defaults) {
+  if (env.TENANTS_JSON || env.TENANTS_FILE) {
+    const source = env.TENANTS_JSON ? "env" : "file:" + env.TENANTS_FILE;
+    try {
+      const raw = JSON.parse(env.TENANTS_JSON || fs.readFileSync(env.TENANTS_FILE, "utf8"));
+      return { ...compileTenants(raw, defaults, env), source };
+    } catch (e) {
+      throw new Error("invalid tenant config (" + source + "): " + (e?.message ?? String(e)));
+    }
+  }
+  // A single-tenant deployment may start without Forth credentials (readiness reports it), so this skips compileTenants
+  const tenant = {
+    id: "default",
+    isDefault: true,
+    campaignIds: [],
+    listIds: [],
+    secrets: defaults.secrets,
+    ownSecrets: false,
+    authMode: null,
+    forthWebhookSecrets: defaults.forthWebhookSecrets,
+    forth: {
+      baseUrl: String(defaults.forthBaseUrl || DEFAULT_FORTH_BASE_URL).replace(/\/+$/, ""),
+      apiKey: env.FORTH_API_KEY || null,
+      keyId: env.FORTH_KEY_ID || null,
+      apiSecret: env.FORTH_API_SECRET || null
+    },
+    forthTimeZone: defaults.forthTimeZone ?? "UTC",
+    dispositionMap: defaults.dispositionMap
+  };
+  return { tenants: [tenant], raw: null, source: "env" };
+}
+
+/**
+ * Pick the tenant for a webhook. accepted: ids of the tenants whose secrets authenticated the request.
+ * Explicit routing (URL path, then campaign_id, then list_id) wins, but only to a tenant that accepted the secret.
+ * Otherwise: the only accepting tenant with its own secrets, else the default tenant.
+ * Returns { tenant, via } or { error, status }.
+ */
+function resolveTenant(tenants, { pathTenant, accepted, campaignId, listId }) {
+  const ok = (t) => accepted.includes(t.id);
+  let explicit = null;
+  if (pathTenant) {
+    explicit = { tenant: tenants.find((t) => t.id === pathTenant), via: "path" };
+  } else {
+    const byCampaign = campaignId ? tenants.find((t) => t.campaignIds.includes(String(campaignId))) : null;
+    const byList = listId ? tenants.find((t) => t.listIds.includes(String(listId))) : null;
+    if (byCampaign) explicit = { tenant: byCampaign, via: "campaign_id" };
+    else if (byList) explicit = { tenant: byList, via: "list_id" };
+  }
+  if (explicit) {
+    if (!explicit.tenant) return { error: "Unknown tenant", status: 404 };
+    if (!ok(explicit.tenant)) return { error: "Webhook secret is not valid for tenant " + explicit.tenant.id, status: 401 };
+    return explicit;
+  }
+  const bySecret = tenants.filter((t) => t.ownSecrets && ok(t));
+  if (bySecret.length === 1) return { tenant: bySecret[0], via: "secret" };
+  const def = tenants.find((t) => t.isDefault && ok(t));
+  if (def) return { tenant: def, via: "default" };
+  return { error: "Could not determine tenant (no campaign, list, path or secret match and no default tenant)", status: 400 };
+}
+
+module.exports = {
+  DEFAULT_FORTH_BASE_URL,
+  compileTenants,
+  loadTenants,
+  resolveTenant
+};
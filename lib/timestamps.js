@@ -0,0 +1,161 @@
+/**
+ * Timestamps between Convoso and Forth. Convoso sends wall-clock times ("YYYY-MM-DD HH:MM:SS") in the account's
+ * timezone, Forth takes created_at the same way in its own; this converts between the two through UTC so DST
+ * changes land on the right hour.
+ * Config (env, IANA names such as America/New_York; default UTC):
+ *   CONVOSO_WEBHOOK_TZ - timezone of times in Convoso webhooks
+ *   CONVOSO_API_TZ     - timezone of times in the Convoso call log API (default CONVOSO_WEBHOOK_TZ)
+ *   FORTH_TZ           - timezone Forth expects created_at in (tenants can override with forth.timezone)
+ */
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit"
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== "string") return false;
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+// Wall-clock fields of an instant in timeZone
+function wallClock(ms, timeZone) {
+  const parts = {};
+  for (const p of formatterFor(timeZone).formatToParts(new Date(ms))) parts[p.type] = p.value;
+  return { year: Number(parts.year), month: Number(parts.month), day: Number(parts.day), hour: Number(parts.hour), minute: Number(parts.minute), second: Number(parts.second) };
+}
+
+const wallMs = (w) => Date.UTC(w.year, w.month - 1, w.day, w.hour, w.minute, w.second);
+
+// timeZone's UTC offset at an instant, in ms
+const offsetAt = (ms, timeZone) => wallMs(wallClock(ms, timeZone)) - Math.floor(ms / 1000) * 1000;
+
+/**
+ * The instant a wall-clock time in timeZone refers to. Returns { ms, flag }: flag is "ambiguous" for a time that
+ * happens twice when clocks go back (the first one is used) and "nonexistent" for a time skipped when clocks go
+ * forward (read with the offset from before the change, i.e. an hour later on the clock).
+ */
+function zonedTimeToMs(w, timeZone) {
+  const guess = wallMs(w);
+  const offsets = [...new Set([offsetAt(guess - 86400000, timeZone), offsetAt(guess + 86400000, timeZone)])];
+  const matches = offsets.map((o) => guess - o).filter((ms) => wallMs(wallClock(ms, timeZone)) === guess).sort((a, b) => a - b);
+  if (matches.length) return { ms: matches[0], flag: matches.length > 1 ? "ambiguous" : null };
+  return { ms: guess - offsets[0], flag: "nonexistent" };
+}
+
+const DATE_TIME_RE = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+const US_DATE_TIME_RE = /^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(AM|PM)?)?$/i;
+
+function validWallClock(w) {
+  if (w.month < 1 || w.month > 12 || w.day < 1 || w.hour > 23 || w.minute > 59 || w.second > 59) return false;
+  return w.day <= new Date(Date.UTC(w.year, w.month, 0)).getUTCDate();
+}
+
+/**
+ * Parse a Convoso timestamp. Wall-clock times are read in timeZone; an explicit Z / +hh:mm offset, or epoch
+ * seconds / milliseconds, is taken as-is. Returns { ms, flag } (flag: null, "date_only", "ambiguous", "nonexistent")
+ * or { error } for anything else, including Convoso's "0000-00-00 00:00:00".
+ */
+function parseTimestamp(value, timeZone = "UTC") {
+  if (value == null) return { error: "missing" };
+  const s = String(value).trim();
+  if (!s) return { error: "missing" };
+  if (/^\d{10}$/.test(s)) return { ms: Number(s) * 1000, flag: null };
+  if (/^\d{13}$/.test(s)) return { ms: Number(s), flag: null };
+  let w;
+  let offset = null;
+  let m = DATE_TIME_RE.exec(s);
+  if (m) {
+    w = { year: +m[1], month: +m[2], day: +m[3], hour: +(m[4] ?? 0), minute: +(m[5] ?? 0), second: +(m[6] ?? 0) };
+    offset = m[7] ?? null;
+  } else if ((m = US_DATE_TIME_RE.exec(s))) {
+    let hour = +(m[4] ?? 0);
+    if (m[7]) {
+      if (hour < 1 || hour > 12) return { error: "unparseable" };
+      hour = (hour % 12) + (m[7].toUpperCase() === "PM" ? 12 : 0);
+    }
+    w = { year: +m[3], month: +m[1], day: +m[2], hour, minute: +(m[5] ?? 0), second: +(m[6] ?? 0) };
+  } else {
+    return { error: "unparseable" };
+  }
+  if (!validWallClock(w)) return { error: "unparseable" };
+  const dateOnly = m[4] == null;
+  if (offset) {
+    const o = offset.toUpperCase() === "Z" ? 0 : (offset[0] === "-" ? -1 : 1) * (Number(offset.slice(1, 3)) * 60 + Number(offset.slice(-2))) * 60000;
+    return { ms: wallMs(w) - o, flag: dateOnly ? "date_only" : null };
+  }
+  const zoned = zonedTimeToMs(w, timeZone);
+  return { ms: zoned.ms, flag: dateOnly ? "date_only" : zoned.flag };
+}
+
+/**
+ * "YYYY-MM-DD HH:MM:SS" for an instant in timeZone (Convoso API query times, Forth created_at).
+ */
+function formatInTimeZone(ms, timeZone = "UTC") {
+  const w = wallClock(ms, timeZone);
+  const p = (n) => String(n).padStart(2, "0");
+  return `${w.year}-${p(w.month)}-${p(w.day)} ${p(w.hour)}:${p(w.minute)}:${p(w.second)}`;
+}
+
+/**
+ * Pick the first usable timestamp from candidates [{ field, value, timeZone }] (in priority order) and format it
+ * for Forth in targetTimeZone. Fields that are present but unparseable are skipped and reported in rejected;
+ * with none usable the time is now (flag "defaulted_to_now").
+ * Returns { value, ms, field, flag, rejected: [{ field, value, error }] }.
+ */
+function pickTimestamp(candidates, targetTimeZone = "UTC", now = Date.now()) {
+  const rejected = [];
+  for (const { field, value, timeZone } of candidates) {
+    const parsed = parseTimestamp(value, timeZone);
+    if (parsed.error === "missing") continue;
+    if (parsed.error) {
+      rejected.push({ field, value: String(value).slice(0, 64), error: parsed.error });
+      continue;
+    }
+    return { value: formatInTimeZone(parsed.ms, targetTimeZone), ms: parsed.ms, field, flag: parsed.flag, rejected };
+  }
+  return { value: formatInTimeZone(now, targetTimeZone), ms: now, field: null, flag: "defaulted_to_now", rejected };
+}
+
+/**
+ * Load the timezone config. Throws on an unknown timezone: a wrong zone would shift every call time silently.
+ */
+function loadTimeConfig(env = process.env) {
+  const zone = (name, fallback) => {
+    const value = String(env[name] ?? "").trim() || fallback;
+    if (!isValidTimeZone(value)) throw new Error(name + ": unknown timezone " + JSON.stringify(value));
+    return value;
+  };
+  const webhookTimeZone = zone("CONVOSO_WEBHOOK_TZ", "UTC");
+  return {
+    webhookTimeZone,
+    apiTimeZone: zone("CONVOSO_API_TZ", webhookTimeZone),
+    forthTimeZone: zone("FORTH_TZ", "UTC")
+  };
+}
+
+module.exports = {
+  isValidTimeZone,
+  parseTimestamp,
+  formatInTimeZone,
+  pickTimestamp,
+  loadTimeConfig
+};
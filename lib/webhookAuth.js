@@ -0,0 +1,99 @@
+const crypto = require("crypto");
+const { logger } = require("./logger");
+
+/**
+ * Constant-time string compare. Both sides are hashed first so unequal lengths do not short-circuit.
+ */
+function safeEqual(a, b) {
+  const ha = crypto.createHash("sha256").update(String(a ?? "")).digest();
+  const hb = crypto.createHash("sha256").update(String(b ?? "")).digest();
+  return crypto.timingSafeEqual(ha, hb) && String(a ?? "").length === String(b ?? "").length;
+}
+
+/**
+ * Secrets come from WEBHOOK_SECRETS (comma-separated, so old and new can overlap during rotation)
+ * plus the legacy SHARED_SECRET. names picks other variables for another webhook source
+ * (single: null when there is no legacy variable).
+ */
+function secretsFromEnv(env = process.env, names = { list: "WEBHOOK_SECRETS", single: "SHARED_SECRET" }) {
+  const list = String(env[names.list] ?? "").split(",").map((s) => s.trim()).filter(Boolean);
+  const single = names.single ? env[names.single] : null;
+  if (single && !list.includes(single)) list.push(single);
+  return list;
+}
+
+/**
+ * Webhook authentication.
+ *   static: X-Shared-Secret must equal one of the active secrets
+ *   hmac:   X-Signature = hex HMAC-SHA256(secret, `${timestamp}.${rawBody}`) (optional "sha256=" prefix),
+ *           X-Signature-Timestamp = unix seconds within replayWindowSec; each signature is accepted once
+ * mode: "static" | "hmac" | "either" (hmac when a signature header is present, else static)
+ * With no secrets configured every request is rejected unless insecureDev is set.
+ */
+function createWebhookAuth({ secrets, mode = "either", replayWindowSec = 300, insecureDev = false, log = logger.child({ component: "webhook-auth" }) }) {
+  const seenSignatures = new Map();
+  let insecureLogged = false;
+
+  function pruneSeen(now) {
+    for (const [sig, ts] of seenSignatures.entries()) {
+      if (now - ts > replayWindowSec * 1000) seenSignatures.delete(sig);
+    }
+  }
+
+  function verifyStatic(req) {
+    const got = req.get("X-Shared-Secret");
+    if (!got) return { ok: false, reason: "missing X-Shared-Secret" };
+    const index = secrets.findIndex((s) => safeEqual(got, s));
+    return index >= 0 ? { ok: true, method: "static", secretIndex: index } : { ok: false, reason: "bad shared secret" };
+  }
+
+  function verifyHmac(req) {
+    // Normalised once, so a re-cased copy of a used signature hits the same replay cache entry
+    const signature = String(req.get("X-Signature") ?? "").trim().replace(/^sha256=/i, "").toLowerCase();
+    const tsHeader = String(req.get("X-Signature-Timestamp") ?? "").trim();
+    if (!signature || !tsHeader) return { ok: false, reason: "missing X-Signature or X-Signature-Timestamp" };
+    const ts = Number(tsHeader);
+    const now = Date.now();
+    if (!Number.isFinite(ts) || Math.abs(now / 1000 - ts) > replayWindowSec) return { ok: false, reason: "timestamp outside replay window" };
+    const raw = req.rawBody ? req.rawBody.toString("utf8") : "";
+    const index = secrets.findIndex((secret) => {
+      const expected = crypto.createHmac("sha256", secret).update(tsHeader + "." + raw).digest("hex");
+      return safeEqual(signature, expected);
+    });
+    if (index < 0) return { ok: false, reason: "bad signature" };
+    pruneSeen(now);
+    if (seenSignatures.has(signature)) return { ok: false, reason: "signature replayed" };
+    seenSignatures.set(signature, now);
+    return { ok: true, method: "hmac", secretIndex: index };
+  }
+
+  function verify(req) {
+    if (!secrets.length) {
+      if (insecureDev) {
+        if (!insecureLogged) {
+          insecureLogged = true;
+          log.warn("no webhook secrets configured; insecure dev mode lets every request through");
+        }
+        return { ok: true, method: "insecure_dev" };
+      }
+      return { ok: false, reason: "no webhook secrets configured" };
+    }
+    if (mode === "static") return verifyStatic(req);
+    if (mode === "hmac") return verifyHmac(req);
+    return req.get("X-Signature") ? verifyHmac(req) : verifyStatic(req);
+  }
+
+  function middleware(req, res, next) {
+    const result = verify(req);
+    if (!result.ok) {
+      log.warn("rejected", { method: req.method, path: req.originalUrl, reason: result.reason });
+      return res.status(401).json({ ok: false, error: "Unauthorized" });
+    }
+    req.webhookAuth = result;
+    return next();
+  }
+
+  return { verify, middleware };
+}
+
+module.exports = { createWebhookAuth, secretsFromEnv, safeEqual };
@@ -1,357 +1,744 @@
 const express = require("express");
-const querystring = require("querystring");
+const path = require("path");
+const { createDedupeStore } = require("./lib/dedupeStore");
+const { DISP, loadDispositionMap, dispositionInput, mapDisposition } = require("./lib/dispositionMap");
+const { createJobQueue, JobError } = require("./lib/jobQueue");
+const { createHttpClient } = require("./lib/httpClient");
+const { createForthClient } = require("./lib/forthClient");
+const { createAlerter } = require("./lib/alerts");
+const { loadTenants, resolveTenant } = require("./lib/tenants");
+const { createLookupCache, resolveContacts, readContactField, loadContactMatchConfig } = require("./lib/contactResolver");
+const { loadLeadFieldMap, mapLeadToContact } = require("./lib/leadFieldMap");
+const { loadReverseSyncRules, matchReverseSyncRules } = require("./lib/reverseSyncRules");
+const { createParkingLot, createReconciler } = require("./lib/parkingLot");
+const { createCallMerger, callMergeConfigFromEnv } = require("./lib/callMerge");
+const { readCallback, callbackRef, forthCallbackBody, createCallbackStore, callbackConfigFromEnv } = require("./lib/callbacks");
+const { createWebhookAuth, secretsFromEnv, safeEqual } = require("./lib/webhookAuth");
+const { logger, redact, redactString, maskPhone, requestIdMiddleware, currentRequestId } = require("./lib/logger");
+const { createRegistry } = require("./lib/metrics");
+const { createShadowLog } = require("./lib/shadowLog");
+const { createEventJournal } = require("./lib/eventJournal");
+const { createBackfillRunner } = require("./lib/backfill");
+const { parseTimestamp, formatInTimeZone, pickTimestamp, loadTimeConfig } = require("./lib/timestamps");
+const { normalizeConvosoBody, convosoCallTypeToForth, convosoEvent } = require("./lib/convosoEvent");
+const { parsePhone, normalizePhone, phoneSearchCandidates, loadPhoneConfig } = require("./lib/phone");
+const {
+  createEventPipeline,
+  normalizeStage,
+  authenticateStage,
+  tenantStage,
+  dedupeStage,
+  enrichStage,
+  resolveContactStage,
+  mapStage,
+  mappedDedupeStage,
+  writeStage
+} = require("./lib/eventPipeline");
 
 const app = express();
-app.use(express.json({ limit: "1mb" }));
-app.use(express.urlencoded({ extended: true, limit: "1mb" }));
+// Keep the raw bytes so HMAC webhook signatures can be checked against exactly what was sent
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+app.use(express.json({ limit: "1mb", verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, limit: "1mb", verify: keepRawBody }));
+// After the body parsers so the request context survives into every route handler
+app.use(requestIdMiddleware);
 
 /**
  * ENV VARS you will set in Render:
  * FORTH_API_KEY = current access token (expires; used as fallback if refresh creds missing)
  * FORTH_BASE_URL = https://api.forthcrm.com
  * FORTH_KEY_ID = permanent key id for token refresh
- * FORTH_API_SECRET = permanent secret for token refresh
- * SHARED_SECRET = a random string you will also put in Convoso (as a header value)
- * CONVOSO_AUTH_TOKEN = Convoso API auth token for Call Log Retrieve
+ * FORTH_API_SECRET = permanent secret for token refresh; the token is kept in $DATA_DIR/forth-token-<tenant>.json across restarts
+ * FORTH_TOKEN_RETRY_BASE_MS = first retry after a failed token refresh, doubled per failure up to 15 min (default 30000)
+ * FORTH_TOKEN_ALERT_AFTER_FAILURES = failed refreshes in a row, with the token within 6h of expiry, before alerting (default 3)
+ * ALERT_WEBHOOK_URL = where alerts are POSTed as JSON ({ text, alert, status, ... }; a Slack incoming webhook works as-is)
+ * ALERT_REPEAT_MS = minimum gap between repeats of the same firing alert (default 3600000)
+ * SHARED_SECRET = a random string you will also put in Convoso (as the X-Shared-Secret header value)
+ * WEBHOOK_SECRETS = extra comma-separated secrets accepted alongside SHARED_SECRET (for rotation)
+ * WEBHOOK_AUTH_MODE = static | hmac | either (default either: HMAC when X-Signature is sent)
+ * WEBHOOK_REPLAY_WINDOW_SEC = max age of a signed request's X-Signature-Timestamp (default 300)
+ * WEBHOOK_AUTH_INSECURE_DEV = 1 to accept unauthenticated webhooks when no secret is set (local dev only)
+ * LOG_LEVEL = debug | info | warn | error (default info); logs are JSON lines with request_id
+ * METRICS_TOKEN = if set, /metrics requires "Authorization: Bearer <token>"
+ * DRY_RUN = 1 to run every webhook without writing to Forth (per request: X-Dry-Run: 1)
+ * CONVOSO_AUTH_TOKEN = Convoso API auth token for Call Log Retrieve and reverse-sync lead updates
+ * CONVOSO_API_BASE = Convoso API base URL (default https://api.convoso.com; tests point it at a local stub)
+ * DEDUPE_STORE = "memory" (default) or "file" to keep dedupe keys across restarts
+ * DEDUPE_STORE_PATH = file for the "file" dedupe store (default $DATA_DIR/dedupe.json)
+ * DATA_DIR = directory for persisted state (default ./data; use a Render persistent disk)
+ * DISPOSITION_MAP_FILE / DISPOSITION_MAP_JSON = Convoso -> Forth disposition rules (see lib/dispositionMap.js)
+ * ENRICHMENT_TIME_TOLERANCE_SEC = max gap between webhook and Convoso log time for a time-based match (default 300)
+ * ENRICHMENT_RETRY_DELAYS_MS = comma-separated wait before each call log attempt (default 0,3000,5000 = 3 attempts)
+ * RECORDINGS_ENABLED = 1 to fetch Convoso recordings and link them to connected Forth calls
+ * RECORDING_MAX_ATTEMPTS / RECORDING_RETRY_BASE_MS = how long a missing recording is re-checked (default 12 / 60000, doubled per attempt)
+ * ADMIN_TOKEN = enables /admin/* routes; send it as X-Admin-Token
+ * FORTH_QUEUE_MAX_ATTEMPTS = attempts per Forth write before dead-lettering (default 8)
+ * FORTH_QUEUE_BASE_DELAY_MS = first retry delay, doubled per attempt (default 30000)
+ * FORTH_RATE_PER_SEC / FORTH_BURST / FORTH_MAX_IN_FLIGHT = outbound limits for Forth (default 5 / 10 / 4)
+ * CONVOSO_RATE_PER_SEC / CONVOSO_BURST / CONVOSO_MAX_IN_FLIGHT = outbound limits for Convoso (default 5 / 10 / 4)
+ * CONTACT_CACHE_TTL_MS / CONTACT_NEGATIVE_TTL_MS = phone -> contact cache for hits / misses (default 300000 / 60000)
+ * CONTACT_MATCH_POLICY = first | most_recent | lead_id | all, for phones matching several contacts (default most_recent)
+ * CONTACT_MATCH_FALLBACK = policy when lead_id finds nothing (default most_recent)
+ * CONTACT_LEAD_ID_FIELD = Forth contact (custom) field that stores the Convoso lead_id
+ * PHONE_DEFAULT_COUNTRY = country of numbers sent without "+" or phone_code: ISO code or calling code (default US)
+ * PHONE_SEARCH_FORMATS = phone formats tried against Forth contact search, in order
+ *   (default national,e164,e164_digits,dashed; see lib/phone.js)
+ * LEAD_FIELD_MAP_FILE / LEAD_FIELD_MAP_JSON = Convoso lead -> Forth contact field map for /convoso/lead-upsert (see lib/leadFieldMap.js)
+ * PARKING_WINDOW_MS = how long unmatched events keep retrying the contact lookup (default 7200000 = 2h)
+ * PARKING_RECONCILE_INTERVAL_MS = how often parked events are re-checked (default 60000)
+ * FORTH_WEBHOOK_SECRETS = comma-separated secrets for Forth -> us webhooks (/forth/*); same X-Shared-Secret / X-Signature scheme
+ * FORTH_WEBHOOK_AUTH_MODE = static | hmac | either for /forth/* (default either)
+ * REVERSE_SYNC_RULES_FILE / REVERSE_SYNC_RULES_JSON = Forth contact event -> Convoso lead action rules (see lib/reverseSyncRules.js)
+ * CONVOSO_QUEUE_MAX_ATTEMPTS / CONVOSO_QUEUE_BASE_DELAY_MS = retries for Convoso lead actions (default 8 / 30000)
+ * CALL_MERGE_MODE = update (default: the first event for a Convoso call creates the Forth call, later ones update it),
+ *   window (hold events CALL_MERGE_WINDOW_MS, default 120000, and send one combined create) or off
+ * CALL_MERGE_LEAD_WINDOW_MS = how long events without a call id merge by lead_id (default 900000)
+ * FORTH_CALLBACK_TYPE = event | task: what a Convoso callback becomes on the Forth contact (default event)
+ * CALLBACK_EVENT_MINUTES = length of a callback event (default 15)
+ * CALLBACK_DISPOSITIONS = comma-separated dispositions that schedule a callback on the disposition routes (default CALLBK,CALLBACK)
+ * CONVOSO_WEBHOOK_TZ / CONVOSO_API_TZ = timezone of times in Convoso webhooks / the call log API, e.g. America/New_York
+ *   (default UTC; CONVOSO_API_TZ defaults to CONVOSO_WEBHOOK_TZ)
+ * FORTH_TZ = timezone Forth expects call created_at in (default UTC; tenants can set forth.timezone)
+ * TENANTS_FILE / TENANTS_JSON = several Forth accounts routed by Convoso campaign / list, URL path or secret (see lib/tenants.js);
+ *   without it the FORTH_* vars above are the single "default" tenant. Every webhook route is also served under /tenants/:tenant/...
+ * EVENT_JOURNAL_MAX = recent webhooks kept for /admin/events and the /admin/ui page (default 1000)
+ * EVENT_REPLAY_RAW_TTL_MS = how long the original (unredacted) webhook body is kept in memory for replay (default 3600000);
+ *   the journal on disk only holds redacted bodies
  */
+const log = logger;
+const completedLog = logger.child({ component: "call-completed" });
+const enrichLog = logger.child({ component: "enrichment" });
+
 const FORTH_BASE_URL = process.env.FORTH_BASE_URL || "https://api.forthcrm.com";
-const SHARED_SECRET = process.env.SHARED_SECRET;
 const CONVOSO_AUTH_TOKEN = process.env.CONVOSO_AUTH_TOKEN;
-const CONVOSO_API_BASE = "https://api.convoso.com";
-
-// Forth access token refresh (token expires every 10 days)
-let forthAccessToken = process.env.FORTH_API_KEY || null;
-let forthTokenExpiresAt = 0;
-let forthRefreshPromise = null;
-let forthMissingCredsLogged = false;
-const FORTH_TOKEN_BUFFER_MS = 6 * 60 * 60 * 1000;
-const FORTH_TOKEN_DEFAULT_TTL_MS = 9 * 24 * 60 * 60 * 1000;
-
-// Minimal disposition mapping (you can expand later)
-const DISP = {
-  NO_ANSWER: 1,
-  CONNECTED: 2,
-  LEFT_MESSAGE: 3,
-  BUSY: 6
-};
+const CONVOSO_API_BASE = process.env.CONVOSO_API_BASE || "https://api.convoso.com";
+const DATA_DIR = process.env.DATA_DIR || "data";
+const envMs = (name, fallback) => (process.env[name] != null && process.env[name] !== "" ? Number(process.env[name]) : fallback);
+
+function hostLimitFromEnv(prefix) {
+  return {
+    ratePerSec: Number(process.env[prefix + "_RATE_PER_SEC"]) || 5,
+    burst: Number(process.env[prefix + "_BURST"]) || 10,
+    maxInFlight: Number(process.env[prefix + "_MAX_IN_FLIGHT"]) || 4
+  };
+}
+
+// Prometheus metrics, served at /metrics
+const metrics = createRegistry();
+const webhooksReceived = metrics.counter("convoso_webhooks_received_total", "Webhooks received, by route, tenant and detected input type");
+const webhookOutcomes = metrics.counter("convoso_webhook_outcomes_total", "Webhook results by route and tenant: created, noted, upserted, skipped_no_contact, skipped_other, deduped, errored");
+const forthLatency = metrics.histogram("forth_api_request_duration_seconds", "Forth API call latency");
+const convosoLatency = metrics.histogram("convoso_api_request_duration_seconds", "Convoso API call latency");
+const enrichmentAttempts = metrics.counter("convoso_enrichment_attempts_total", "Convoso call log fetch attempts made by enrichment, by attempt number");
+const enrichmentResults = metrics.counter("convoso_enrichment_results_total", "Enrichment results: found, empty, no_match, http_error, timeout, error, skipped");
+const recordingResults = metrics.counter("convoso_recording_checks_total", "Recording lookups for Forth calls: attached, not_available");
+const timestampIssues = metrics.counter("convoso_timestamp_issues_total", "Convoso times that were unparseable, ambiguous, skipped by DST, date-only or missing (defaulted to now), by field and issue");
+const enrichmentMatches = metrics.counter("convoso_enrichment_matches_total", "Enrichment matches by method: call_log_id, lead_id_time, time, newest");
+const tokenExpiry = metrics.gauge("forth_token_expires_at_seconds", "Unix time the cached Forth access token expires, by tenant (0 when unknown)");
+const tokenRefreshes = metrics.counter("forth_token_refresh_total", "Forth token refresh attempts, by tenant and result");
+const tokenRefreshFailures = metrics.gauge("forth_token_refresh_consecutive_failures", "Forth token refreshes that have failed in a row, by tenant");
+const httpQueued = metrics.gauge("outbound_http_queued_requests", "Outbound requests waiting for a rate-limit slot, by host");
+const httpThrottled = metrics.counter("outbound_http_throttled_requests_total", "Outbound requests that had to wait for a rate-limit slot, by host");
+const webhookAuthRejected = metrics.counter("webhook_auth_rejected_total", "Webhooks rejected by authentication, by source (not journaled)");
+const httpRateLimited = metrics.counter("outbound_http_rate_limited_total", "429 responses that paused a host, by host");
+
+const statusClass = (status) => (status ? Math.floor(status / 100) + "xx" : "network_error");
+
+// tenant is the tenant object or id; "none" when the request was rejected before a tenant was known
+function recordWebhook(route, inputType, tenant) {
+  webhooksReceived.inc({ route, tenant: tenant?.id ?? tenant ?? "none", input_type: inputType || "unknown" });
+}
+
+function recordOutcome(route, outcome, tenant) {
+  webhookOutcomes.inc({ route, tenant: tenant?.id ?? tenant ?? "none", outcome });
+  eventJournal.annotate(currentRequestId(), { outcome, ...(tenant ? { tenant: tenant?.id ?? tenant } : {}) });
+}
+
+// Convoso and Forth timezones. Throws (and the process exits) on an unknown timezone.
+const timeConfig = loadTimeConfig();
+logger.info("timezones loaded", { component: "timestamps", convoso_webhook: timeConfig.webhookTimeZone, convoso_api: timeConfig.apiTimeZone, forth: timeConfig.forthTimeZone });
+
+// Default country and Forth contact search formats. Throws (and the process exits) on an unknown country or format.
+const phoneConfig = loadPhoneConfig();
+const phoneOptions = { defaultCallingCode: phoneConfig.defaultCallingCode };
+logger.info("phone config loaded", { component: "phone", default_country: phoneConfig.defaultCountry, search_formats: phoneConfig.searchFormats });
+
+// Convoso -> Forth disposition mapping (ordered rules + default); tenants without their own map share it
+const dispositionMap = loadDispositionMap();
+logger.info("disposition map loaded", { component: "disposition-map", rules: dispositionMap.rules.length, source: dispositionMap.source });
+
+// Forth accounts. Throws (and the process exits) on an invalid TENANTS_JSON / TENANTS_FILE.
+const tenantConfig = loadTenants(process.env, {
+  forthBaseUrl: FORTH_BASE_URL,
+  forthTimeZone: timeConfig.forthTimeZone,
+  secrets: secretsFromEnv(),
+  forthWebhookSecrets: secretsFromEnv(process.env, { list: "FORTH_WEBHOOK_SECRETS", single: null }),
+  dispositionMap
+});
+
+// All Forth and Convoso HTTP goes through here: per-host rate limit, in-flight cap, 429 backoff
+const FORTH_HOSTS = new Set(tenantConfig.tenants.map((t) => new URL(t.forth.baseUrl).host));
+const CONVOSO_HOST = new URL(CONVOSO_API_BASE).host;
+const httpClient = createHttpClient({
+  hostLimits: {
+    ...Object.fromEntries([...FORTH_HOSTS].map((host) => [host, hostLimitFromEnv("FORTH")])),
+    [CONVOSO_HOST]: hostLimitFromEnv("CONVOSO")
+  },
+  onResponse: ({ host, method, status, durationMs }) => {
+    const hist = host === CONVOSO_HOST ? convosoLatency : FORTH_HOSTS.has(host) ? forthLatency : null;
+    hist?.observe({ method, status_class: statusClass(status) }, durationMs / 1000);
+  }
+});
+
+// Token refresh trouble and the like; without ALERT_WEBHOOK_URL alerts only go to the log
+const alerter = createAlerter({
+  url: process.env.ALERT_WEBHOOK_URL || null,
+  httpClient,
+  repeatMs: envMs("ALERT_REPEAT_MS", 60 * 60 * 1000)
+});
+
+const webhookAuthMode = (mode) => (["static", "hmac", "either"].includes(mode) ? mode : "either");
 
 /**
- * Map Convoso outcome fields to Forth call_disposition ID and call_result label.
- * If no outcome fields present, returns { dispId: DISP.CONNECTED, call_result: "Logged", source: "default" }.
+ * Each tenant: its config plus a Forth client (own token lifecycle), contact cache and webhook verifiers.
+ */
+const tenants = new Map(
+  tenantConfig.tenants.map((t) => [t.id, {
+    ...t,
+    forth: createForthClient({
+      tenant: t.id,
+      ...t.forth,
+      httpClient,
+      tokenFile: path.join(DATA_DIR, `forth-token-${t.id}.json`),
+      retryBaseMs: envMs("FORTH_TOKEN_RETRY_BASE_MS", 30 * 1000),
+      alertAfterFailures: Number(process.env.FORTH_TOKEN_ALERT_AFTER_FAILURES) || 3,
+      alerts: alerter,
+      onRefresh: (result) => tokenRefreshes.inc({ tenant: t.id, result })
+    }),
+    contactCache: createLookupCache({
+      ttlMs: envMs("CONTACT_CACHE_TTL_MS", 5 * 60 * 1000),
+      negativeTtlMs: envMs("CONTACT_NEGATIVE_TTL_MS", 60 * 1000),
+      isNegative: (value) => !value.contacts.length
+    }),
+    convosoAuth: createWebhookAuth({
+      secrets: t.secrets,
+      mode: webhookAuthMode(t.authMode ?? process.env.WEBHOOK_AUTH_MODE),
+      replayWindowSec: Number(process.env.WEBHOOK_REPLAY_WINDOW_SEC) || 300,
+      insecureDev: process.env.WEBHOOK_AUTH_INSECURE_DEV === "1",
+      log: logger.child({ component: "webhook-auth", tenant: t.id })
+    }),
+    // Forth -> us webhooks have their own secrets, so a leaked Convoso secret cannot drive Convoso lead changes
+    forthAuth: createWebhookAuth({
+      secrets: t.forthWebhookSecrets,
+      mode: webhookAuthMode(process.env.FORTH_WEBHOOK_AUTH_MODE),
+      replayWindowSec: Number(process.env.WEBHOOK_REPLAY_WINDOW_SEC) || 300,
+      insecureDev: process.env.WEBHOOK_AUTH_INSECURE_DEV === "1",
+      log: logger.child({ component: "forth-webhook-auth", tenant: t.id })
+    })
+  }])
+);
+const tenantList = [...tenants.values()];
+const defaultTenant = tenantList.find((t) => t.isDefault) ?? null;
+logger.info("tenants loaded", { component: "tenants", source: tenantConfig.source, tenants: tenantList.map((t) => t.id), default: defaultTenant?.id ?? null });
+
+/**
+ * Tenant by id for queued jobs and parked events. Jobs queued before tenants existed carry no id and
+ * belong to the default tenant.
  */
-function mapCallCompletedOutcome(convoso) {
-  const termReason = String(convoso.term_reason ?? convoso.term_reason_id ?? "").trim();
-  const statusName = String(convoso.status_name ?? convoso.status ?? "").trim();
-  const disposition = String(convoso.disposition ?? convoso.disposition_name ?? "").trim();
-  const callResult = String(convoso.call_result ?? "").trim();
-  const talkSec = Number(convoso.talk_time ?? convoso.talk_seconds ?? 0);
-  const combined = [termReason, statusName, disposition, callResult].join(" ").toLowerCase();
+function tenantById(id) {
+  const tenant = id ? tenants.get(id) : defaultTenant;
+  if (!tenant) throw new JobError("unknown tenant " + (id ?? "(default)"), { retryable: false });
+  return tenant;
+}
 
-  const hasOutcome = talkSec > 0 || termReason || statusName || disposition || callResult;
+/**
+ * Map Convoso outcome fields to Forth call_disposition ID and call_result label.
+ * If no outcome fields present, returns { dispId: default, call_result: "Logged", source: "default" }.
+ */
+function mapCallCompletedOutcome(convoso, map = dispositionMap) {
+  const input = dispositionInput(convoso);
+  const hasOutcome = input.talk_sec > 0 || input.status || input.status_name || input.term_reason || input.disposition || input.call_result;
   if (!hasOutcome) {
-    return { dispId: DISP.CONNECTED, call_result: "Logged", source: "default" };
+    return { dispId: map.default.dispId, call_result: "Logged", source: "default", rule: null };
   }
+  const mapped = mapDisposition(map, convoso);
+  return { dispId: mapped.dispId, call_result: mapped.call_result, source: "convoso", rule: mapped.rule };
+}
 
-  if (talkSec > 0) {
-    return { dispId: DISP.CONNECTED, call_result: "Connected", source: "convoso" };
-  }
-  if (/no answer|noanswer|na\b/i.test(combined)) {
-    return { dispId: DISP.NO_ANSWER, call_result: "No Answer", source: "convoso" };
-  }
-  if (/busy/i.test(combined)) {
-    return { dispId: DISP.BUSY, call_result: "Busy", source: "convoso" };
+// Dedupe store shared by the event pipelines, backfill and reverse sync. TTL 30 days.
+// Keys: disp_first_set:${call_id} or disp_first_set:${lead_id}:${ts} (both disposition routes);
+// call_completed:${call_log_id}; forth_event:${event_id} (forth_event:${tenant}:${event_id} for non-default tenants)
+const FIRST_DISPOSITION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const dedupeStore = createDedupeStore({ ttlMs: FIRST_DISPOSITION_TTL_MS });
+
+/**
+ * Admin routes are disabled unless ADMIN_TOKEN is set; callers send it as X-Admin-Token.
+ */
+function requireAdmin(req, res) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken) {
+    res.status(404).json({ ok: false, error: "Admin API disabled (ADMIN_TOKEN not set)" });
+    return false;
   }
-  if (/left|vm|voicemail|message/i.test(combined)) {
-    return { dispId: DISP.LEFT_MESSAGE, call_result: "Left Message", source: "convoso" };
+  if (!safeEqual(req.get("X-Admin-Token") ?? "", adminToken)) {
+    res.status(401).json({ ok: false, error: "Unauthorized" });
+    return false;
   }
-  return { dispId: DISP.CONNECTED, call_result: "Connected", source: "convoso" };
+  return true;
 }
 
-// First-disposition dedupe: key = disp_first_set:${call_id} or disp_first_set:${lead_id}:${ts}. TTL 30 days.
-const firstDispositionSeen = new Map();
-const FIRST_DISPOSITION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
-
-function pruneFirstDispositionSeen() {
-  const now = Date.now();
-  for (const [k, v] of firstDispositionSeen.entries()) {
-    if (now - v.ts > FIRST_DISPOSITION_TTL_MS) firstDispositionSeen.delete(k);
+/**
+ * Check a webhook against the secrets of every tenant it could belong to (only the path tenant under
+ * /tenants/:tenant/...). Returns { ok, tenants: [accepted ids], method } or { ok: false, reason }.
+ * kind: "convosoAuth" | "forthAuth"
+ */
+function verifyTenantWebhook(kind, req) {
+  const pathTenant = req.params?.tenant ?? null;
+  if (pathTenant && !tenants.has(pathTenant)) return { ok: false, reason: "unknown tenant " + pathTenant };
+  const candidates = pathTenant ? [tenants.get(pathTenant)] : tenantList;
+  const accepted = [];
+  let first = null;
+  let reason = null;
+  for (const tenant of candidates) {
+    const result = tenant[kind].verify(req);
+    if (!result.ok) {
+      reason = reason ?? result.reason;
+      continue;
+    }
+    first = first ?? result;
+    accepted.push(tenant.id);
   }
+  if (!accepted.length) return { ok: false, reason };
+  return { ...first, tenants: accepted };
 }
 
-function normalizePhone(raw) {
-  if (!raw) return "";
-  // keep digits only
-  const d = String(raw).replace(/\D/g, "");
-  // if 11 digits starting with 1, drop leading 1
-  if (d.length === 11 && d.startsWith("1")) return d.slice(1);
-  return d;
+function tenantWebhookAuth(kind) {
+  const rejectLog = logger.child({ component: kind === "forthAuth" ? "forth-webhook-auth" : "webhook-auth" });
+  return (req, res, next) => {
+    const result = verifyTenantWebhook(kind, req);
+    if (!result.ok) {
+      rejectLog.warn("rejected", { method: req.method, path: req.originalUrl, reason: result.reason });
+      webhookAuthRejected.inc({ source: kind === "forthAuth" ? "forth" : "convoso" });
+      return res.status(401).json({ ok: false, error: "Unauthorized" });
+    }
+    req.webhookAuth = result;
+    return next();
+  };
 }
 
 /**
- * Parse Convoso body: support direct JSON or req.body.params (x-www-form-urlencoded string).
- * Returns { ...parsedFields, phone, _inputType } where phone is normalized for lookup (digits).
+ * Pick the tenant for an authenticated webhook (see resolveTenant in lib/tenants.js).
  */
-function parseConvosoBody(req) {
-  const body = req.body || {};
-  if (typeof body.params === "string") {
-    const parsed = querystring.parse(body.params);
-    const phoneNumber = String(parsed.phone_number ?? parsed.phone ?? "").trim();
-    const phoneCode = String(parsed.phone_code ?? "").trim();
-    const digits = normalizePhone(phoneNumber);
-    const phone = digits;
-    const phoneE164 = phoneCode && digits ? `+${phoneCode}${digits}` : null;
-    const convoso = { ...parsed, phone, phone_number: phoneNumber, phone_code: phoneCode, phoneE164, _inputType: "params" };
-    return convoso;
+function webhookTenant(req, { campaignId, listId } = {}) {
+  return resolveTenant(tenantList, {
+    pathTenant: req?.params?.tenant ?? null,
+    accepted: req?.webhookAuth?.tenants ?? [],
+    campaignId,
+    listId
+  });
+}
+
+// Every webhook route is served at its plain path and under /tenants/:tenant (which pins the tenant)
+const tenantPaths = (p) => [p, "/tenants/:tenant" + p];
+
+// Recent webhooks for /admin/events: what came in, what it turned into in Forth, and how it ended
+const eventJournal = createEventJournal({
+  filePath: path.join(DATA_DIR, "event-journal.json"),
+  maxEntries: Number(process.env.EVENT_JOURNAL_MAX) || 1000,
+  rawTtlMs: envMs("EVENT_REPLAY_RAW_TTL_MS", 60 * 60 * 1000)
+});
+
+/**
+ * Searchable fields of a webhook body (phone last-4, lead / call log ids, input type). Best effort: a body the
+ * route will reject still gets journaled.
+ */
+function journalFields(source, body) {
+  try {
+    if (source === "forth") {
+      const event = normalizeForthEvent(body ?? {});
+      return { phone_last4: event.phone ? event.phone.slice(-4) : null, lead_id: event.leadId || null, call_log_id: null, input_type: "forth" };
+    }
+    const convoso = normalizeConvosoBody(body ?? {}, phoneOptions);
+    return {
+      phone_last4: convoso.phone ? convoso.phone.slice(-4) : null,
+      lead_id: convoso.lead_id != null && convoso.lead_id !== "" ? String(convoso.lead_id) : null,
+      call_log_id: convoso.call_log_id != null && convoso.call_log_id !== "" ? String(convoso.call_log_id) : null,
+      input_type: convoso._inputType ?? null
+    };
+  } catch {
+    return { phone_last4: null, lead_id: null, call_log_id: null, input_type: null };
   }
-  const rawPhone = body.phone || body.phone_number || body.caller_id || body.lead_phone;
-  const convoso = { ...body, phone: normalizePhone(rawPhone), _inputType: "json" };
-  return convoso;
 }
 
 /**
- * Normalize a plain object (from JSON array element or JSON object) for call-completed: phone, call_type, call_log_id.
+ * Journal every authenticated webhook: the redacted body on arrival, the status and response once it is sent.
+ * Routes add tenant, contact, Forth writes and outcome as they go. Rejected hits are only counted
+ * (webhook_auth_rejected_total), so unauthenticated traffic cannot push real events out of the journal.
  */
-function normalizePayloadObject(raw, _inputType) {
-  const phoneNumber = String(raw.phone_number ?? raw.phone ?? raw.primary_phone ?? raw.PhoneNumber ?? "").trim();
-  const phone = normalizePhone(phoneNumber);
-  const call_type = raw.call_type ?? raw.callType ?? raw.CallType ?? "";
-  const call_log_id = raw.call_log_id ?? raw.callLogId ?? "";
-  return { ...raw, phone_number: phoneNumber, phone, call_type, call_log_id, _inputType };
+function journalWebhook(source) {
+  return (req, res, next) => {
+    const requestId = currentRequestId();
+    const name = req.path.replace(/^\/+/, "");
+    eventJournal.record({
+      request_id: requestId,
+      route: source === "forth" ? "forth-" + name : name,
+      path: req.baseUrl + req.path,
+      tenant: req.params.tenant ?? null,
+      ...journalFields(source, req.body),
+      body: redact(req.body ?? null),
+      authenticated: Boolean(req.webhookAuth)
+    }, { raw: req.body ?? null });
+    const json = res.json.bind(res);
+    let sent = null;
+    res.json = (body) => {
+      sent = body;
+      return json(body);
+    };
+    res.on("finish", () => eventJournal.annotate(requestId, { status: res.statusCode, response: redact(sent), finished_at: new Date().toISOString() }));
+    return next();
+  };
 }
 
+// Every /convoso/* route is authenticated here; fails closed when no secret is configured
+app.use(tenantPaths("/convoso"), tenantWebhookAuth("convosoAuth"));
+app.use(tenantPaths("/forth"), tenantWebhookAuth("forthAuth"));
+
+app.use(tenantPaths("/convoso"), journalWebhook("convoso"));
+app.use(tenantPaths("/forth"), journalWebhook("forth"));
+
+const contactMatchConfig = loadContactMatchConfig();
+
 /**
- * Normalize incoming request body for POST /convoso/call-completed.
- * Accepts: params string (querystring or JSON), JSON array, JSON object, params as array/object, or giant JSON key.
- * Returns single payload object with phone, phone_number, call_type, call_log_id, _inputType.
+ * How a phone is searched in Forth: the values to try, in PHONE_SEARCH_FORMATS order, and the contact cache key
+ * (E.164 when known, so the same national digits in two countries stay apart).
  */
-function normalizeIncomingPayload(req) {
-  const body = req.body || {};
-  if (typeof body.params === "string") {
-    const paramsStr = body.params.trim();
-    if (paramsStr.startsWith("{") && paramsStr.endsWith("}")) {
-      try {
-        const parsed = JSON.parse(body.params);
-        console.log("[call-completed] detected params_json");
-        return normalizePayloadObject(parsed, "params_json");
-      } catch (_) {
-        // fall through to querystring
-      }
+function phoneLookup(phone, e164) {
+  const parsed = parsePhone(e164 || phone, phoneOptions);
+  return { key: parsed?.e164 ?? phone, candidates: phoneSearchCandidates(parsed, { ...phoneOptions, formats: phoneConfig.searchFormats }) };
+}
+
+/**
+ * All of a tenant's Forth contacts for a phone (cached per tenant), trying each search format until one matches.
+ * Returns { contacts, format, cached, ok } — format is the one that matched; ok is false when a Forth search failed
+ * and none matched (contacts is then empty but means "unknown", not "none").
+ * fresh=true bypasses the cache (still refreshes it).
+ */
+async function searchForthContacts(phone, { tenant, fresh = false, e164 = null }) {
+  const lookup = phoneLookup(phone, e164);
+  const cached = fresh ? { hit: false } : tenant.contactCache.get(lookup.key);
+  if (cached.hit) return { ...cached.value, cached: true, ok: true };
+  let ok = true;
+  for (const { format, value } of lookup.candidates) {
+    const search = await tenant.forth.searchContactByPhone(value);
+    if (!(search.status >= 200 && search.status < 300)) {
+      ok = false;
+      continue;
     }
-    const parsed = querystring.parse(body.params);
-    const phoneNumber = String(parsed.phone_number ?? parsed.phone ?? "").trim();
-    const phoneCode = String(parsed.phone_code ?? "").trim();
-    const digits = normalizePhone(phoneNumber);
-    const phoneE164 = phoneCode && digits ? `+${phoneCode}${digits}` : null;
-    const convoso = { ...parsed, phone: digits, phone_number: phoneNumber, phone_code: phoneCode, phoneE164, _inputType: "params" };
-    return convoso;
-  }
-  if (Array.isArray(body)) {
-    const raw = body[0] || {};
-    return normalizePayloadObject(raw, "json_array");
-  }
-  if (Array.isArray(body.params)) {
-    const raw = body.params[0] || {};
-    return normalizePayloadObject(raw, "json_params_array");
-  }
-  if (body.params && typeof body.params === "object" && !Array.isArray(body.params)) {
-    return normalizePayloadObject(body.params, "json_params_object");
-  }
-  const hasPhone = body.phone_number ?? body.phone ?? body.primary_phone;
-  if (!hasPhone && body && typeof body === "object") {
-    for (const k of Object.keys(body)) {
-      if (typeof k === "string") {
-        const trimmed = k.trim();
-        if (trimmed.startsWith("{") && trimmed.endsWith("}")) {
-          try {
-            const parsed = JSON.parse(k);
-            console.log("[call-completed] detected giant_json_key");
-            return normalizePayloadObject(parsed, "giant_json_key");
-          } catch (_) {
-            // continue to next key
-          }
-        }
-      }
+    const list = search?.body?.response;
+    const contacts = Array.isArray(list) ? list.filter((c) => c?.id) : [];
+    if (contacts.length) {
+      tenant.contactCache.set(lookup.key, { contacts, format });
+      return { contacts, format, cached: false, ok: true };
     }
   }
-  return normalizePayloadObject(body, "json_object");
+  // Only cache real answers; a Forth error should not pin a phone as "no contact"
+  if (ok) tenant.contactCache.set(lookup.key, { contacts: [], format: null });
+  return { contacts: [], format: null, cached: false, ok };
 }
 
-function logConvosoRequest(routeName, convoso) {
-  const inputType = convoso._inputType || "json";
-  const last4 = convoso.phone && convoso.phone.length >= 4 ? convoso.phone.slice(-4) : "none";
-  console.log(`[${routeName}] parsed=${inputType} phone_last4=${last4}`);
+/**
+ * Look up a tenant's Forth contacts for a phone (cached) and apply the multi-match policy.
+ * Returns { contacts, policy, reason, candidates, cached, phoneFormat }. fresh=true bypasses the cache (still refreshes it).
+ */
+async function findForthContacts(phone, convoso, { tenant, fresh = false }) {
+  const { contacts, cached, format } = await searchForthContacts(phone, { tenant, fresh, e164: convoso?.phoneE164 });
+  const resolved = resolveContacts(contacts, contactMatchConfig, { leadId: convoso?.lead_id });
+  if (resolved.candidates > 1) {
+    log.info("multiple contact matches", {
+      component: "contacts",
+      tenant: tenant.id,
+      candidates: resolved.candidates,
+      policy: resolved.policy,
+      reason: resolved.reason,
+      contact_ids: resolved.contacts.map((c) => c.id)
+    });
+  }
+  return { ...resolved, cached, phoneFormat: format };
 }
 
-function requireSecret(req, res) {
-  if (!SHARED_SECRET) return true; // allow if you didn't set it yet
-  const got = req.get("X-Shared-Secret");
-  if (got !== SHARED_SECRET) {
-    res.status(401).json({ ok: false, error: "Unauthorized" });
-    return false;
-  }
-  return true;
+/**
+ * Route-response summary of which contact(s) a policy picked.
+ */
+function contactResolutionSummary(match) {
+  return {
+    policy: match.policy,
+    reason: match.reason,
+    candidates: match.candidates,
+    contact_ids: match.contacts.map((c) => c.id),
+    cached: match.cached,
+    matched_format: match.phoneFormat ?? null
+  };
 }
 
-async function refreshForthAccessToken() {
-  if (forthRefreshPromise) return forthRefreshPromise;
-  forthRefreshPromise = (async () => {
-    try {
-      const clientId = process.env.FORTH_KEY_ID;
-      const clientSecret = process.env.FORTH_API_SECRET;
-      if (!clientId || !clientSecret) throw new Error("FORTH_KEY_ID or FORTH_API_SECRET missing");
-      const url = `${FORTH_BASE_URL}/v1/auth/token`;
-      const r = await fetch(url, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ client_id: clientId, client_secret: clientSecret })
-      });
-      const j = await r.json();
-      console.log("[forth-auth] token refresh response status=" + r.status + " keys=" + JSON.stringify(Object.keys(j).sort()));
-      if (j && typeof j.data === "object" && j.data !== null) {
-        console.log("[forth-auth] token refresh response data_keys=" + JSON.stringify(Object.keys(j.data).sort()));
-      }
-      if (!r.ok) throw new Error(j?.message ?? j?.error ?? "HTTP " + r.status);
-      const token =
-        j?.access_token ||
-        j?.response?.access_token ||
-        j?.response?.api_key ||
-        j?.response?.token ||
-        j?.response?.ApiKey;
-      if (!token) throw new Error("No access_token in response (keys=" + JSON.stringify(Object.keys(j || {})) + ", response_keys=" + JSON.stringify(Object.keys(j?.response || {})) + ")");
-      forthAccessToken = token;
-      const expiresIn = j?.response?.expires_in ?? j?.expires_in;
-      forthTokenExpiresAt = expiresIn
-        ? Date.now() + Math.min(Number(expiresIn) * 1000, FORTH_TOKEN_DEFAULT_TTL_MS)
-        : Date.now() + FORTH_TOKEN_DEFAULT_TTL_MS;
-      console.log("[forth-auth] refreshed token, expiresAt=" + new Date(forthTokenExpiresAt).toISOString());
-      return forthAccessToken;
-    } finally {
-      forthRefreshPromise = null;
-    }
-  })();
-  try {
-    return await forthRefreshPromise;
-  } catch (e) {
-    console.log("[forth-auth] refresh failed: " + (e?.message ?? String(e)));
-    throw e;
-  }
+/**
+ * Log entries from a Convoso /v1/log/retrieve response: data.results, data as an array, logs, or a bare array.
+ */
+function convosoLogEntries(j) {
+  if (Array.isArray(j?.data?.results)) return j.data.results;
+  if (Array.isArray(j?.data)) return j.data;
+  if (Array.isArray(j?.logs)) return j.logs;
+  if (Array.isArray(j)) return j;
+  return [];
+}
+
+const ENRICHMENT_TIME_TOLERANCE_SEC = Number(process.env.ENRICHMENT_TIME_TOLERANCE_SEC) || 300;
+const RECORDINGS_ENABLED = process.env.RECORDINGS_ENABLED === "1";
+const ENRICHMENT_RETRY_DELAYS_MS = String(process.env.ENRICHMENT_RETRY_DELAYS_MS || "0,3000,5000")
+  .split(",")
+  .map((v) => Number(v.trim()))
+  .filter((v) => Number.isFinite(v) && v >= 0);
+
+/**
+ * Convoso time to ms, read in the timezone of where it came from (CONVOSO_WEBHOOK_TZ or CONVOSO_API_TZ),
+ * so webhook and call log times compare correctly. NaN when unparseable.
+ */
+function convosoTimeMs(value, timeZone) {
+  const parsed = parseTimestamp(value, timeZone);
+  return parsed.error ? NaN : parsed.ms;
+}
+
+function convosoLogTimeMs(entry) {
+  return convosoTimeMs(entry.call_date ?? entry.call_date_time ?? entry.start_time ?? entry.created_at, timeConfig.apiTimeZone);
 }
 
-async function getForthApiKey() {
-  const keyId = process.env.FORTH_KEY_ID;
-  const secret = process.env.FORTH_API_SECRET;
-  if (!keyId || !secret) {
-    if (!forthMissingCredsLogged) {
-      forthMissingCredsLogged = true;
-      console.log("[forth-auth] missing creds; using FORTH_API_KEY only");
+/**
+ * Pick the log entry for this call out of a phone's recent logs.
+ *   call_log_id            -> confidence "exact"
+ *   lead_id + nearest time -> "high" (within ENRICHMENT_TIME_TOLERANCE_SEC)
+ *   nearest time only      -> "medium" (within tolerance; used when the webhook has no lead_id)
+ *   newest entry           -> "low", only when the webhook gave nothing to match on (legacy behaviour)
+ * Returns { entry, method, confidence, delta_sec } or null.
+ */
+function matchConvosoLog(list, { callLogId, leadId, callTimeMs }) {
+  if (!list.length) return null;
+  if (callLogId) {
+    const hit = list.find((e) => String(e.id ?? "") === callLogId);
+    if (hit) return { entry: hit, method: "call_log_id", confidence: "exact", delta_sec: null };
+  }
+  const nearest = (entries) => {
+    let best = null;
+    for (const e of entries) {
+      const t = convosoLogTimeMs(e);
+      if (!Number.isFinite(t)) continue;
+      const delta = Math.abs(t - callTimeMs) / 1000;
+      if (!best || delta < best.delta) best = { entry: e, delta };
+    }
+    return best && best.delta <= ENRICHMENT_TIME_TOLERANCE_SEC ? best : null;
+  };
+  if (Number.isFinite(callTimeMs)) {
+    if (leadId) {
+      const best = nearest(list.filter((e) => String(e.lead_id ?? "") === leadId));
+      if (best) return { entry: best.entry, method: "lead_id_time", confidence: "high", delta_sec: Math.round(best.delta) };
+    } else {
+      const best = nearest(list);
+      if (best) return { entry: best.entry, method: "time", confidence: "medium", delta_sec: Math.round(best.delta) };
     }
-    return process.env.FORTH_API_KEY || "";
   }
-  if (forthAccessToken && Date.now() < forthTokenExpiresAt - FORTH_TOKEN_BUFFER_MS) return forthAccessToken;
-  return refreshForthAccessToken();
+  if (!callLogId && !leadId && !Number.isFinite(callTimeMs)) {
+    return { entry: list[0], method: "newest", confidence: "low", delta_sec: null };
+  }
+  return null;
 }
 
-async function forthFetch(url, options) {
-  const apiKey = await getForthApiKey();
-  const headers = { ...options?.headers, "Api-Key": apiKey };
-  let r = await fetch(url, { ...options, headers });
-  if (r.status === 401 || r.status === 403) {
-    console.log("[forth-auth] token rejected (401/403), refreshing and retrying once");
-    forthAccessToken = null;
-    forthTokenExpiresAt = 0;
-    const newKey = await refreshForthAccessToken();
-    const retryHeaders = { ...options?.headers, "Api-Key": newKey };
-    r = await fetch(url, { ...options, headers: retryHeaders });
-  }
-  return r;
+/**
+ * Matching hints a webhook carries for enrichment.
+ */
+function enrichmentHints(convoso) {
+  return {
+    callLogId: String(convoso.call_log_id ?? "").trim(),
+    leadId: String(convoso.lead_id ?? "").trim(),
+    callTimeMs: convosoTimeMs(convoso.call_start_time ?? convoso.start_time ?? convoso.call_end_time ?? convoso.created_at, timeConfig.webhookTimeZone)
+  };
 }
 
-async function forthSearchContactByPhone(phone) {
-  const url = `${FORTH_BASE_URL}/v1/contacts/search_by_phone/${encodeURIComponent(phone)}`;
-  const r = await forthFetch(url, { method: "GET" });
-  const j = await r.json();
-  return { status: r.status, body: j };
+/**
+ * CONVOSO_AUTH_TOKEN, read at request time; null when unset. Every Convoso API call goes through
+ * this and convosoUrl so reads (enrichment, recordings, backfill) and writes (reverse sync) agree.
+ */
+function convosoAuthToken() {
+  const token = process.env.CONVOSO_AUTH_TOKEN;
+  return token && token.trim() ? token.trim() : null;
 }
 
-function formatConvosoTime(date) {
-  const y = date.getFullYear();
-  const m = String(date.getMonth() + 1).padStart(2, "0");
-  const d = String(date.getDate()).padStart(2, "0");
-  const h = String(date.getHours()).padStart(2, "0");
-  const min = String(date.getMinutes()).padStart(2, "0");
-  const s = String(date.getSeconds()).padStart(2, "0");
-  return `${y}-${m}-${d} ${h}:${min}:${s}`;
+function convosoUrl(pathname, params) {
+  return `${CONVOSO_API_BASE}${pathname}?${new URLSearchParams({ auth_token: convosoAuthToken(), ...params }).toString()}`;
 }
 
 /**
- * Fetch Convoso Call Log for phone; returns newest log entry or null on failure/no data.
- * No start_time/end_time; order=desc so results[0] is newest.
- * Uses process.env.CONVOSO_AUTH_TOKEN at request time.
+ * Fetch Convoso Call Log for phone and return the entry for this call (see matchConvosoLog), or null.
+ * No start_time/end_time; order=desc so the newest 20 logs for the phone are searched.
+ * The entry carries _attempt and _match ({ method, confidence, delta_sec }).
+ * Uses CONVOSO_AUTH_TOKEN at request time (convosoAuthToken).
  */
-async function fetchConvosoCallLog(phone) {
-  const authToken = process.env.CONVOSO_AUTH_TOKEN;
-  if (!authToken || !authToken.trim()) {
-    console.log("[call-completed] enrichment skipped: missing CONVOSO_AUTH_TOKEN");
+async function fetchConvosoCallLog(phone, hints = {}) {
+  if (!convosoAuthToken()) {
+    enrichLog.info("enrichment skipped: missing CONVOSO_AUTH_TOKEN");
+    enrichmentResults.inc({ result: "skipped" });
     return null;
   }
   if (!phone) return null;
   const phoneDigits = String(phone).replace(/\D/g, "");
-  const params = new URLSearchParams({
-    auth_token: authToken,
+  const url = convosoUrl("/v1/log/retrieve", {
     phone_number: phoneDigits,
     order: "desc",
-    limit: "5",
-    include_recordings: "0"
+    limit: "20",
+    include_recordings: RECORDINGS_ENABLED ? "1" : "0"
   });
-  const url = `${CONVOSO_API_BASE}/v1/log/retrieve?${params.toString()}`;
   const last10 = phoneDigits.length >= 10 ? phoneDigits.slice(-10) : phoneDigits;
-  console.log("[call-completed] enrichment query phone_digits_len=" + phoneDigits.length + " phone_last10=" + last10);
+  enrichLog.info("enrichment query", {
+    phone_digits_len: phoneDigits.length,
+    phone_last4: last10.slice(-4),
+    has_call_log_id: Boolean(hints.callLogId),
+    has_lead_id: Boolean(hints.leadId),
+    has_call_time: Number.isFinite(hints.callTimeMs)
+  });
   const timeoutMs = 15000;
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
-  const delays = [0, 3000, 5000];
+  const delays = ENRICHMENT_RETRY_DELAYS_MS.length ? ENRICHMENT_RETRY_DELAYS_MS : [0];
+  const maxAttempts = delays.length;
+  let sawResults = false;
   try {
-    for (let attempt = 1; attempt <= 3; attempt++) {
-      if (attempt > 1) {
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      if (delays[attempt - 1] > 0) {
         await new Promise((r) => setTimeout(r, delays[attempt - 1]));
       }
-      const r = await fetch(url, { method: "GET", signal: controller.signal });
+      enrichmentAttempts.inc({ attempt: String(attempt) });
+      const r = await httpClient.fetch(url, { method: "GET", signal: controller.signal });
       const j = await r.json();
       if (!r.ok) {
         clearTimeout(timeoutId);
-        console.log("[call-completed] enrichment fetch fail: HTTP " + r.status + " " + (j?.message ?? j?.error ?? ""));
+        enrichmentResults.inc({ result: "http_error" });
+        enrichLog.warn("enrichment fetch fail", { status: r.status, error: j?.message ?? j?.error ?? "" });
         return null;
       }
-      const list = j?.data ?? j?.logs ?? Array.isArray(j) ? j : [];
-      if (Array.isArray(list) && list.length > 0) {
+      const list = convosoLogEntries(j);
+      sawResults = sawResults || list.length > 0;
+      // The log for a just-finished call can lag the webhook, so a miss is retried like an empty result
+      const match = matchConvosoLog(list, hints);
+      if (match) {
         clearTimeout(timeoutId);
-        const entry = list[0];
+        const entry = match.entry;
         entry._attempt = attempt;
+        entry._match = { method: match.method, confidence: match.confidence, delta_sec: match.delta_sec };
+        enrichmentResults.inc({ result: "found" });
+        enrichmentMatches.inc({ method: match.method });
         return entry;
       }
-      if (attempt < 3) {
-        console.log("[call-completed] enrichment retry " + attempt + "/3: no results");
+      if (attempt < maxAttempts) {
+        enrichLog.info(list.length ? "enrichment retry: no matching log" : "enrichment retry: no results", { attempt, max_attempts: maxAttempts, results: list.length });
       }
     }
     clearTimeout(timeoutId);
-    console.log("[call-completed] enrichment fetch fail: no results");
+    enrichLog.warn(sawResults ? "enrichment fetch fail: no matching log" : "enrichment fetch fail: no results");
+    enrichmentResults.inc({ result: sawResults ? "no_match" : "empty" });
     return null;
   } catch (e) {
     clearTimeout(timeoutId);
     const msg = e?.name === "AbortError" ? "timeout (" + timeoutMs + "ms)" : (e?.message ?? String(e));
-    console.log("[call-completed] enrichment fetch fail: " + msg);
+    enrichLog.warn("enrichment fetch fail", { error: msg });
+    enrichmentResults.inc({ result: e?.name === "AbortError" ? "timeout" : "error" });
     return null;
   }
 }
 
 /**
- * Map Convoso call_type to Forth call_type. Returns "Incoming" | "Outgoing" | null (omit from payload if null).
+ * Recording URL on a Convoso log entry (include_recordings=1): recording_url, or the first
+ * entry of the recording list (public_url, then src/url). null when there is none yet.
  */
-function convosoCallTypeToForth(callType) {
-  const t = String(callType ?? "").toUpperCase().trim();
-  if (t === "INBOUND") return "Incoming";
-  if (t === "OUTBOUND" || t === "MANUAL") return "Outgoing";
-  return null;
+function convosoRecordingUrl(entry) {
+  if (!entry) return null;
+  if (entry.recording_url) return String(entry.recording_url);
+  const rec = Array.isArray(entry.recording) ? entry.recording[0] : entry.recording;
+  if (typeof rec === "string") return rec || null;
+  return rec?.public_url || rec?.src || rec?.url || null;
+}
+
+/**
+ * Recording for the log entry enrichment matched. A "low" (newest-for-phone) match is not trusted:
+ * linking another call's recording is worse than linking none.
+ */
+function recordingFromLog(entry) {
+  if (!entry || entry._match?.confidence === "low") return null;
+  return convosoRecordingUrl(entry);
+}
+
+/**
+ * One Convoso log lookup for a call's recording (used by the recording queue, which does the retrying).
+ * Returns the recording URL or null; throws when Convoso itself fails.
+ */
+async function fetchConvosoRecording(phone, hints) {
+  if (!convosoAuthToken()) throw new JobError("CONVOSO_AUTH_TOKEN missing", { retryable: false });
+  const url = convosoUrl("/v1/log/retrieve", {
+    phone_number: String(phone).replace(/\D/g, ""),
+    order: "desc",
+    limit: "20",
+    include_recordings: "1"
+  });
+  const r = await httpClient.fetch(url, {
+    method: "GET",
+    signal: AbortSignal.timeout(15000)
+  });
+  const j = await r.json();
+  if (!r.ok || j?.success === false) {
+    throw new JobError("Convoso log retrieve HTTP " + r.status + " " + (j?.message ?? j?.error ?? ""), { retryable: r.status >= 500 || r.status === 429, status: r.status });
+  }
+  const match = matchConvosoLog(convosoLogEntries(j), hints);
+  return match && match.confidence !== "low" ? convosoRecordingUrl(match.entry) : null;
+}
+
+/**
+ * One page of Convoso call logs for a time range, oldest first so offsets stay stable while new calls arrive.
+ * startTime/endTime are anything Date can parse; they are sent in Convoso's "YYYY-MM-DD HH:MM:SS" format in CONVOSO_API_TZ.
+ */
+async function fetchConvosoLogPage({ startTime, endTime, offset, limit }) {
+  if (!convosoAuthToken()) throw new Error("CONVOSO_AUTH_TOKEN missing");
+  const url = convosoUrl("/v1/log/retrieve", {
+    start_time: formatInTimeZone(new Date(startTime).getTime(), timeConfig.apiTimeZone),
+    end_time: formatInTimeZone(new Date(endTime).getTime(), timeConfig.apiTimeZone),
+    offset: String(offset),
+    limit: String(limit),
+    order: "asc",
+    include_recordings: RECORDINGS_ENABLED ? "1" : "0"
+  });
+  const r = await httpClient.fetch(url, {
+    method: "GET",
+    signal: AbortSignal.timeout(30000)
+  });
+  const j = await r.json();
+  if (!r.ok || j?.success === false) throw new Error("Convoso log retrieve failed: HTTP " + r.status + " " + (j?.message ?? j?.error ?? ""));
+  return { entries: convosoLogEntries(j), total: j?.data?.total_found ?? j?.total_found ?? null };
+}
+
+/**
+ * POST a Convoso API write (form-encoded, auth_token added). Convoso reports failures as
+ * { success: false } with HTTP 200, so both are checked; 5xx/429 retry, other failures dead-letter.
+ */
+async function convosoWrite(label, pathname, params) {
+  if (!convosoAuthToken()) throw new JobError("CONVOSO_AUTH_TOKEN missing", { retryable: false });
+  const r = await httpClient.fetch(`${CONVOSO_API_BASE}${pathname}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({ auth_token: convosoAuthToken(), ...params }).toString(),
+    signal: AbortSignal.timeout(15000)
+  });
+  const j = await r.json().catch(() => ({}));
+  if (r.ok && j?.success !== false) return { status: r.status, body: j };
+  const retryable = r.status >= 500 || r.status === 429;
+  const detail = j?.text ?? j?.message ?? j?.error ?? "";
+  throw new JobError(label + " HTTP " + r.status + " " + String(detail).slice(0, 300), { retryable, status: r.status });
 }
 
 /**
@@ -368,257 +755,1579 @@ function applyDirectionPrefix(notesBody, direction) {
   return prefix + (stripped || "");
 }
 
-async function forthCreateCall(payload) {
-  const url = `${FORTH_BASE_URL}/v1/calls`;
-  const r = await forthFetch(url, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(payload)
-  });
-  const j = await r.json();
-  return { status: r.status, body: j };
+function contactNoteBody(content) {
+  return { content: String(content), note_type: 1, public: true };
 }
 
-async function forthCreateContactNote(contactId, content) {
-  const url = `${FORTH_BASE_URL}/v1/contacts/${encodeURIComponent(contactId)}/notes`;
-  const r = await forthFetch(url, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ content: String(content), note_type: 1, public: true })
-  });
-  const j = await r.json();
-  return { status: r.status, body: j };
+/**
+ * Turn a Forth write response into a job result: 2xx passes, 5xx/429 retry, other errors dead-letter.
+ */
+function checkForthWrite(label, result) {
+  if (result.status >= 200 && result.status < 300) return result;
+  const retryable = result.status >= 500 || result.status === 429;
+  const detail = JSON.stringify(result.body ?? {}).slice(0, 300);
+  throw new JobError(label + " HTTP " + result.status + " " + detail, { retryable, status: result.status });
 }
 
-// Health check
-app.get("/health", (req, res) => res.json({ ok: true }));
+// Disposition and call-completed events for the same Convoso call become one Forth call
+const callMergeConfig = callMergeConfigFromEnv();
+const callMerger = createCallMerger({ filePath: path.join(DATA_DIR, "call-merge.json"), ...callMergeConfig });
+
+// Convoso callbacks become Forth events (or tasks); the store maps each callback to the one it created
+const callbackConfig = callbackConfigFromEnv();
+const callbackStore = createCallbackStore({ filePath: path.join(DATA_DIR, "callbacks.json") });
+
+// Every outbound Forth write goes through this queue so 5xx/network failures are retried, not lost
+const forthQueue = createJobQueue({
+  name: "forth-queue",
+  filePath: path.join(DATA_DIR, "forth-queue.json"),
+  maxAttempts: Number(process.env.FORTH_QUEUE_MAX_ATTEMPTS) || 8,
+  baseDelayMs: Number(process.env.FORTH_QUEUE_BASE_DELAY_MS) || 30000,
+  pollMs: Math.min(5000, Number(process.env.FORTH_QUEUE_BASE_DELAY_MS) || 5000),
+  // job.meta.tenant picks the Forth account
+  onSettled: journalSettled("forth"),
+  handlers: {
+    "forth.createCall": async (payload, job) => {
+      const record = job.meta?.merge_id ? callMerger.get(job.meta.merge_id) : null;
+      if (record) return sendMergedCall(tenantById(job.meta?.tenant), record, job);
+      const result = checkForthWrite("createCall", await tenantById(job.meta?.tenant).forth.createCall(payload));
+      if (job.meta?.recording && !payload.recording_url) trackRecording(result, job);
+      return result;
+    },
+    "forth.createContactNote": async (payload, job) =>
+      checkForthWrite("createContactNote", await tenantById(job.meta?.tenant).forth.createContactNote(payload.contactId, contactNoteBody(payload.content))),
+    "forth.upsertContact": async (payload, job) => upsertForthContact(payload, tenantById(job.meta?.tenant)),
+    "forth.upsertCallback": upsertForthCallback
+  }
+});
+
+const leadFieldMap = loadLeadFieldMap();
 
 /**
- * Convoso -> Forth
- * Create 1 log on Call Completed
+ * Forth contact body for a normalized Convoso lead. The lead_id always goes to CONTACT_LEAD_ID_FIELD
+ * as well (when set), so lead_id contact matching keeps working for contacts this route created.
  */
-app.post("/convoso/call-completed", async (req, res) => {
-  if (!requireSecret(req, res)) return;
+function leadContactBody(lead) {
+  const contact = mapLeadToContact(leadFieldMap, lead);
+  const leadId = String(lead.lead_id ?? "").trim();
+  if (leadId && contactMatchConfig.leadIdField) {
+    contact.custom_fields = { ...contact.custom_fields, [contactMatchConfig.leadIdField]: leadId };
+  }
+  return contact;
+}
 
-  try {
-    // You’ll map these fields from Convoso later. For now we accept flexible keys.
-    const convoso = normalizeIncomingPayload(req);
-    logConvosoRequest("call-completed", convoso);
-    console.log("[call-completed] input=" + (convoso._inputType || "unknown") + " payload_keys=" + JSON.stringify(Object.keys(convoso).sort()));
-    const phone = convoso.phone;
-    if (!phone) return res.status(400).json({ ok: false, error: "Missing phone" });
-
-    if (process.env.CONVOSO_AUTH_TOKEN) {
-      const last4 = phone.length >= 4 ? phone.slice(-4) : "????";
-      console.log("[call-completed] enrichment fetching convoso for phone_last4=" + last4);
-    }
-    const convosoLog = await fetchConvosoCallLog(phone);
-    let direction;
-    let notes;
-    let outcome;
-    if (convosoLog) {
-      direction = convosoCallTypeToForth(convosoLog.call_type);
-      const agentComment = String(convosoLog.agent_comment ?? "").trim();
-      const baseNote = agentComment || "No Agent Note - Convoso call logged automatically (Call Completed).";
-      const logId = convosoLog.id ?? "";
-      const statusName = String(convosoLog.status_name ?? "").trim();
-      const termReason = String(convosoLog.term_reason ?? "").trim();
-      const callLength = convosoLog.call_length ?? convosoLog.call_length_seconds ?? "";
-      const notesBody = baseNote + " | ConvosoLogID:" + logId + " | Status:" + statusName + " | Term:" + termReason + " | Len:" + callLength + "s";
-      notes = applyDirectionPrefix(notesBody, direction);
-      outcome = mapCallCompletedOutcome({ ...convoso, term_reason: convosoLog.term_reason, status_name: convosoLog.status_name, talk_time: convosoLog.call_length ?? convosoLog.call_length_seconds });
-      console.log("[call-completed] enrichment ok (attempt " + (convosoLog._attempt || 1) + ") call_type=" + (convosoLog.call_type ?? "") + " convoso_log_id=" + logId);
-    } else {
-      direction = convosoCallTypeToForth(convoso.call_type);
-      const rawNote = (convoso.notes ?? convoso.params?.notes ?? convoso.note ?? convoso.comments ?? convoso.call_notes ?? "").toString().trim();
-      const notesBody = rawNote || "No Agent Note - Convoso call logged automatically (Call Completed).";
-      notes = applyDirectionPrefix(notesBody, direction);
-      outcome = mapCallCompletedOutcome(convoso);
-      if (rawNote) {
-        console.log("[call-completed] Using agent note (len=" + rawNote.length + ")");
-      } else {
-        console.log("[call-completed] No agent note found; using fallback");
+/**
+ * The existing Forth contact a lead should update, or null to create one.
+ * Always a single contact: lead_id match first, then the contact match fallback ("all" becomes most_recent).
+ */
+async function findUpsertTarget(phone, leadId, tenant, phoneE164 = null) {
+  const search = await searchForthContacts(phone, { tenant, fresh: true, e164: phoneE164 });
+  if (!search.ok) throw new JobError("Forth contact search failed", { retryable: true });
+  const fallback = contactMatchConfig.fallback === "all" ? "most_recent" : contactMatchConfig.fallback;
+  const resolved = resolveContacts(search.contacts, { ...contactMatchConfig, policy: "lead_id", fallback }, { leadId });
+  return resolved.contacts[0] ?? null;
+}
+
+/**
+ * Job handler for forth.upsertContact. Create vs update is decided when the job runs (jobs run one at a time),
+ * so a lead-insert quickly followed by a lead-update cannot create the contact twice.
+ */
+async function upsertForthContact({ phone, phoneE164, leadId, contact }, tenant) {
+  const target = await findUpsertTarget(phone, leadId, tenant, phoneE164);
+  const result = target
+    ? checkForthWrite("updateContact", await tenant.forth.updateContact(target.id, contact))
+    : checkForthWrite("createContact", await tenant.forth.createContact(contact));
+  tenant.contactCache.delete(phoneLookup(phone, phoneE164).key);
+  if (!target) {
+    // Events parked for this phone can attach now instead of waiting for the next reconcile tick
+    reconciler.reconcileOnce().catch((e) => log.error("reconcile after contact create failed", { error: e?.message ?? String(e) }));
+  }
+  return { ...result, action: target ? "updated" : "created", contact_id: target?.id ?? result.body?.response?.id ?? null };
+}
+
+// Connected calls created without a recording_url: re-check Convoso until the recording shows up, then update the call
+const recordingQueue = createJobQueue({
+  name: "recording-queue",
+  filePath: path.join(DATA_DIR, "recording-queue.json"),
+  maxAttempts: Number(process.env.RECORDING_MAX_ATTEMPTS) || 12,
+  baseDelayMs: Number(process.env.RECORDING_RETRY_BASE_MS) || 60000,
+  pollMs: Math.min(5000, Number(process.env.RECORDING_RETRY_BASE_MS) || 5000),
+  onSettled: journalSettled("recordings"),
+  handlers: {
+    "convoso.attachRecording": async (payload, job) => {
+      const url = await fetchConvosoRecording(payload.phone, payload.hints);
+      if (!url) {
+        recordingResults.inc({ result: "not_available" });
+        throw new JobError("recording not available yet");
       }
+      const result = checkForthWrite("updateCall", await tenantById(job.meta?.tenant).forth.updateCall(payload.forthCallId, { recording_url: url }));
+      recordingResults.inc({ result: "attached" });
+      return result;
     }
+  }
+});
 
-    const dispId = outcome.dispId;
-    const callResult = outcome.call_result;
-    console.log("[call-completed] call_result=" + callResult + " (source=" + outcome.source + ")");
-
-    const search = await forthSearchContactByPhone(phone);
-    const contact = search?.body?.response?.[0];
-    if (!contact?.id) return res.status(200).json({ ok: true, skipped: "No matching contact in Forth" });
-
-    const directionMissing = direction != null ? false : true;
-
-    if (directionMissing) {
-      const callLogId = convoso.call_log_id ?? convosoLog?.id ?? "";
-      const callDate = convoso.created_at ?? convoso.call_end_time ?? convosoLog?.call_date ?? convosoLog?.call_date_time ?? "";
-      const durationSec = Number(convosoLog?.call_length ?? convosoLog?.call_length_seconds ?? convoso.duration ?? convoso.duration_seconds ?? 0);
-      const rawNote = (convoso.notes ?? convoso.params?.notes ?? convoso.note ?? convoso.comments ?? convoso.call_notes ?? convosoLog?.agent_comment ?? "").toString().trim();
-      const agentNote = rawNote || "No Agent Note - Convoso call logged automatically (Call Completed).";
-      const parts = [
-        "⚠️ Direction MISSING (Convoso did not send call_type). Call was NOT logged as a Call in Forth because call_type is required.",
-        callLogId ? "call_log_id:" + callLogId : "",
-        callDate ? "call_date:" + callDate : "",
-        durationSec ? "duration:" + durationSec + "s" : "",
-        phone ? "phone_number:" + phone : ""
-      ].filter(Boolean);
-      const noteContent = parts.join(" | ") + " | " + agentNote;
-      console.log("[call-completed] direction missing, creating Forth contact note instead of call");
-      const create = await forthCreateContactNote(contact.id, noteContent);
-      return res.status(200).json({
-        ok: true,
-        forth: { status: create.status, code: create.body?.status?.code ?? create.status, ...create.body }
-      });
-    }
+/**
+ * Mark a Forth call write for recording tracking. Only connected calls are tracked (others have no
+ * recording), and only when the webhook gives enrichment something to match on besides the phone.
+ */
+function withRecordingTracking(write, phone, convoso, dispId) {
+  if (!RECORDINGS_ENABLED || write.type !== "forth.createCall" || write.payload.recording_url || dispId !== DISP.CONNECTED) return write;
+  const hints = enrichmentHints(convoso);
+  if (!hints.callLogId && !hints.leadId && !Number.isFinite(hints.callTimeMs)) {
+    log.info("recording not tracked: no call_log_id, lead_id or call time to match on");
+    return write;
+  }
+  return { ...write, recording: { phone, hints: { ...hints, callTimeMs: Number.isFinite(hints.callTimeMs) ? hints.callTimeMs : null } } };
+}
 
-    const createdAt = convoso.created_at || convoso.call_end_time || (convosoLog?.call_date ?? convosoLog?.call_date_time) || new Date().toISOString().slice(0, 19).replace("T", " ");
+/**
+ * After a tracked Forth call is created, queue the recording lookup against the new call id.
+ */
+function trackRecording(result, job) {
+  const forthCallId = result.body?.response?.id ?? result.body?.id;
+  if (forthCallId == null) {
+    log.warn("recording not tracked: Forth call id missing from createCall response", { job_id: job.id, request_id: job.meta.request_id });
+    return;
+  }
+  recordingQueue.enqueue("convoso.attachRecording", { forthCallId, ...job.meta.recording }, {
+    tenant: job.meta.tenant,
+    request_id: job.meta.request_id,
+    contact_id: job.meta.contact_id,
+    forth_call_id: forthCallId
+  });
+}
 
-    const durationSec = Number(convosoLog?.call_length ?? convosoLog?.call_length_seconds ?? convoso.duration ?? convoso.duration_seconds ?? 0);
-    const hh = String(Math.floor(durationSec / 3600)).padStart(2, "0");
-    const mm = String(Math.floor((durationSec % 3600) / 60)).padStart(2, "0");
-    const ss = String(durationSec % 60).padStart(2, "0");
-    const duration = `${hh}:${mm}:${ss}`;
+/**
+ * Forth writes are built before the contact is known: { type, payload } without the contact id.
+ * This binds one to a contact the way each endpoint expects it.
+ */
+function forthWritePayload(write, contact) {
+  if (write.type === "forth.createContactNote") return { contactId: contact.id, ...write.payload };
+  if (write.type === "forth.upsertContact") return { ...write.payload, contactId: contact?.id ?? null };
+  if (write.type === "forth.upsertCallback") return { ...write.payload, contactId: contact.id };
+  return { contactID: Number(contact.id), ...write.payload };
+}
 
-    const create = await forthCreateCall({
-      contactID: Number(contact.id),
-      created_at: createdAt,
-      call_type: direction,
-      call_disposition: dispId,
-      call_result: callResult,
-      notes,
-      duration,
-      event_id: 0,
-      ...(convoso.recording_url ?? convosoLog?.recording_url ? { recording_url: convoso.recording_url || convosoLog?.recording_url } : {})
-    });
+/**
+ * Queue a write for each contact. meta.tenant (required) is the tenant id whose Forth account gets the write.
+ * Call writes that carry write.call (Convoso call ids / lead_id) go through the call merger; write.callback (a
+ * callback disposition) is queued after the write it came with.
+ */
+function enqueueForthWrites(write, contacts, meta) {
+  const recording = write.recording ? { recording: write.recording } : {};
+  return contacts.flatMap((contact) => {
+    const payload = withCallbackEvent(forthWritePayload(write, contact), write, meta.tenant, contact.id);
+    const jobMeta = { ...meta, ...recording, contact_id: contact.id, request_id: currentRequestId() };
+    const job = write.type !== "forth.createCall" || !write.call || !callMerger.enabled
+      ? forthQueue.enqueue(write.type, payload, jobMeta)
+      : enqueueMergedCall(write.call, payload, jobMeta);
+    if (!write.callback) return [job];
+    const callbackMeta = { ...meta, contact_id: contact.id, request_id: currentRequestId() };
+    return [job, forthQueue.enqueue(write.callback.type, forthWritePayload(write.callback, contact), callbackMeta)];
+  });
+}
 
-    return res.status(200).json({ ok: true, forth: create.body });
-  } catch (e) {
-    return res.status(500).json({ ok: false, error: String(e) });
-  }
-});
+// A call whose Convoso call already has a Forth callback event is linked to it through event_id
+function withCallbackEvent(payload, write, tenant, contactId) {
+  if (write.type !== "forth.createCall" || !write.call || payload.event_id) return payload;
+  const callback = callbackStore.forCall({ tenant, contactId, callIds: write.call.ids, leadId: write.call.leadId }, callMergeConfig.leadWindowMs);
+  return callback ? { ...payload, event_id: callback.forthEventId } : payload;
+}
 
 /**
- * POST /convoso/disposition — first disposition only; dedupe gate BEFORE any Forth lookup.
+ * Add a Forth call to its merge record and queue the job that sends it, unless a queued job already will.
+ * Returns that job (a stand-in with merged: true when the event was folded into an existing one).
  */
-app.post("/convoso/disposition", async (req, res) => {
-  if (!requireSecret(req, res)) return;
+function enqueueMergedCall(call, payload, meta) {
+  const { record, enqueue, delayMs } = callMerger.add(
+    { tenant: meta.tenant, contactId: meta.contact_id, callIds: call.ids, leadId: call.leadId, route: meta.route, fields: payload },
+    { isQueued: (jobId) => forthQueue.pending().some((j) => j.id === jobId) }
+  );
+  if (meta.recording && !record.recording) callMerger.update(record.id, { recording: meta.recording });
+  const jobMeta = { ...meta, merge_id: record.id };
+  if (!enqueue) return { id: record.jobId, type: "forth.createCall", payload, meta: jobMeta, attempts: 0, merged: true };
+  const job = forthQueue.enqueue("forth.createCall", payload, jobMeta, { delayMs });
+  if (record.state === "pending") callMerger.update(record.id, { jobId: job.id });
+  return job;
+}
 
+/**
+ * Job handler for a merged call: create the Forth call from every event merged so far, or update it with what
+ * changed since it was sent (lib/callMerge.js). Jobs run one at a time, so a record is never sent twice at once.
+ */
+async function sendMergedCall(tenant, record, job) {
+  const plan = callMerger.plan(record);
+  if (plan.action === "unchanged") return { status: 200, body: null, merge: { action: "unchanged", forth_call_id: record.forthCallId } };
+  const previousState = record.state;
+  callMerger.update(record.id, { state: "sending" });
   try {
-    const convoso = parseConvosoBody(req);
-    const disposition = (convoso.disposition ?? convoso.disposition_name ?? "").toString().trim();
-    if (!disposition) return res.status(200).json({ ok: true, skipped: "Disposition blank" });
-
-    const callId = convoso.call_id != null ? String(convoso.call_id) : null;
-    const leadId = convoso.lead_id != null ? String(convoso.lead_id) : "";
-    const callStartTs = convoso.call_start_time ?? convoso.start_time ?? convoso.created_at ?? "";
-    const timestamp = callStartTs || String(Date.now());
-    const dedupeKey = callId ? `disp_first_set:${callId}` : `disp_first_set:${leadId}:${timestamp}`;
-
-    pruneFirstDispositionSeen();
-    if (firstDispositionSeen.has(dedupeKey)) {
-      return res.status(200).json({ ok: true, skipped: "Disposition already processed", deduped: true });
+    if (plan.action === "update") {
+      const result = checkForthWrite("updateCall", await tenant.forth.updateCall(record.forthCallId, plan.fields));
+      callMerger.update(record.id, { state: "sent", sent: { ...record.sent, ...plan.fields } });
+      trackMergedRecording(record, record.forthCallId, job);
+      return { ...result, merge: { action: "updated", forth_call_id: record.forthCallId, fields: Object.keys(plan.fields) } };
     }
+    const result = checkForthWrite("createCall", await tenant.forth.createCall(plan.fields));
+    const forthCallId = result.body?.response?.id ?? result.body?.id ?? null;
+    callMerger.update(record.id, { state: "sent", sent: plan.fields, forthCallId });
+    trackMergedRecording(record, forthCallId, job);
+    return { ...result, merge: { action: "created", forth_call_id: forthCallId, routes: record.routes } };
+  } catch (e) {
+    callMerger.update(record.id, { state: previousState });
+    if (plan.action === "update" && [404, 405].includes(e?.status)) {
+      log.error("Forth rejected the call update; set CALL_MERGE_MODE=window if this account cannot update calls", { component: "call-merge", status: e.status, forth_call_id: record.forthCallId });
+    }
+    throw e;
+  }
+}
 
-    // Set immediately so second request returns deduped before any Forth lookup
-    firstDispositionSeen.set(dedupeKey, {
-      ts: Date.now(),
-      disposition_id: convoso.disposition_id ?? convoso.id ?? ""
-    });
-
-    const phone = convoso.phone;
-    if (!phone) return res.status(400).json({ ok: false, error: "Missing phone" });
-
-    const search = await forthSearchContactByPhone(phone);
-    const contact = search?.body?.response?.[0];
-    if (!contact?.id) return res.status(200).json({ ok: true, skipped: "No matching contact in Forth" });
-
-    const direction = (convoso.direction || convoso.call_type || "Incoming").toLowerCase().includes("out")
-      ? "Outgoing"
-      : "Incoming";
+// Queue the recording lookup once per merged call, whichever of its events asked for it
+function trackMergedRecording(record, forthCallId, job) {
+  const recording = job.meta?.recording ?? record.recording;
+  if (!recording || record.fields.recording_url || record.recordingTracked || forthCallId == null) return;
+  callMerger.update(record.id, { recordingTracked: true });
+  trackRecording({ body: { id: forthCallId } }, { ...job, meta: { ...job.meta, recording } });
+}
 
-    const dispId =
-      /no answer|na/i.test(disposition) ? DISP.NO_ANSWER :
-      /busy/i.test(disposition) ? DISP.BUSY :
-      /left|vm|voicemail|message/i.test(disposition) ? DISP.LEFT_MESSAGE :
-      DISP.CONNECTED;
+/**
+ * Job handler for forth.upsertCallback: create the Forth event (or task) for a Convoso callback, or update the one it
+ * already created when the callback is rescheduled or cancelled. Decided when the job runs (jobs run one at a time),
+ * like contact upserts. A new event is linked to the callback's Forth call through event_id.
+ */
+async function upsertForthCallback({ contactId, ref, body, cancelled, call }, job) {
+  const tenant = tenantById(job.meta?.tenant);
+  const existing = callbackStore.get(tenant.id, contactId, ref);
+  const type = existing?.type ?? callbackConfig.type;
+  const forth = tenant.forth;
+  if (existing?.forthEventId == null) {
+    if (cancelled) return { status: 200, body: null, action: "skipped", callback: { reason: "no Forth " + type + " to cancel" } };
+    const result = checkForthWrite("createCallback", type === "task" ? await forth.createContactTask(contactId, body) : await forth.createContactEvent(contactId, body));
+    const forthEventId = result.body?.response?.id ?? result.body?.id ?? null;
+    callbackStore.save(tenant.id, contactId, ref, { type, forthEventId, sent: body, cancelled: false, callIds: call?.ids ?? [], leadId: call?.leadId ?? null });
+    const linked = linkCallbackToCall(tenant, contactId, call, forthEventId, job);
+    return { ...result, action: "created", callback: { type, forth_event_id: forthEventId, linked_call: Boolean(linked) } };
+  }
+  const fields = body ?? { ...existing.sent, status: "cancelled" };
+  const summary = { type, forth_event_id: existing.forthEventId };
+  if (JSON.stringify(fields) === JSON.stringify(existing.sent)) return { status: 200, body: null, action: "unchanged", callback: summary };
+  const result = checkForthWrite("updateCallback", type === "task"
+    ? await forth.updateContactTask(contactId, existing.forthEventId, fields)
+    : await forth.updateContactEvent(contactId, existing.forthEventId, fields));
+  callbackStore.save(tenant.id, contactId, ref, { sent: fields, cancelled: Boolean(cancelled) });
+  return { ...result, action: cancelled ? "cancelled" : "rescheduled", callback: summary };
+}
 
-    const createdAt = convoso.created_at || new Date().toISOString().slice(0, 19).replace("T", " ");
-    const notes = `Convoso - Disposition: ${disposition} | phone=${phone}`;
+/**
+ * Put a new callback event's id on its Forth call (the merge record for the same Convoso call / lead) as event_id.
+ * Without a record there is no call yet; withCallbackEvent links it when it is written. Returns the call job or null.
+ */
+function linkCallbackToCall(tenant, contactId, call, forthEventId, job) {
+  if (!call || forthEventId == null || !callMerger.enabled) return null;
+  const record = callMerger.find({ tenant: tenant.id, contactId, callIds: call.ids, leadId: call.leadId });
+  // In window mode a sent call cannot be updated
+  if (!record || (callMerger.mode !== "update" && record.state !== "pending")) return null;
+  return enqueueMergedCall(call, { event_id: forthEventId }, { tenant: tenant.id, contact_id: contactId, route: "callback", request_id: job.meta?.request_id ?? null });
+}
 
-    await forthCreateCall({
-      contactID: Number(contact.id),
-      created_at: createdAt,
-      call_type: direction,
-      call_disposition: dispId,
-      notes,
-      duration: "00:00:00",
-      event_id: 0,
-      ...(convoso.recording_url ? { recording_url: convoso.recording_url } : {})
-    });
+/**
+ * Convoso ids a Forth call write is correlated by, so the other events for the same call merge into it.
+ */
+function withCallCorrelation(write, { callIds, leadId }) {
+  if (write.type !== "forth.createCall") return write;
+  return { ...write, call: { ids: [...new Set(callIds.map((id) => String(id ?? "").trim()).filter(Boolean))], leadId: String(leadId ?? "").trim() || null } };
+}
 
-    return res.status(200).json({ ok: true, created: true });
-  } catch (e) {
-    return res.status(500).json({ ok: false, error: String(e) });
+/**
+ * The exact HTTP request a queued Forth write turns into (what dry-run reports instead of sending).
+ */
+function forthWriteRequest(tenant, type, payload) {
+  const forth = tenant.forth;
+  if (type === "forth.upsertContact") {
+    return payload.contactId
+      ? { method: "PUT", url: forth.url(forth.contactPath(payload.contactId)), body: payload.contact }
+      : { method: "POST", url: forth.url("/v1/contacts"), body: payload.contact };
   }
-});
+  if (type === "forth.createContactNote") {
+    return { method: "POST", url: forth.url(forth.contactPath(payload.contactId) + "/notes"), body: contactNoteBody(payload.content) };
+  }
+  if (type === "forth.upsertCallback") {
+    const existing = callbackStore.get(tenant.id, payload.contactId, payload.ref);
+    const base = forth.contactPath(payload.contactId) + ((existing?.type ?? callbackConfig.type) === "task" ? "/tasks" : "/events");
+    if (existing?.forthEventId != null) {
+      return { method: "PUT", url: forth.url(base + "/" + encodeURIComponent(existing.forthEventId)), body: payload.body ?? { ...existing.sent, status: "cancelled" } };
+    }
+    // Cancelling a callback that never reached Forth sends nothing
+    return payload.cancelled ? null : { method: "POST", url: forth.url(base), body: payload.body };
+  }
+  return { method: "POST", url: forth.url("/v1/calls"), body: payload };
+}
 
 /**
- * Convoso -> Forth
- * Create 1 log on Disposition Set (only once when first set)
- * We rely on Convoso config to only fire when blank -> value (your choice).
+ * Journal view of a queued job. The Forth request is rebuilt from the job so the journal shows exactly what was sent.
  */
-app.post("/convoso/disposition-set", async (req, res) => {
-  if (!requireSecret(req, res)) return;
+function journalJob(queue, job, { status, result, error }) {
+  let request = null;
+  if (queue === "forth") {
+    try {
+      request = redact(forthWriteRequest(tenantById(job.meta?.tenant), job.type, job.payload));
+    } catch {
+      request = null;
+    }
+  }
+  return {
+    queue,
+    job_id: job.id,
+    type: job.type,
+    contact_id: job.meta?.contact_id ?? null,
+    status,
+    attempts: job.attempts,
+    request,
+    response: result ? redact({
+      status: result.status,
+      body: result.body,
+      ...(result.action ? { action: result.action } : {}),
+      ...(result.merge ? { merge: result.merge } : {}),
+      ...(result.callback ? { callback: result.callback } : {})
+    }) : null,
+    error: error ? redactString(error) : null
+  };
+}
 
-  try {
-    const rawPhone = req.body.phone || req.body.phone_number || req.body.caller_id || req.body.lead_phone;
-    const phone = normalizePhone(rawPhone);
-    if (!phone) return res.status(400).json({ ok: false, error: "Missing phone" });
+/**
+ * Queue onSettled hook: record each attempt's result on the journal entry of the webhook that queued the job.
+ */
+function journalSettled(queue) {
+  return (job, outcome) => eventJournal.recordJob(job.meta?.request_id, journalJob(queue, job, outcome));
+}
 
-    const search = await forthSearchContactByPhone(phone);
-    const contact = search?.body?.response?.[0];
-    if (!contact?.id) return res.status(200).json({ ok: true, skipped: "No matching contact in Forth" });
+// Dry-run: run the whole pipeline but stop before the Forth write; results go to the shadow log
+const shadowLog = createShadowLog({ filePath: path.join(DATA_DIR, "shadow-log.jsonl") });
 
-    const direction = (req.body.direction || req.body.call_type || "Incoming").toLowerCase().includes("out")
-      ? "Outgoing"
-      : "Incoming";
+function isDryRun(req) {
+  if (process.env.DRY_RUN === "1") return true;
+  return ["1", "true"].includes(String(req.get("X-Dry-Run") ?? "").trim().toLowerCase());
+}
 
-    const convosoDisp = String(req.body.disposition || req.body.disposition_name || "Connected").trim();
+/**
+ * Record a dry-run result and build the route response.
+ * decision: "would_write" | "would_park" | "would_dedupe" | "would_fail" (a lookup the write depends on failed)
+ * The Forth requests go through redact() before they reach the shadow log, /admin/shadow or the response.
+ */
+function dryRunResponse(route, { tenant, decision, write, contacts = [], match, dedupeKey, convoso, extra }) {
+  const writes = [write, write?.callback].filter(Boolean);
+  const requests = decision === "would_write"
+    ? redact(contacts.flatMap((c) => writes.map((w) => forthWriteRequest(tenant, w.type, forthWritePayload(w, c)))).filter(Boolean))
+    : [];
+  const entry = shadowLog.append({
+    route,
+    tenant: tenant?.id ?? null,
+    request_id: currentRequestId(),
+    decision,
+    dedupe_key: dedupeKey ?? null,
+    input_type: convoso?._inputType ?? null,
+    lead_id: convoso?.lead_id ?? null,
+    call_log_id: convoso?.call_log_id ?? null,
+    contact: match ? contactResolutionSummary(match) : null,
+    write_type: write?.type ?? null,
+    requests,
+    track_recording: Boolean(write?.recording),
+    ...extra
+  });
+  recordOutcome(route, "dry_run", tenant);
+  return { ok: true, dry_run: true, shadow_id: entry.id, decision, requests, contact: entry.contact, ...extra };
+}
 
-    // Map disposition names simply (you can expand later)
-    const dispId =
-      /no answer|na/i.test(convosoDisp) ? DISP.NO_ANSWER :
-      /busy/i.test(convosoDisp) ? DISP.BUSY :
-      /left|vm|voicemail|message/i.test(convosoDisp) ? DISP.LEFT_MESSAGE :
-      DISP.CONNECTED;
+// Events with no matching Forth contact wait here; the reconciler posts them once the contact appears
+const parkingLot = createParkingLot({ filePath: path.join(DATA_DIR, "parking-lot.json") });
+const PARKING_WINDOW_MS = envMs("PARKING_WINDOW_MS", 2 * 60 * 60 * 1000);
 
-    const createdAt = req.body.created_at || new Date().toISOString().slice(0, 19).replace("T", " ");
-    const notes = `Convoso - Disposition Set: ${convosoDisp} | phone=${phone}`;
+/**
+ * Park an unmatched event and build the route response for it.
+ */
+function parkUnmatched(route, { tenant, phone, convoso, enrichment, write, dedupeKey, dedupeClaimed = false }) {
+  const event = parkingLot.park({ route, tenant: tenant.id, phone, leadId: convoso.lead_id, dedupeKey, dedupeClaimed, convoso, enrichment, write, windowMs: PARKING_WINDOW_MS });
+  log.info("no matching contact, parked", { component: route, tenant: tenant.id, parked_id: event.id });
+  return { ok: true, skipped: "No matching contact in Forth", parked: true, parked_id: event.id };
+}
 
-    const create = await forthCreateCall({
-      contactID: Number(contact.id),
-      created_at: createdAt,
-      call_type: direction,
-      call_disposition: dispId,
-      notes,
+/**
+ * Post a parked event to the given contacts. The pipeline claims dedupe keys before parking; call-completed
+ * events parked before that (dedupeClaimed unset) still claim theirs here.
+ */
+async function deliverParkedEvent(event, contacts) {
+  if (event.route === "call-completed" && event.dedupeKey && !event.dedupeClaimed) {
+    const claimed = await dedupeStore.claim(event.dedupeKey, { contact_ids: contacts.map((c) => c.id), parked_id: event.id });
+    if (!claimed) return { jobIds: [], skipped: "Call already processed" };
+  }
+  const jobs = enqueueForthWrites(event.write, contacts, { tenant: tenantById(event.tenant).id, route: event.route, parked_id: event.id });
+  return { jobIds: jobs.map((j) => j.id) };
+}
+
+const reconciler = createReconciler({
+  parkingLot,
+  intervalMs: envMs("PARKING_RECONCILE_INTERVAL_MS", 60 * 1000),
+  lookup: async (event) => (await findForthContacts(event.phone, event.convoso, { tenant: tenantById(event.tenant), fresh: true })).contacts,
+  deliver: deliverParkedEvent
+});
+
+// Forth -> Convoso: contact status/stage events become Convoso lead actions, queued and audited
+const reverseSyncRules = loadReverseSyncRules();
+const reverseSyncAudit = createShadowLog({ filePath: path.join(DATA_DIR, "reverse-sync-audit.jsonl") });
+
+function auditReverseSync(stage, fields) {
+  return reverseSyncAudit.append({ route: "reverse-sync", stage, ...fields });
+}
+
+/**
+ * Fill in the Convoso lead_id / phone an action needs from the Forth contact when the event did not carry them.
+ */
+async function reverseSyncTarget(payload, tenant) {
+  let { leadId, phone } = payload;
+  const needsLead = payload.action !== "dnc" && !leadId;
+  const needsPhone = payload.action === "dnc" && !phone;
+  if ((needsLead || needsPhone) && payload.contactId) {
+    const contact = checkForthWrite("getContact", await tenant.forth.getContact(payload.contactId)).body?.response ?? {};
+    leadId = leadId || String(readContactField(contact, contactMatchConfig.leadIdField) ?? "").trim();
+    phone = phone || normalizePhone(contact.phone ?? contact.phone1 ?? contact.mobile_phone ?? "", phoneOptions);
+  }
+  if (payload.action === "dnc" && !phone) throw new JobError("no phone for DNC", { retryable: false });
+  if (payload.action !== "dnc" && !leadId) throw new JobError("no Convoso lead_id on the Forth contact", { retryable: false });
+  return { leadId, phone };
+}
+
+/**
+ * Job handler for convoso.leadAction: payload { action, status, list_id, contactId, leadId, phone, rule, eventId }.
+ */
+async function applyConvosoLeadAction(payload, job) {
+  const auditFields = { tenant: job.meta?.tenant ?? null, event_id: payload.eventId || null, contact_id: payload.contactId ?? null, rule: payload.rule, action: payload.action, job_id: job.id, attempt: job.attempts };
+  try {
+    const { leadId, phone } = await reverseSyncTarget(payload, tenantById(job.meta?.tenant));
+    let result;
+    if (payload.action === "dnc") {
+      result = await convosoWrite("dncInsert", "/v1/dnc/insert", { phone_number: phone, ...(payload.phoneCode ? { phone_code: payload.phoneCode } : {}) });
+    } else if (payload.action === "move_list") {
+      result = await convosoWrite("leadUpdate", "/v1/leads/update", { lead_id: leadId, list_id: payload.list_id });
+    } else {
+      result = await convosoWrite("leadUpdate", "/v1/leads/update", { lead_id: leadId, status: payload.status });
+    }
+    auditReverseSync("applied", { ...auditFields, lead_id: leadId || null, phone: phone ? maskPhone(phone) : null });
+    return result;
+  } catch (e) {
+    auditReverseSync("failed", { ...auditFields, retryable: e?.retryable !== false, error: redactString(e?.message ?? String(e)) });
+    throw e;
+  }
+}
+
+const convosoQueue = createJobQueue({
+  name: "convoso-queue",
+  filePath: path.join(DATA_DIR, "convoso-queue.json"),
+  maxAttempts: Number(process.env.CONVOSO_QUEUE_MAX_ATTEMPTS) || 8,
+  baseDelayMs: Number(process.env.CONVOSO_QUEUE_BASE_DELAY_MS) || 30000,
+  pollMs: Math.min(5000, Number(process.env.CONVOSO_QUEUE_BASE_DELAY_MS) || 5000),
+  onSettled: journalSettled("convoso"),
+  handlers: {
+    "convoso.leadAction": applyConvosoLeadAction
+  }
+});
+
+/**
+ * Normalize a Forth contact event. Accepts the contact at the top level or under contact / data.
+ */
+function normalizeForthEvent(body) {
+  const contact = body.contact ?? body.data?.contact ?? body.data ?? body;
+  const phoneCode = String(contact.phone_code ?? body.phone_code ?? "").trim();
+  const phone = parsePhone(contact.phone ?? contact.phone1 ?? contact.mobile_phone ?? body.phone ?? "", { ...phoneOptions, phoneCode });
+  return {
+    eventId: String(body.event_id ?? body.webhook_id ?? "").trim(),
+    type: String(body.event ?? body.event_type ?? body.type ?? "").trim(),
+    contactId: contact.id ?? body.contact_id ?? null,
+    status: String(contact.status ?? contact.status_name ?? body.status ?? "").trim(),
+    stage: String(contact.stage ?? contact.stage_name ?? body.stage ?? "").trim(),
+    leadId: String(body.lead_id ?? readContactField(contact, contactMatchConfig.leadIdField) ?? "").trim(),
+    phone: phone?.national ?? "",
+    // Convoso takes the national number plus phone_code; a "+44 ..." contact phone carries its own
+    phoneCode: phoneCode || (phone && phone.countryCode !== phoneOptions.defaultCallingCode ? phone.countryCode : "")
+  };
+}
+
+// Liveness: the process is up. /health stays as an alias for existing Render health checks.
+app.get("/health", (req, res) => res.json({ ok: true }));
+app.get("/health/live", (req, res) => res.json({ ok: true }));
+
+// Readiness: can we authenticate to every tenant's Forth account right now? forth is the default tenant's.
+app.get("/health/ready", (req, res) => {
+  const readiness = Object.fromEntries(tenantList.map((t) => [t.id, t.forth.readiness()]));
+  const ok = Object.values(readiness).every((r) => r.ok);
+  return res.status(ok ? 200 : 503).json({ ok, forth: readiness[defaultTenant?.id] ?? null, tenants: readiness });
+});
+
+metrics.collect(() => {
+  for (const t of tenantList) {
+    const expiresAt = t.forth.tokenExpiresAt();
+    tokenExpiry.set({ tenant: t.id }, expiresAt ? Math.floor(expiresAt / 1000) : 0);
+    tokenRefreshFailures.set({ tenant: t.id }, t.forth.refreshFailures());
+  }
+  for (const [host, m] of Object.entries(httpClient.metrics())) {
+    httpQueued.set({ host }, m.queued);
+    httpThrottled.set({ host }, m.throttled);
+    httpRateLimited.set({ host }, m.rateLimited);
+  }
+});
+
+app.get("/metrics", (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && !safeEqual(req.get("Authorization") ?? "", "Bearer " + token)) {
+    return res.status(401).type("text/plain").send("Unauthorized\n");
+  }
+  return res.type("text/plain; version=0.0.4").send(metrics.render());
+});
+
+/**
+ * Forth created_at for a call: the first usable time from the webhook fields, then the call log fields, each read
+ * in its Convoso timezone and written in the tenant's Forth timezone (see lib/timestamps.js). Unparseable and
+ * DST-ambiguous times are logged and counted; without any the call is stamped now.
+ * Returns { value, field, flag, rejected }.
+ */
+function forthCreatedAt(component, { webhookFields, logFields = [] }, convoso, convosoLog, timeZone) {
+  const picked = pickTimestamp([
+    ...webhookFields.map((field) => ({ field, value: convoso[field], timeZone: timeConfig.webhookTimeZone })),
+    ...logFields.map((field) => ({ field: "log." + field, value: convosoLog?.[field], timeZone: timeConfig.apiTimeZone }))
+  ], timeZone);
+  for (const r of picked.rejected) {
+    timestampIssues.inc({ field: r.field, issue: r.error });
+    log.warn("unparseable timestamp skipped", { component, field: r.field, value: r.value });
+  }
+  if (picked.flag) {
+    timestampIssues.inc({ field: picked.field ?? "none", issue: picked.flag });
+    log[picked.flag === "defaulted_to_now" ? "info" : "warn"]("timestamp flagged", { component, field: picked.field, flag: picked.flag, created_at: picked.value });
+  }
+  return { value: picked.value, field: picked.field, flag: picked.flag, rejected: picked.rejected };
+}
+
+// Where each route reads the call time from, in priority order
+const DISPOSITION_TIME_FIELDS = { webhookFields: ["call_start_time", "created_at"] };
+const CALL_COMPLETED_TIME_FIELDS = { webhookFields: ["created_at", "call_end_time"], logFields: ["call_date", "call_date_time"] };
+
+// Note text for a call time: the converted time, else the raw value Convoso sent (so the note still shows it)
+const noteCallDate = (time) => (time.field ? time.value : time.rejected[0]?.value ?? "");
+
+/**
+ * Forth write for a call whose direction nobody sent: Forth requires call_type, so it becomes a contact note.
+ * Same wording for every route so these are easy to find in Forth.
+ */
+function missingDirectionNoteWrite({ callLogId, callDate, durationSec, phone }, text) {
+  const parts = [
+    "⚠️ Direction MISSING (Convoso did not send call_type). Call was NOT logged as a Call in Forth because call_type is required.",
+    callLogId ? "call_log_id:" + callLogId : "",
+    callDate ? "call_date:" + callDate : "",
+    durationSec ? "duration:" + durationSec + "s" : "",
+    phone ? "phone_number:" + phone : ""
+  ].filter(Boolean);
+  return { type: "forth.createContactNote", payload: { content: parts.join(" | ") + " | " + text } };
+}
+
+/**
+ * Build the Forth write for a disposition event (/convoso/disposition and /convoso/disposition-set).
+ * label names the route in the note ("Disposition", "Disposition Set"). Direction comes from the webhook,
+ * then the enriched call log; without one the event becomes a note, same as call-completed.
+ * map is the tenant's disposition map, timeZone its Forth timezone. Returns { direction, mapped, write, time }.
+ */
+function buildDispositionWrite(label, event, convosoLog, map = dispositionMap, timeZone = timeConfig.forthTimeZone) {
+  const convoso = event.payload;
+  const phone = event.phone;
+  const direction = event.direction ?? convosoCallTypeToForth(convosoLog?.call_type);
+  const mapped = mapDisposition(map, { ...convoso, disposition: event.disposition });
+  const notes = `Convoso - ${label}: ${event.disposition} | phone=${phone}`;
+  if (!direction) {
+    log.info("direction missing, creating Forth contact note instead of call", { component: "disposition" });
+    const time = forthCreatedAt("disposition", { ...DISPOSITION_TIME_FIELDS, logFields: ["call_date"] }, convoso, convosoLog, timeZone);
+    const write = missingDirectionNoteWrite({ callLogId: event.callLogId || convosoLog?.id, callDate: noteCallDate(time), durationSec: 0, phone }, notes);
+    return { direction, mapped, write, time };
+  }
+  const time = forthCreatedAt("disposition", DISPOSITION_TIME_FIELDS, convoso, convosoLog, timeZone);
+  const write = {
+    type: "forth.createCall",
+    payload: {
+      created_at: time.value,
+      call_type: direction,
+      call_disposition: mapped.dispId,
+      call_result: mapped.call_result,
+      notes,
       duration: "00:00:00",
       event_id: 0,
-      ...(req.body.recording_url ? { recording_url: req.body.recording_url } : {})
+      ...(event.recordingUrl ? { recording_url: event.recordingUrl } : {})
+    }
+  };
+  return { direction, mapped, write: withRecordingTracking(write, phone, convoso, mapped.dispId), time };
+}
+
+/**
+ * Build the Forth write for a completed call from the webhook payload and (optional) Convoso log entry.
+ * Used by /convoso/call-completed and by backfill so both map calls identically. map is the tenant's disposition map,
+ * timeZone its Forth timezone.
+ * Returns { direction, outcome, write, completedLogId, completedKey, time } — write is { type, payload } without the contact.
+ */
+function buildCallCompletedWrite(convoso, convosoLog, map = dispositionMap, timeZone = timeConfig.forthTimeZone) {
+  const phone = convoso.phone;
+  let direction;
+  let notes;
+  let outcome;
+  if (convosoLog) {
+    direction = convosoCallTypeToForth(convosoLog.call_type) ?? convosoCallTypeToForth(convoso.direction || convoso.call_type);
+    const agentComment = String(convosoLog.agent_comment ?? "").trim();
+    const baseNote = agentComment || "No Agent Note - Convoso call logged automatically (Call Completed).";
+    const logId = convosoLog.id ?? "";
+    const statusName = String(convosoLog.status_name ?? "").trim();
+    const termReason = String(convosoLog.term_reason ?? "").trim();
+    const callLength = convosoLog.call_length ?? convosoLog.call_length_seconds ?? "";
+    const notesBody = baseNote + " | ConvosoLogID:" + logId + " | Status:" + statusName + " | Term:" + termReason + " | Len:" + callLength + "s";
+    notes = applyDirectionPrefix(notesBody, direction);
+    outcome = mapCallCompletedOutcome({ ...convoso, term_reason: convosoLog.term_reason, status_name: convosoLog.status_name, talk_time: convosoLog.call_length ?? convosoLog.call_length_seconds }, map);
+  } else {
+    direction = convosoCallTypeToForth(convoso.direction || convoso.call_type);
+    const rawNote = (convoso.notes ?? convoso.params?.notes ?? convoso.note ?? convoso.comments ?? convoso.call_notes ?? "").toString().trim();
+    const notesBody = rawNote || "No Agent Note - Convoso call logged automatically (Call Completed).";
+    notes = applyDirectionPrefix(notesBody, direction);
+    outcome = mapCallCompletedOutcome(convoso, map);
+    if (rawNote) {
+      completedLog.info("using agent note", { note_len: rawNote.length });
+    } else {
+      completedLog.info("no agent note found; using fallback");
+    }
+  }
+
+  const dispId = outcome.dispId;
+  const callResult = outcome.call_result;
+  completedLog.info("outcome mapped", { call_result: callResult, source: outcome.source, rule: outcome.rule ?? "none" });
+
+  const directionMissing = direction != null ? false : true;
+  const time = forthCreatedAt("call-completed", CALL_COMPLETED_TIME_FIELDS, convoso, convosoLog, timeZone);
+  let write;
+
+  if (directionMissing) {
+    const callLogId = convoso.call_log_id ?? convosoLog?.id ?? "";
+    const callDate = noteCallDate(time);
+    const durationSec = Number(convosoLog?.call_length ?? convosoLog?.call_length_seconds ?? convoso.duration ?? convoso.duration_seconds ?? 0);
+    const rawNote = (convoso.notes ?? convoso.params?.notes ?? convoso.note ?? convoso.comments ?? convoso.call_notes ?? convosoLog?.agent_comment ?? "").toString().trim();
+    const agentNote = rawNote || "No Agent Note - Convoso call logged automatically (Call Completed).";
+    completedLog.info("direction missing, creating Forth contact note instead of call");
+    write = missingDirectionNoteWrite({ callLogId, callDate, durationSec, phone }, agentNote);
+  } else {
+    const durationSec = Number(convosoLog?.call_length ?? convosoLog?.call_length_seconds ?? convoso.duration ?? convoso.duration_seconds ?? 0);
+    const hh = String(Math.floor(durationSec / 3600)).padStart(2, "0");
+    const mm = String(Math.floor((durationSec % 3600) / 60)).padStart(2, "0");
+    const ss = String(durationSec % 60).padStart(2, "0");
+    const duration = `${hh}:${mm}:${ss}`;
+
+    write = {
+      type: "forth.createCall",
+      payload: {
+        created_at: time.value,
+        call_type: direction,
+        call_disposition: dispId,
+        call_result: callResult,
+        notes,
+        duration,
+        event_id: 0,
+        ...(convoso.recording_url || recordingFromLog(convosoLog) ? { recording_url: convoso.recording_url || recordingFromLog(convosoLog) } : {})
+      }
+    };
+  }
+
+  // Replayed call-completed webhooks (same Convoso call log) must not write to Forth twice
+  const completedLogId = String(convoso.call_log_id || convosoLog?.id || "").trim();
+  const completedKey = completedLogId ? `call_completed:${completedLogId}` : null;
+
+  return { direction, outcome, write, completedLogId, completedKey, time };
+}
+
+/**
+ * Backfill: replay one Convoso call log entry through the call-completed mapping.
+ * The tenant comes from the entry's campaign / list, else the default tenant.
+ * Returns the outcome label counted in the backfill summary.
+ */
+async function backfillCallLogEntry(entry, { dryRun }) {
+  const phoneNumber = String(entry.phone_number ?? entry.phone ?? "").trim();
+  const parsed = parsePhone(phoneNumber, { ...phoneOptions, phoneCode: entry.phone_code });
+  const phone = parsed?.national ?? "";
+  if (!phone) return "skipped_no_phone";
+  const convoso = {
+    phone,
+    phone_number: phoneNumber,
+    phoneE164: parsed.e164,
+    call_type: entry.call_type ?? "",
+    call_log_id: entry.id ?? "",
+    lead_id: entry.lead_id,
+    _inputType: "backfill"
+  };
+  const { tenant } = resolveTenant(tenantList, { accepted: tenantList.map((t) => t.id), campaignId: entry.campaign_id, listId: entry.list_id });
+  if (!tenant) return "no_tenant";
+  const built = buildCallCompletedWrite(convoso, entry, tenant.dispositionMap, tenant.forthTimeZone);
+  const { completedLogId, completedKey } = built;
+  const write = withCallCorrelation(built.write, { callIds: [completedLogId], leadId: entry.lead_id });
+  const match = await findForthContacts(phone, convoso, { tenant });
+  if (!match.contacts.length) return "no_contact";
+  if (dryRun) {
+    const seen = completedKey && (await dedupeStore.has(completedKey));
+    dryRunResponse("backfill", { tenant, decision: seen ? "would_dedupe" : "would_write", write, contacts: match.contacts, match, dedupeKey: completedKey, convoso });
+    return seen ? "would_dedupe" : "would_write";
+  }
+  if (completedKey && !(await dedupeStore.claim(completedKey, { contact_ids: match.contacts.map((c) => c.id), backfill: true }))) {
+    return "deduped";
+  }
+  enqueueForthWrites(write, match.contacts, { tenant: tenant.id, route: "backfill", call_log_id: completedLogId || null });
+  return write.type === "forth.createCall" ? "created" : "noted";
+}
+
+const backfillRunner = createBackfillRunner({
+  dir: path.join(DATA_DIR, "backfill"),
+  fetchPage: fetchConvosoLogPage,
+  processEntry: backfillCallLogEntry
+});
+
+/**
+ * Validate backfill options from the admin API or CLI. Returns { error } or { options }.
+ */
+function backfillOptions({ start, end, pageSize, dryRun }) {
+  const startMs = Date.parse(String(start ?? ""));
+  const endMs = Date.parse(String(end ?? ""));
+  if (!Number.isFinite(startMs) || !Number.isFinite(endMs)) return { error: "start and end must be valid dates" };
+  if (startMs >= endMs) return { error: "start must be before end" };
+  const size = Math.min(Math.max(Number(pageSize) || 100, 1), 500);
+  return { options: { startTime: new Date(startMs).toISOString(), endTime: new Date(endMs).toISOString(), pageSize: size, dryRun: Boolean(dryRun) } };
+}
+
+/**
+ * Convoso -> Forth call events. /convoso/call-completed, /convoso/disposition, /convoso/disposition-set and
+ * /convoso/callback are thin adapters over one pipeline (lib/eventPipeline.js). They differ only in the dedupe key,
+ * whether the Convoso call log is needed, and how the event maps to a Forth write.
+ */
+function dispositionDedupeKey(event) {
+  if (event.callId) return `disp_first_set:${event.callId}`;
+  // Keyed on the UTC instant, so the same call time sent in another format or offset is still one disposition
+  const ms = convosoTimeMs(event.callTime, timeConfig.webhookTimeZone);
+  const timestamp = Number.isNaN(ms) ? event.callTime || String(Date.now()) : new Date(ms).toISOString();
+  return `disp_first_set:${event.leadId}:${timestamp}`;
+}
+
+// Replayed call-completed webhooks (same Convoso call log) must not write to Forth twice
+function callCompletedDedupeKey(event) {
+  return event.callLogId ? `call_completed:${event.callLogId}` : null;
+}
+
+function requireDisposition(event) {
+  return event.disposition ? null : { status: 200, body: { ok: true, skipped: "Disposition blank" }, outcome: "skipped_other" };
+}
+
+// Rescheduling changes the time and cancelling the status, so neither is dropped as a replay
+function callbackDedupeKey(event) {
+  const callback = readCallback(event.payload);
+  const ref = callback.callbackId || event.leadId;
+  if (!ref) return null;
+  const time = callback.times.map((t) => String(t.value ?? "").trim()).find(Boolean) ?? "";
+  return `callback:${ref}:${callback.cancelled ? "cancelled" : time}`;
+}
+
+function requireCallbackTime(event) {
+  const callback = readCallback(event.payload);
+  if (callback.cancelled || callback.times.some((t) => !parseTimestamp(t.value, timeConfig.webhookTimeZone).error)) return null;
+  return { status: 400, body: { ok: false, error: "Missing or unparseable callback time" }, outcome: "skipped_other" };
+}
+
+async function enrichEvent(event) {
+  if (convosoAuthToken()) {
+    enrichLog.info("enrichment fetching convoso", { phone_last4: event.phone.slice(-4) });
+  }
+  const convosoLog = await fetchConvosoCallLog(event.phone, enrichmentHints(event.payload));
+  if (convosoLog) {
+    enrichLog.info("enrichment ok", {
+      attempt: convosoLog._attempt || 1,
+      call_type: convosoLog.call_type ?? "",
+      convoso_log_id: convosoLog.id ?? "",
+      match_method: convosoLog._match?.method,
+      match_confidence: convosoLog._match?.confidence
+    });
+  }
+  return convosoLog;
+}
+
+function mapCallCompletedEvent(event, convosoLog, tenant) {
+  const built = buildCallCompletedWrite(event.payload, convosoLog, tenant.dispositionMap, tenant.forthTimeZone);
+  const convoso = { ...event.payload, call_log_id: built.completedLogId };
+  const write = withCallCorrelation(withRecordingTracking(built.write, event.phone, convoso, built.outcome.dispId), { callIds: [built.completedLogId, event.callId], leadId: event.leadId });
+  return { write, rule: built.outcome.rule ?? null, time: built.time, completedKey: built.completedKey };
+}
+
+function mapDispositionEvent(label) {
+  return (event, convosoLog, tenant) => {
+    const built = buildDispositionWrite(label, event, convosoLog, tenant.dispositionMap, tenant.forthTimeZone);
+    const write = withCallCorrelation(built.write, { callIds: [event.callId, event.callLogId], leadId: event.leadId });
+    const callback = dispositionCallback(event, tenant);
+    return { write: callback.write ? { ...write, callback: callback.write } : write, rule: built.mapped.rule, time: built.time, callbackAt: callback.time };
+  };
+}
+
+/**
+ * Forth callback write for a Convoso callback ({ type: "forth.upsertCallback", payload } without the contact). The
+ * time is read in CONVOSO_WEBHOOK_TZ and written in the tenant's Forth timezone. Returns { write, time }; write is
+ * null when there is no usable time and the callback is not being cancelled.
+ */
+function buildCallbackWrite(event, tenant) {
+  const callback = readCallback(event.payload);
+  const time = pickTimestamp(callback.times.map((t) => ({ ...t, timeZone: timeConfig.webhookTimeZone })), tenant.forthTimeZone);
+  if (time.field == null && !callback.cancelled) return { write: null, time: null };
+  const body = time.field == null
+    ? null
+    : forthCallbackBody(callbackConfig, { atMs: time.ms, timeZone: tenant.forthTimeZone, agent: callback.agent, comment: callback.comment, cancelled: callback.cancelled, phone: event.phone });
+  const payload = {
+    ref: callbackRef({ callbackId: callback.callbackId, leadId: event.leadId, phone: event.phone }),
+    body,
+    cancelled: callback.cancelled,
+    call: { ids: [...new Set([event.callId, event.callLogId].filter(Boolean))], leadId: event.leadId || null }
+  };
+  return { write: { type: "forth.upsertCallback", payload }, time: time.field == null ? null : time };
+}
+
+// A disposition in CALLBACK_DISPOSITIONS also schedules the callback it carries
+function dispositionCallback(event, tenant) {
+  if (!callbackConfig.dispositions.includes(event.disposition.toUpperCase())) return { write: null, time: null };
+  const built = buildCallbackWrite(event, tenant);
+  if (!built.write) log.warn("callback disposition without a callback time; no Forth event written", { component: "callbacks", disposition: event.disposition });
+  return built;
+}
+
+function mapCallbackEvent(event, convosoLog, tenant) {
+  const built = buildCallbackWrite(event, tenant);
+  return { write: built.write, rule: null, time: null, callbackAt: built.time };
+}
+
+function pipelineExtra(ctx) {
+  return {
+    outcome_rule: ctx.mapped?.rule ?? null,
+    created_at: ctx.mapped?.time ?? null,
+    ...(ctx.mapped?.callbackAt ? { callback_at: ctx.mapped.callbackAt } : {}),
+    ...(ctx.enrichment ? { enriched: Boolean(ctx.convosoLog), enrichment: ctx.enrichment } : {})
+  };
+}
+
+/**
+ * Tenant for an admin replay: the one the original event went to, else the usual campaign / list / default routing.
+ * The admin token stands in for the webhook secret, so every tenant is accepted.
+ */
+function replayTenant(ctx) {
+  return resolveTenant(tenantList, {
+    pathTenant: ctx.replay.tenant ?? null,
+    accepted: tenantList.map((t) => t.id),
+    campaignId: ctx.event.campaignId,
+    listId: ctx.event.listId
+  });
+}
+
+/**
+ * What a call event turned into, on its journal entry: tenant, enrichment, resolved contact and the queued Forth writes
+ * (each job's response is filled in by the queue when it runs).
+ */
+function journalPipeline(ctx) {
+  const requestId = currentRequestId();
+  eventJournal.annotate(requestId, {
+    tenant: ctx.tenant?.id ?? null,
+    enrichment: ctx.enrichment ?? null,
+    contact: ctx.match ? contactResolutionSummary(ctx.match) : null,
+    dedupe_key: ctx.dedupeKey ?? null,
+    ...(ctx.mappedDedupeKey ? { mapped_dedupe_key: ctx.mappedDedupeKey } : {}),
+    write: ctx.write?.type ?? null,
+    created_at: ctx.mapped?.time ?? null,
+    stages: ctx.stages
+  });
+  for (const job of ctx.jobs ?? []) eventJournal.recordJob(requestId, journalJob("forth", job, { status: "queued" }));
+}
+
+const WRITE_LABELS = { "forth.createCall": "call", "forth.createContactNote": "note", "forth.upsertCallback": "callback" };
+
+function callEventPipeline(route, { dedupeKey, mappedDedupeKey = () => null, duplicateMessage, validate, enrichWhen, build }) {
+  const onDuplicate = (ctx) => ctx.dryRun
+    ? dryRunResponse(route, { tenant: ctx.tenant, decision: "would_dedupe", dedupeKey: ctx.mappedDedupeKey ?? ctx.dedupeKey, convoso: ctx.event.payload })
+    : { ok: true, skipped: duplicateMessage, deduped: true };
+  return createEventPipeline(route, [
+    normalizeStage({ normalize: (body) => normalizeConvosoBody(body, phoneOptions), toEvent: convosoEvent, validate }),
+    authenticateStage({ verify: (req) => verifyTenantWebhook("convosoAuth", req) }),
+    tenantStage({ resolve: (ctx) => (ctx.replay ? replayTenant(ctx) : webhookTenant(ctx.req, { campaignId: ctx.event.campaignId, listId: ctx.event.listId })) }),
+    dedupeStage({ store: dedupeStore, key: dedupeKey, onDuplicate }),
+    enrichStage({ fetchCallLog: enrichEvent, when: enrichWhen }),
+    resolveContactStage({ findContacts: findForthContacts }),
+    mapStage({ build }),
+    mappedDedupeStage({ store: dedupeStore, key: mappedDedupeKey, onDuplicate }),
+    writeStage({
+      preview: (ctx, decision) => dryRunResponse(route, {
+        tenant: ctx.tenant,
+        decision,
+        write: ctx.write,
+        contacts: ctx.match.contacts,
+        match: ctx.match,
+        dedupeKey: ctx.dedupeKey,
+        convoso: ctx.event.payload,
+        extra: pipelineExtra(ctx)
+      }),
+      park: (ctx) => parkUnmatched(route, {
+        tenant: ctx.tenant,
+        phone: ctx.event.phone,
+        convoso: ctx.event.payload,
+        enrichment: ctx.convosoLog,
+        write: ctx.write,
+        // A replay did not claim the key, and must not tie its parked copy to the original's
+        dedupeKey: ctx.replay ? null : ctx.dedupeKey ?? ctx.mappedDedupeKey,
+        dedupeClaimed: Boolean(ctx.dedupeKey ?? ctx.mappedDedupeKey) && !ctx.replay
+      }),
+      enqueue: (ctx) => enqueueForthWrites(ctx.write, ctx.match.contacts, {
+        tenant: ctx.tenant.id,
+        route,
+        dedupe_key: ctx.dedupeKey ?? ctx.mappedDedupeKey,
+        call_log_id: ctx.event.callLogId || null
+      }),
+      respond: (ctx) => ({
+        ok: true,
+        queued: true,
+        job_ids: ctx.jobs.map((j) => j.id),
+        write: WRITE_LABELS[ctx.write.type],
+        ...(ctx.write.callback ? { callback: true } : {}),
+        tenant: ctx.tenant.id,
+        ...(ctx.enrichment ? { enrichment: ctx.enrichment } : {}),
+        contact: contactResolutionSummary(ctx.match)
+      })
+    })
+  ]);
+}
+
+const callEventPipelines = {
+  "call-completed": callEventPipeline("call-completed", {
+    dedupeKey: callCompletedDedupeKey,
+    // A webhook without call_log_id is only known to be a replay once enrichment finds its Convoso call log
+    mappedDedupeKey: (ctx) => ctx.mapped.completedKey,
+    duplicateMessage: "Call already processed",
+    enrichWhen: () => true,
+    build: mapCallCompletedEvent
+  }),
+  // Disposition webhooks only hit the Convoso call log when they did not say which direction the call went
+  disposition: callEventPipeline("disposition", {
+    dedupeKey: dispositionDedupeKey,
+    duplicateMessage: "Disposition already processed",
+    validate: requireDisposition,
+    enrichWhen: (event) => !event.direction,
+    build: mapDispositionEvent("Disposition")
+  }),
+  "disposition-set": callEventPipeline("disposition-set", {
+    dedupeKey: dispositionDedupeKey,
+    duplicateMessage: "Disposition already processed",
+    validate: requireDisposition,
+    enrichWhen: (event) => !event.direction,
+    build: mapDispositionEvent("Disposition Set")
+  }),
+  callback: callEventPipeline("callback", {
+    dedupeKey: callbackDedupeKey,
+    duplicateMessage: "Callback already processed",
+    validate: requireCallbackTime,
+    enrichWhen: () => false,
+    build: mapCallbackEvent
+  })
+};
+
+function pipelineRoute(pipeline) {
+  return async (req, res) => {
+    try {
+      const ctx = await pipeline.run({ req, dryRun: isDryRun(req) });
+      journalPipeline(ctx);
+      recordWebhook(pipeline.route, ctx.event?.inputType ?? "unknown", ctx.tenant);
+      if (ctx.outcome) recordOutcome(pipeline.route, ctx.outcome, ctx.tenant);
+      return res.status(ctx.response.status).json(ctx.response.body);
+    } catch (e) {
+      log.error("request failed", { component: pipeline.route, error: e?.message ?? String(e) });
+      recordOutcome(pipeline.route, "errored");
+      return res.status(500).json({ ok: false, error: redactString(String(e)) });
+    }
+  };
+}
+
+/**
+ * Convoso -> Forth
+ * Create 1 log on Call Completed (enriched from the Convoso call log)
+ */
+app.post(tenantPaths("/convoso/call-completed"), pipelineRoute(callEventPipelines["call-completed"]));
+
+/**
+ * POST /convoso/disposition — first disposition only; dedupe gate BEFORE any Forth lookup.
+ */
+app.post(tenantPaths("/convoso/disposition"), pipelineRoute(callEventPipelines.disposition));
+
+/**
+ * Create 1 log on Disposition Set (only once when first set; shares the dedupe key with /convoso/disposition)
+ * We rely on Convoso config to only fire when blank -> value (your choice).
+ */
+app.post(tenantPaths("/convoso/disposition-set"), pipelineRoute(callEventPipelines["disposition-set"]));
+
+/**
+ * Convoso -> Forth
+ * Callback scheduled, rescheduled or cancelled: a Forth event (or task) on the contact with the callback time, agent
+ * and comment, linked to the call it was set on through event_id. Callback dispositions on the routes above do the same.
+ */
+app.post(tenantPaths("/convoso/callback"), pipelineRoute(callEventPipelines.callback));
+
+/**
+ * POST /convoso/lead-upsert — Convoso lead insert/update webhooks create or update the Forth contact.
+ * Fields are mapped with the lead field map; the write is queued like every other Forth write.
+ */
+app.post(tenantPaths("/convoso/lead-upsert"), async (req, res) => {
+  try {
+    const lead = normalizeConvosoBody(req.body, phoneOptions);
+    const phone = lead.phone;
+    if (!phone) {
+      recordWebhook("lead-upsert", lead._inputType);
+      recordOutcome("lead-upsert", "skipped_other");
+      return res.status(400).json({ ok: false, error: "Missing phone" });
+    }
+    const resolved = webhookTenant(req, { campaignId: lead.campaign_id, listId: lead.list_id });
+    const tenant = resolved.tenant;
+    recordWebhook("lead-upsert", lead._inputType, tenant);
+    if (!tenant) {
+      recordOutcome("lead-upsert", resolved.status === 401 ? "unauthorized" : "skipped_other");
+      return res.status(resolved.status).json({ ok: false, error: resolved.error });
+    }
+    const leadId = String(lead.lead_id ?? "").trim();
+    if (!leadId) log.warn("lead without lead_id; contact will not be linked to Convoso", { component: "lead-upsert", tenant: tenant.id });
+
+    const write = { type: "forth.upsertContact", payload: { phone, phoneE164: lead.phoneE164, leadId, contact: leadContactBody(lead) } };
+    if (isDryRun(req)) {
+      let target;
+      try {
+        target = await findUpsertTarget(phone, leadId, tenant, lead.phoneE164);
+      } catch (e) {
+        if (!(e instanceof JobError)) throw e;
+        // The real job would retry; the preview reports the failed search instead of erroring
+        return res.status(200).json(dryRunResponse("lead-upsert", { tenant, decision: "would_fail", write, convoso: lead, extra: { search_error: e.message } }));
+      }
+      return res.status(200).json(dryRunResponse("lead-upsert", {
+        tenant,
+        decision: "would_write",
+        write,
+        contacts: [target ?? { id: null }],
+        convoso: lead,
+        extra: { action: target ? "update" : "create" }
+      }));
+    }
+
+    const job = forthQueue.enqueue(write.type, write.payload, { tenant: tenant.id, route: "lead-upsert", lead_id: leadId || null, request_id: currentRequestId() });
+    recordOutcome("lead-upsert", "upserted", tenant);
+    return res.status(202).json({ ok: true, queued: true, job_ids: [job.id], lead_id: leadId || null, tenant: tenant.id });
+  } catch (e) {
+    log.error("request failed", { error: e?.message ?? String(e) });
+    recordOutcome("lead-upsert", "errored");
+    return res.status(500).json({ ok: false, error: redactString(String(e)) });
+  }
+});
+
+/**
+ * Forth -> Convoso
+ * POST /forth/contact-event — Forth contact status/stage changes. Each matching reverse-sync rule queues
+ * one Convoso lead action (update status, move list, DNC). Replayed event_ids are dropped.
+ */
+app.post(tenantPaths("/forth/contact-event"), async (req, res) => {
+  let claimedKey = null;
+  try {
+    // Forth events carry no Convoso campaign, so the tenant comes from the path or the secret
+    const resolved = webhookTenant(req);
+    const tenant = resolved.tenant;
+    recordWebhook("forth-contact-event", "json", tenant);
+    if (!tenant) {
+      recordOutcome("forth-contact-event", resolved.status === 401 ? "unauthorized" : "skipped_other");
+      return res.status(resolved.status).json({ ok: false, error: resolved.error });
+    }
+    const event = normalizeForthEvent(req.body || {});
+    if (event.contactId == null && !event.leadId && !event.phone) {
+      recordOutcome("forth-contact-event", "skipped_other", tenant);
+      return res.status(400).json({ ok: false, error: "Missing contact id, lead_id or phone" });
+    }
+    const actions = matchReverseSyncRules(reverseSyncRules, event);
+    const auditFields = { request_id: currentRequestId(), tenant: tenant.id, event_id: event.eventId || null, event_type: event.type || null, contact_id: event.contactId, contact_status: event.status || null, contact_stage: event.stage || null };
+    if (!actions.length) {
+      auditReverseSync("no_rule", auditFields);
+      recordOutcome("forth-contact-event", "skipped_other", tenant);
+      return res.status(200).json({ ok: true, skipped: "No matching rule" });
+    }
+    const rules = actions.map((a) => a.rule);
+    if (isDryRun(req)) {
+      auditReverseSync("dry_run", { ...auditFields, rules, actions });
+      recordOutcome("forth-contact-event", "dry_run", tenant);
+      return res.status(200).json({ ok: true, dry_run: true, actions });
+    }
+
+    // Event ids are only unique within one Forth account; the default tenant keeps the original key
+    const eventKey = tenant.isDefault ? event.eventId : tenant.id + ":" + event.eventId;
+    const dedupeKey = event.eventId ? `forth_event:${eventKey}` : null;
+    if (dedupeKey && !(await dedupeStore.claim(dedupeKey, { contact_id: event.contactId }))) {
+      recordOutcome("forth-contact-event", "deduped", tenant);
+      return res.status(200).json({ ok: true, skipped: "Event already processed", deduped: true });
+    }
+    claimedKey = dedupeKey;
+
+    const jobs = actions.map((a) => convosoQueue.enqueue("convoso.leadAction", {
+      action: a.action,
+      status: a.status,
+      list_id: a.list_id,
+      rule: a.rule,
+      eventId: event.eventId,
+      contactId: event.contactId,
+      leadId: event.leadId,
+      phone: event.phone,
+      phoneCode: event.phoneCode
+    }, { tenant: tenant.id, route: "forth-contact-event", contact_id: event.contactId, request_id: currentRequestId() }));
+    auditReverseSync("queued", { ...auditFields, rules, job_ids: jobs.map((j) => j.id) });
+    recordOutcome("forth-contact-event", "created", tenant);
+    return res.status(202).json({ ok: true, queued: true, job_ids: jobs.map((j) => j.id), rules });
+  } catch (e) {
+    log.error("request failed", { error: e?.message ?? String(e) });
+    // Nothing was queued for certain, so Forth's retry must not be answered "already processed"
+    if (claimedKey) await dedupeStore.release(claimedKey).catch((err) => log.error("dedupe release failed", { error: err?.message ?? String(err) }));
+    recordOutcome("forth-contact-event", "errored");
+    return res.status(500).json({ ok: false, error: redactString(String(e)) });
+  }
+});
+
+// Per-tenant admin routes take ?tenant=<id> (default: the default tenant)
+function adminTenant(req, res) {
+  const id = req.query.tenant ? String(req.query.tenant) : defaultTenant?.id;
+  const tenant = id ? tenants.get(id) : null;
+  if (!tenant) res.status(400).json({ ok: false, error: "Unknown tenant (use one of " + tenantList.map((t) => t.id).join(", ") + ")" });
+  return tenant;
+}
+
+/**
+ * Admin: configured tenants, how webhooks route to them and whether their Forth token is usable. No secrets.
+ */
+app.get("/admin/tenants", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  return res.json({
+    ok: true,
+    source: tenantConfig.source,
+    tenants: tenantList.map((t) => ({
+      id: t.id,
+      default: t.isDefault,
+      campaign_ids: t.campaignIds,
+      list_ids: t.listIds,
+      own_secrets: t.ownSecrets,
+      webhook_secrets: t.secrets.length,
+      forth_webhook_secrets: t.forthWebhookSecrets.length,
+      forth_base_url: t.forth.baseUrl,
+      forth: t.forth.readiness(),
+      disposition_map: t.dispositionMap.source,
+      contact_cache: t.contactCache.stats()
+    }))
+  });
+});
+
+/**
+ * Admin: show a tenant's active disposition mapping.
+ */
+app.get("/admin/disposition-map", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  const tenant = adminTenant(req, res);
+  if (!tenant) return;
+  return res.json({ ok: true, tenant: tenant.id, source: tenant.dispositionMap.source, config: tenant.dispositionMap.raw });
+});
+
+/**
+ * Admin: run a sample Convoso payload through the disposition mapping and report which rule matched.
+ * Body is the sample payload (status, status_name, term_reason, disposition, call_result, talk_time).
+ */
+app.post("/admin/disposition-map/test", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  const tenant = adminTenant(req, res);
+  if (!tenant) return;
+  const sample = req.body || {};
+  const mapped = mapDisposition(tenant.dispositionMap, sample);
+  return res.json({
+    ok: true,
+    tenant: tenant.id,
+    input: dispositionInput(sample),
+    rule: mapped.rule,
+    matched: mapped.matched,
+    call_disposition: mapped.dispId,
+    call_result: mapped.call_result,
+    call_completed: mapCallCompletedOutcome(sample, tenant.dispositionMap)
+  });
+});
+
+/**
+ * Admin: outbound HTTP limiter state per host (queued, throttled, rate-limited counts).
+ */
+app.get("/admin/http-metrics", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  return res.json({ ok: true, hosts: httpClient.metrics() });
+});
+
+/**
+ * Admin: a tenant's contact lookup cache stats; DELETE clears it (e.g. after merging duplicate contacts in Forth).
+ */
+app.get("/admin/contact-cache", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  const tenant = adminTenant(req, res);
+  if (!tenant) return;
+  return res.json({ ok: true, tenant: tenant.id, match: contactMatchConfig, phone: phoneConfig, cache: tenant.contactCache.stats() });
+});
+
+app.delete("/admin/contact-cache", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  const tenant = adminTenant(req, res);
+  if (!tenant) return;
+  tenant.contactCache.clear();
+  return res.json({ ok: true, tenant: tenant.id, cleared: true });
+});
+
+/**
+ * Admin: parked (unmatched) events. ?status=parked|attached|expired filters.
+ */
+app.get("/admin/parked", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  const status = req.query.status ? String(req.query.status) : null;
+  const events = parkingLot.list(status).map((e) => ({
+    id: e.id,
+    status: e.status,
+    route: e.route,
+    tenant: e.tenant ?? defaultTenant?.id ?? null,
+    phone_last4: e.phone ? e.phone.slice(-4) : null,
+    lead_id: e.leadId,
+    dedupe_key: e.dedupeKey,
+    write: e.write.type,
+    parked_at: e.parkedAt,
+    reconcile_until: new Date(e.reconcileUntil).toISOString(),
+    lookups: e.lookups,
+    last_lookup_at: e.lastLookupAt,
+    attached_to: e.attachedTo,
+    job_ids: e.jobIds
+  }));
+  return res.json({ ok: true, events });
+});
+
+app.get("/admin/parked/:id", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  const event = parkingLot.get(req.params.id);
+  if (!event) return res.status(404).json({ ok: false, error: "Parked event not found" });
+  return res.json({ ok: true, event });
+});
+
+/**
+ * Admin: force-attach a parked event to a Forth contact ID. Body: { contact_id }.
+ */
+app.post("/admin/parked/:id/attach", async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  try {
+    const event = parkingLot.get(req.params.id);
+    if (!event) return res.status(404).json({ ok: false, error: "Parked event not found" });
+    if (event.status === "attached") return res.status(409).json({ ok: false, error: "Already attached", attached_to: event.attachedTo });
+    const contactId = String(req.body?.contact_id ?? "").trim();
+    if (!contactId) return res.status(400).json({ ok: false, error: "Missing contact_id" });
+    const delivered = await deliverParkedEvent(event, [{ id: contactId }]);
+    parkingLot.update(event.id, {
+      status: "attached",
+      attachedTo: [contactId],
+      attachedAt: new Date().toISOString(),
+      forced: true,
+      jobIds: delivered.jobIds,
+      skipped: delivered.skipped ?? null
     });
+    return res.json({ ok: true, attached_to: contactId, job_ids: delivered.jobIds, skipped: delivered.skipped });
+  } catch (e) {
+    log.error("request failed", { error: e?.message ?? String(e) });
+    return res.status(500).json({ ok: false, error: redactString(String(e)) });
+  }
+});
 
-    return res.status(200).json({ ok: true, forth: create.body });
+/**
+ * Admin: run one reconcile pass now instead of waiting for the interval.
+ */
+app.post("/admin/parked/reconcile", async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  try {
+    return res.json({ ok: true, ...(await reconciler.reconcileOnce()) });
+  } catch (e) {
+    log.error("request failed", { error: e?.message ?? String(e) });
+    return res.status(500).json({ ok: false, error: redactString(String(e)) });
+  }
+});
+
+app.delete("/admin/parked/:id", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  if (!parkingLot.remove(req.params.id)) return res.status(404).json({ ok: false, error: "Parked event not found" });
+  return res.json({ ok: true, removed: true });
+});
+
+/**
+ * Admin: dry-run (shadow) results, newest first. ?route=&since=<ISO>&limit=
+ */
+app.get("/admin/shadow", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  const entries = shadowLog.list({
+    route: req.query.route ? String(req.query.route) : undefined,
+    since: req.query.since ? String(req.query.since) : undefined,
+    limit: Math.min(Number(req.query.limit) || 100, 1000)
+  });
+  return res.json({ ok: true, entries });
+});
+
+// Journaled call events that POST /admin/events/:id/replay can re-run
+const REPLAYABLE_ROUTES = Object.keys(callEventPipelines);
+
+/**
+ * Admin: recent webhooks, newest first. ?phone_last4=&lead_id=&call_log_id=&since=<ISO>&until=<ISO>&route=&tenant=&outcome=&limit=
+ */
+app.get("/admin/events", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  const q = (name) => (req.query[name] ? String(req.query[name]).trim() : undefined);
+  const range = {};
+  for (const name of ["since", "until"]) {
+    if (!q(name)) continue;
+    const ms = Date.parse(q(name));
+    if (!Number.isFinite(ms)) return res.status(400).json({ ok: false, error: name + " must be a date/time" });
+    range[name] = new Date(ms).toISOString();
+  }
+  const events = eventJournal.list({
+    phoneLast4: q("phone_last4"),
+    leadId: q("lead_id"),
+    callLogId: q("call_log_id"),
+    route: q("route"),
+    tenant: q("tenant"),
+    outcome: q("outcome"),
+    ...range,
+    limit: Math.min(Number(req.query.limit) || 100, 1000)
+  });
+  return res.json({ ok: true, replayable_routes: REPLAYABLE_ROUTES, events });
+});
+
+app.get("/admin/events/:id", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  const event = eventJournal.get(req.params.id);
+  if (!event) return res.status(404).json({ ok: false, error: "Event not found" });
+  return res.json({ ok: true, event });
+});
+
+/**
+ * Admin: re-run a journaled call event through the current pipeline (current mapping, contacts and tenant config).
+ * Dedupe is skipped, so this writes to Forth again unless the body has dry_run: true. Body: { dry_run? }.
+ * Only webhooks that passed authentication are replayed (the replay itself runs without a request to verify), and only
+ * while their original body is still in memory (EVENT_REPLAY_RAW_TTL_MS).
+ * The replay is journaled as its own event with replay_of pointing at the original.
+ */
+app.post("/admin/events/:id/replay", async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  try {
+    const original = eventJournal.get(req.params.id);
+    if (!original) return res.status(404).json({ ok: false, error: "Event not found" });
+    if (!REPLAYABLE_ROUTES.includes(original.route)) {
+      return res.status(400).json({ ok: false, error: "Only " + REPLAYABLE_ROUTES.join(", ") + " events can be replayed" });
+    }
+    if (!original.authenticated || [401, 403].includes(original.status)) {
+      return res.status(400).json({ ok: false, error: "Only authenticated webhooks can be replayed" });
+    }
+    const body = eventJournal.raw(original.id);
+    if (body === undefined) {
+      return res.status(410).json({ ok: false, error: "The original body is no longer kept (EVENT_REPLAY_RAW_TTL_MS); resend it from Convoso" });
+    }
+    const dryRun = req.body?.dry_run === true || isDryRun(req);
+    const entry = eventJournal.record({
+      request_id: currentRequestId(),
+      route: original.route,
+      path: original.path,
+      tenant: original.tenant,
+      phone_last4: original.phone_last4,
+      lead_id: original.lead_id,
+      call_log_id: original.call_log_id,
+      input_type: original.input_type,
+      replay_of: original.id,
+      dry_run: dryRun,
+      body: original.body,
+      authenticated: true
+    }, { raw: body });
+    const ctx = await callEventPipelines[original.route].run({ body, dryRun, replay: { of: original.id, tenant: original.tenant } });
+    journalPipeline(ctx);
+    eventJournal.annotate(entry.request_id, {
+      ...(ctx.outcome ? { outcome: ctx.outcome } : {}),
+      status: ctx.response.status,
+      response: redact(ctx.response.body),
+      finished_at: new Date().toISOString()
+    });
+    log.info("event replayed", { component: "admin", replay_of: original.id, replay_id: entry.id, route: original.route, dry_run: dryRun, outcome: ctx.outcome });
+    return res.json({ ok: true, replay_id: entry.id, replay_of: original.id, status: ctx.response.status, response: ctx.response.body });
   } catch (e) {
-    return res.status(500).json({ ok: false, error: String(e) });
+    log.error("request failed", { error: e?.message ?? String(e) });
+    return res.status(500).json({ ok: false, error: redactString(String(e)) });
   }
 });
 
-const port = process.env.PORT || 3000;
-if (process.env.FORTH_KEY_ID && process.env.FORTH_API_SECRET) {
-  refreshForthAccessToken().catch((e) => console.log("[forth-auth] startup refresh failed: " + (e?.message ?? String(e))));
-  setInterval(() => {
-    refreshForthAccessToken().catch((e) => console.log("[forth-auth] scheduled refresh failed: " + (e?.message ?? String(e))));
-  }, 9 * 24 * 60 * 60 * 1000);
+/**
+ * Admin: browser page over /admin/events (search, detail, replay). The page itself holds no data; it asks for the
+ * admin token and sends it as X-Admin-Token on every API call.
+ */
+app.get("/admin/ui", (req, res) => {
+  if (!process.env.ADMIN_TOKEN) return res.status(404).json({ ok: false, error: "Admin API disabled (ADMIN_TOKEN not set)" });
+  res.set("Content-Security-Policy", "default-src 'none'; script-src 'unsafe-inline'; style-src 'unsafe-inline'; connect-src 'self'");
+  return res.sendFile(path.join(__dirname, "admin", "events.html"));
+});
+
+/**
+ * Admin: active reverse-sync rules and the audit trail (newest first). ?since=<ISO>&limit=
+ */
+app.get("/admin/reverse-sync", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  const audit = reverseSyncAudit.list({
+    since: req.query.since ? String(req.query.since) : undefined,
+    limit: Math.min(Number(req.query.limit) || 100, 1000)
+  });
+  return res.json({ ok: true, rules: { source: reverseSyncRules.source, config: reverseSyncRules.raw }, audit });
+});
+
+/**
+ * Admin: start a backfill. Body: { start, end, page_size?, dry_run? }. Runs in the background; poll GET /admin/backfill/:id.
+ */
+app.post("/admin/backfill", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  const body = req.body || {};
+  const parsed = backfillOptions({ start: body.start, end: body.end, pageSize: body.page_size, dryRun: body.dry_run });
+  if (parsed.error) return res.status(400).json({ ok: false, error: parsed.error });
+  const { job } = backfillRunner.start(parsed.options);
+  return res.status(202).json({ ok: true, id: job.id, status: job.status });
+});
+
+app.get("/admin/backfill", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  return res.json({ ok: true, jobs: backfillRunner.list() });
+});
+
+app.get("/admin/backfill/:id", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  const job = backfillRunner.get(req.params.id);
+  if (!job) return res.status(404).json({ ok: false, error: "Backfill not found" });
+  return res.json({ ok: true, job, running: backfillRunner.isRunning(job.id) });
+});
+
+/**
+ * Admin: continue a failed or interrupted backfill from its last checkpoint.
+ */
+app.post("/admin/backfill/:id/resume", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  const resumed = backfillRunner.resume(req.params.id);
+  if (!resumed) return res.status(404).json({ ok: false, error: "Backfill not found" });
+  return res.status(202).json({ ok: true, id: resumed.job.id, status: resumed.job.status, offset: resumed.job.offset });
+});
+
+// Admin queue routes take ?queue=forth (default), recordings or convoso
+const adminQueues = { forth: forthQueue, recordings: recordingQueue, convoso: convosoQueue };
+
+function adminQueue(req, res) {
+  const name = String(req.query.queue || "forth");
+  const queue = Object.hasOwn(adminQueues, name) ? adminQueues[name] : null;
+  if (!queue) res.status(400).json({ ok: false, error: "Unknown queue (use forth, recordings or convoso)" });
+  return queue;
+}
+
+/**
+ * Admin: job queue — pending jobs and dead-letter list.
+ */
+app.get("/admin/queue", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  const queue = adminQueue(req, res);
+  if (!queue) return;
+  const summarize = (j) => ({
+    id: j.id,
+    type: j.type,
+    meta: j.meta,
+    attempts: j.attempts,
+    createdAt: j.createdAt,
+    nextAttemptAt: j.nextAttemptAt ? new Date(j.nextAttemptAt).toISOString() : null,
+    deadAt: j.deadAt ?? null,
+    lastError: j.lastError
+  });
+  return res.json({ ok: true, queue: req.query.queue || "forth", pending: queue.pending().map(summarize), dead: queue.dead().map(summarize) });
+});
+
+app.get("/admin/queue/dead/:id", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  const queue = adminQueue(req, res);
+  if (!queue) return;
+  const job = queue.dead().find((j) => j.id === req.params.id);
+  if (!job) return res.status(404).json({ ok: false, error: "Job not found" });
+  return res.json({ ok: true, job });
+});
+
+/**
+ * Admin: move dead-lettered jobs back onto the queue (one id, or all when id is "all").
+ */
+app.post("/admin/queue/dead/:id/retry", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  const queue = adminQueue(req, res);
+  if (!queue) return;
+  const ids = queue.retryDead(req.params.id === "all" ? null : req.params.id);
+  if (!ids.length) return res.status(404).json({ ok: false, error: "Job not found" });
+  return res.json({ ok: true, requeued: ids });
+});
+
+/**
+ * Admin: drop dead-lettered jobs (one id, or all when id is "all").
+ */
+app.delete("/admin/queue/dead/:id", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  const queue = adminQueue(req, res);
+  if (!queue) return;
+  const purged = queue.purgeDead(req.params.id === "all" ? null : req.params.id);
+  if (!purged) return res.status(404).json({ ok: false, error: "Job not found" });
+  return res.json({ ok: true, purged });
+});
+
+/**
+ * CLI backfill, for when the server is down (it would share the queue file with a running server;
+ * with the server up use POST /admin/backfill instead):
+ *   node server.js backfill --start "2026-01-01 00:00:00" --end "2026-01-02 00:00:00" [--page-size 100] [--dry-run]
+ *   node server.js backfill --resume <id>
+ * Prints the summary as JSON; exits non-zero when the run did not complete.
+ */
+async function runBackfillCli(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith("--")) continue;
+    const key = a.slice(2);
+    const next = argv[i + 1];
+    if (next == null || next.startsWith("--")) args[key] = true;
+    else args[key] = argv[++i];
+  }
+  let run;
+  if (args.resume) {
+    run = backfillRunner.resume(String(args.resume));
+    if (!run) throw new Error("backfill " + args.resume + " not found");
+  } else {
+    const parsed = backfillOptions({ start: args.start, end: args.end, pageSize: args["page-size"], dryRun: args["dry-run"] });
+    if (parsed.error) throw new Error(parsed.error);
+    run = backfillRunner.start(parsed.options);
+  }
+  const job = await run.done;
+  // Send what was queued now; anything still waiting on a retry stays in the queue file for the server
+  await forthQueue.drain();
+  process.stdout.write(JSON.stringify({ id: job.id, status: job.status, offset: job.offset, summary: job.summary, error: job.error ?? null }, null, 2) + "\n");
+  return job.status === "completed" ? 0 : 1;
+}
+
+if (process.argv[2] === "backfill") {
+  runBackfillCli(process.argv.slice(3))
+    .then((code) => process.exit(code))
+    .catch((e) => {
+      log.error("backfill cli failed", { error: e?.message ?? String(e) });
+      process.exit(1);
+    });
+} else {
+  const port = process.env.PORT || 3000;
+  // Refreshes now unless a persisted token is still good, then again ahead of each expiry
+  for (const tenant of tenantList) tenant.forth.start();
+  forthQueue.start();
+  recordingQueue.start();
+  convosoQueue.start();
+  reconciler.start();
+  app.listen(port, () => log.info("listening", { port: Number(port) }));
 }
-app.listen(port, () => console.log(`Listening on ${port}`));
@@ -0,0 +1,36 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createBackfillRunner } = require("../lib/backfill");
+
+const ENTRIES = [1, 2, 3, 4, 5].map((n) => ({ id: "BF-" + n }));
+
+const fetchPage = async ({ offset, limit }) => ({ entries: ENTRIES.slice(offset, offset + limit), total: ENTRIES.length });
+
+describe("backfill runner", () => {
+  it("counts every entry once when a run dies mid-page and is resumed", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "backfill-test-"));
+    try {
+      // The first process stops for good on BF-2, as if it was killed there
+      const first = createBackfillRunner({
+        dir,
+        fetchPage,
+        processEntry: (entry) => (entry.id === "BF-2" ? new Promise(() => {}) : "created")
+      });
+      const { job } = first.start({ startTime: "2026-07-01 00:00:00", endTime: "2026-07-02 00:00:00", pageSize: 3 });
+      await new Promise((r) => setImmediate(r));
+      assert.deepEqual([first.get(job.id).offset, first.get(job.id).summary.entries], [1, 1]);
+
+      const seen = [];
+      const second = createBackfillRunner({ dir, fetchPage, processEntry: (entry) => seen.push(entry.id) && "created" });
+      const done = await second.resume(job.id).done;
+      assert.deepEqual(seen, ["BF-2", "BF-3", "BF-4", "BF-5"]);
+      assert.equal(done.status, "completed");
+      assert.deepEqual([done.summary.entries, done.summary.created, done.offset], [5, 5, 5]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,78 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { mergeCallFields } = require("../lib/callMerge");
+const { startForthStub } = require("./helpers/stubs");
+const { useServer, waitForRequests } = require("./helpers/suite");
+
+const CALLS = /^\/v1\/calls$/;
+const CALL_UPDATES = /^\/v1\/calls\/[^/]+$/;
+
+describe("mergeCallFields", () => {
+  it("keeps the earliest time, the longest duration, the agent's disposition and every note", () => {
+    const disposition = { call_type: "INBOUND", created_at: "2026-03-02 15:05:00", duration: "00:00:00", call_disposition: "SALE", notes: "Agent note" };
+    const completed = { call_type: "INBOUND", created_at: "2026-03-02 15:00:00", duration: "00:01:35", call_disposition: "ANSWERED", notes: "Caller hung up" };
+    const { fields, dispositionFrom } = mergeCallFields(disposition, completed, { route: "call-completed", dispositionFrom: "disposition" });
+    assert.deepEqual(fields, { call_type: "INBOUND", created_at: "2026-03-02 15:00:00", duration: "00:01:35", call_disposition: "SALE", notes: "Agent note || Caller hung up" });
+    assert.equal(dispositionFrom, "disposition");
+  });
+
+  it("lets a disposition override call-completed's mapping and drops repeated notes", () => {
+    const completed = { call_disposition: "ANSWERED", notes: "Caller hung up" };
+    const { fields, dispositionFrom } = mergeCallFields(completed, { call_disposition: "SALE", notes: "Caller hung up" }, { route: "disposition", dispositionFrom: "call-completed" });
+    assert.deepEqual(fields, { call_disposition: "SALE", notes: "Caller hung up" });
+    assert.equal(dispositionFrom, "disposition");
+  });
+});
+
+describe("call merging", () => {
+  const contacts = { 5556660001: [{ id: 61 }] };
+  const call = { phone_number: "5556660001", call_type: "INBOUND" };
+
+  describe("update mode", () => {
+    const stack = useServer({ stubs: { forth: () => startForthStub({ contacts }) } });
+
+    it("updates the Forth call created by the disposition when call-completed arrives", async () => {
+      const disposition = await stack.server.post("/convoso/disposition", { ...call, disposition: "SALE", call_id: "M-1" });
+      assert.equal(disposition.status, 202, JSON.stringify(disposition.body));
+      const [created] = await waitForRequests(stack.forth, "POST", CALLS);
+
+      const completed = await stack.server.post("/convoso/call-completed", { ...call, call_log_id: "M-1", duration: 95, notes: "Caller hung up" });
+      assert.equal(completed.status, 202, JSON.stringify(completed.body));
+      const [updated] = await waitForRequests(stack.forth, "PUT", CALL_UPDATES);
+      // The stub's first call id
+      assert.equal(updated.path, "/v1/calls/1001");
+      assert.equal(updated.body.notes, created.body.notes + " || Direction: Incoming | Caller hung up");
+      assert.ok(updated.body.duration > created.body.duration, JSON.stringify(updated.body));
+      assert.equal(updated.body.call_disposition, undefined);
+
+      await new Promise((r) => setTimeout(r, 200));
+      assert.equal(stack.forth.find("POST", CALLS).length, 1);
+    });
+
+    it("keeps calls with different call ids apart", async () => {
+      await stack.server.post("/convoso/disposition", { ...call, disposition: "SALE", call_id: "M-2", lead_id: "ML-2" });
+      await stack.server.post("/convoso/disposition", { ...call, disposition: "SALE", call_id: "M-3", lead_id: "ML-2" });
+      await waitForRequests(stack.forth, "POST", CALLS, 2);
+      assert.equal(stack.forth.find("PUT", CALL_UPDATES).length, 0);
+    });
+  });
+
+  describe("window mode", () => {
+    const stack = useServer({
+      stubs: { forth: () => startForthStub({ contacts }) },
+      env: ({ forth }) => ({ FORTH_BASE_URL: forth.url, CALL_MERGE_MODE: "window", CALL_MERGE_WINDOW_MS: "300" })
+    });
+
+    it("holds the first event for the window and sends one combined call", async () => {
+      await stack.server.post("/convoso/disposition", { ...call, disposition: "SALE", call_id: "W-1" });
+      await stack.server.post("/convoso/call-completed", { ...call, call_log_id: "W-1", duration: 95, notes: "Caller hung up" });
+      assert.equal(stack.forth.find("POST", CALLS).length, 0);
+
+      const [created] = await waitForRequests(stack.forth, "POST", CALLS);
+      assert.match(created.body.notes, /^Convoso - Disposition: SALE .* \|\| .*Caller hung up$/);
+      await new Promise((r) => setTimeout(r, 400));
+      assert.equal(stack.forth.find("POST", CALLS).length, 1);
+      assert.equal(stack.forth.find("PUT", CALL_UPDATES).length, 0);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { startForthStub } = require("./helpers/stubs");
+const { useServer, waitForRequests } = require("./helpers/suite");
+
+const EVENTS = /^\/v1\/contacts\/91\/events$/;
+const EVENT_UPDATES = /^\/v1\/contacts\/91\/events\/[^/]+$/;
+
+describe("Convoso callbacks", () => {
+  const stack = useServer({
+    stubs: { forth: () => startForthStub({ contacts: { 5557770001: [{ id: 91 }] } }) },
+    env: ({ forth }) => ({ FORTH_BASE_URL: forth.url, CONVOSO_WEBHOOK_TZ: "America/New_York", FORTH_TZ: "America/Los_Angeles" })
+  });
+
+  const callback = { phone_number: "5557770001", lead_id: "CBL-1", callback_id: "CB-1", user_full_name: "Dana Agent", comments: "Call after lunch" };
+
+  it("creates a Forth event in the Forth timezone, then reschedules and cancels it", async () => {
+    stack.forth.on("POST", EVENTS, () => ({ body: { response: { id: "EV-1" } } }), { once: true });
+    const res = await stack.server.post("/convoso/callback", { ...callback, callback_time: "2026-07-01 12:00:00" });
+    assert.equal(res.status, 202, JSON.stringify(res.body));
+    assert.equal(res.body.write, "callback");
+    const [created] = await waitForRequests(stack.forth, "POST", EVENTS);
+    assert.deepEqual(created.body, {
+      title: "Convoso callback - Dana Agent",
+      description: "Call after lunch | Agent: Dana Agent | phone=5557770001",
+      assigned_agent: "Dana Agent",
+      event_type: "callback",
+      start_date: "2026-07-01 09:00:00",
+      end_date: "2026-07-01 09:15:00",
+      status: "scheduled"
+    });
+
+    await stack.server.post("/convoso/callback", { ...callback, callback_time: "2026-07-02 10:00:00" });
+    const [rescheduled] = await waitForRequests(stack.forth, "PUT", EVENT_UPDATES);
+    assert.equal(rescheduled.path, "/v1/contacts/91/events/EV-1");
+    assert.deepEqual([rescheduled.body.start_date, rescheduled.body.status], ["2026-07-02 07:00:00", "scheduled"]);
+
+    await stack.server.post("/convoso/callback", { ...callback, callback_status: "CANCELLED" });
+    const cancelled = await waitForRequests(stack.forth, "PUT", EVENT_UPDATES, 2);
+    assert.deepEqual([cancelled[1].body.start_date, cancelled[1].body.status], ["2026-07-02 07:00:00", "cancelled"]);
+    assert.equal(stack.forth.find("POST", EVENTS).length, 1);
+  });
+
+  it("schedules the callback of a callback disposition and links it to the Forth call", async () => {
+    stack.forth.on("POST", /^\/v1\/calls$/, () => ({ body: { response: { id: 5001 } } }), { once: true });
+    stack.forth.on("POST", EVENTS, () => ({ body: { response: { id: 7001 } } }), { once: true });
+    const res = await stack.server.post("/convoso/disposition", {
+      ...callback,
+      callback_id: "CB-2",
+      call_type: "OUTBOUND",
+      disposition: "CALLBK",
+      call_id: "CBC-2",
+      callback_time: "2026-07-03 15:30:00"
+    });
+    assert.equal(res.status, 202, JSON.stringify(res.body));
+    assert.deepEqual([res.body.write, res.body.callback, res.body.job_ids.length], ["call", true, 2]);
+
+    const [call] = await waitForRequests(stack.forth, "POST", /^\/v1\/calls$/);
+    assert.equal(call.body.event_id, 0);
+    const [event] = await waitForRequests(stack.forth, "POST", EVENTS);
+    assert.equal(event.body.start_date, "2026-07-03 12:30:00");
+    const [linked] = await waitForRequests(stack.forth, "PUT", /^\/v1\/calls\/5001$/);
+    assert.deepEqual(linked.body, { event_id: 7001 });
+  });
+
+  it("links a call written after its callback", async () => {
+    stack.forth.on("POST", EVENTS, () => ({ body: { response: { id: 7002 } } }), { once: true });
+    await stack.server.post("/convoso/callback", { ...callback, callback_id: "CB-3", call_id: "CBC-3", callback_time: "2026-07-04 09:00:00" });
+    await waitForRequests(stack.forth, "POST", EVENTS);
+
+    await stack.server.post("/convoso/call-completed", { phone_number: "5557770001", call_type: "OUTBOUND", call_log_id: "CBC-3" });
+    const [call] = await waitForRequests(stack.forth, "POST", /^\/v1\/calls$/);
+    assert.equal(call.body.event_id, 7002);
+  });
+
+  it("keeps a callback active when only the lead status is inactive", async () => {
+    stack.forth.on("POST", EVENTS, () => ({ body: { response: { id: "EV-5" } } }), { once: true });
+    const res = await stack.server.post("/convoso/callback", { ...callback, callback_id: "CB-5", status: "INACTIVE", callback_time: "2026-07-05 12:00:00" });
+    assert.equal(res.status, 202, JSON.stringify(res.body));
+    const [created] = await waitForRequests(stack.forth, "POST", EVENTS);
+    assert.equal(created.body.status, "scheduled");
+  });
+
+  it("rejects a callback without a usable time", async () => {
+    const res = await stack.server.post("/convoso/callback", { ...callback, callback_id: "CB-4", callback_time: "0000-00-00 00:00:00" });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "Missing or unparseable callback time");
+  });
+});
@@ -0,0 +1,73 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { startForthStub } = require("./helpers/stubs");
+const { useServer, waitForRequests } = require("./helpers/suite");
+
+const PHONE = "5552220001";
+
+// Three Forth contacts share PHONE; 2 is the most recently updated. The lead_id field is read from custom_fields
+// as an object or as a list of { name, value }.
+const CONTACTS = {
+  [PHONE]: [
+    { id: 1, updated_at: "2026-01-01 00:00:00", custom_fields: { convoso_lead_id: "L-1" } },
+    { id: 2, updated_at: "2026-03-01 00:00:00", custom_fields: [{ name: "convoso_lead_id", value: "L-2" }] },
+    { id: 3, updated_at: "2026-02-01 00:00:00" }
+  ],
+  5552220002: [{ id: 4 }]
+};
+
+function policyServer(env) {
+  return useServer({
+    stubs: { forth: () => startForthStub({ contacts: CONTACTS }) },
+    env: ({ forth }) => ({ FORTH_BASE_URL: forth.url, CONTACT_LEAD_ID_FIELD: "convoso_lead_id", ...env })
+  });
+}
+
+const disposition = (stack, body) => stack.server.post("/convoso/disposition", { phone_number: PHONE, call_type: "INBOUND", disposition: "SALE", ...body });
+
+// contactIDs of the Forth calls written so far, once count of them have arrived
+async function calledContacts(stack, count) {
+  const calls = await waitForRequests(stack.forth, "POST", /^\/v1\/calls$/, count);
+  return calls.map((c) => c.body.contactID).sort();
+}
+
+describe("contact match policy lead_id", () => {
+  const stack = policyServer({ CONTACT_MATCH_POLICY: "lead_id" });
+
+  it("writes to the contact holding the webhook's lead_id", async () => {
+    const res = await disposition(stack, { call_id: "CM-1", lead_id: "L-1" });
+    assert.equal(res.status, 202, JSON.stringify(res.body));
+    assert.deepEqual(res.body.contact, { policy: "lead_id", reason: "lead_id_match", candidates: 3, contact_ids: [1], cached: false, matched_format: "national" });
+    assert.deepEqual(await calledContacts(stack, 1), [1]);
+  });
+
+  it("reads the lead_id from a custom field list", async () => {
+    const res = await disposition(stack, { call_id: "CM-2", lead_id: "L-2" });
+    assert.deepEqual([res.body.contact.reason, res.body.contact.contact_ids], ["lead_id_match", [2]]);
+  });
+
+  it("falls back to the most recently updated contact when no contact holds the lead_id", async () => {
+    const res = await disposition(stack, { call_id: "CM-3", lead_id: "L-9" });
+    assert.deepEqual(
+      [res.body.contact.policy, res.body.contact.reason, res.body.contact.contact_ids],
+      ["most_recent", "most_recently_updated (fallback from lead_id)", [2]]
+    );
+    assert.deepEqual(await calledContacts(stack, 1), [2]);
+  });
+
+  it("writes to a single match whatever its lead_id", async () => {
+    const res = await disposition(stack, { phone_number: "5552220002", call_id: "CM-4", lead_id: "L-1" });
+    assert.deepEqual([res.body.contact.reason, res.body.contact.contact_ids], ["single_match", [4]]);
+  });
+});
+
+describe("contact match policy all", () => {
+  const stack = policyServer({ CONTACT_MATCH_POLICY: "all" });
+
+  it("writes the call to every matching contact", async () => {
+    const res = await disposition(stack, { call_id: "CM-5", lead_id: "L-1" });
+    assert.equal(res.status, 202, JSON.stringify(res.body));
+    assert.deepEqual([res.body.contact.reason, res.body.contact.contact_ids, res.body.job_ids.length], ["all_matches", [1, 2, 3], 3]);
+    assert.deepEqual(await calledContacts(stack, 3), [1, 2, 3]);
+  });
+});
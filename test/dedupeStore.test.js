@@ -0,0 +1,55 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFile } = require("child_process");
+const { createFileDedupeStore } = require("../lib/dedupeStore");
+
+const STORE = path.join(__dirname, "..", "lib", "dedupeStore");
+
+// Claim key in a separate process once startAt (epoch ms) comes, printing true / false
+function claimInChild(filePath, key, startAt) {
+  const script = `
+    const { createFileDedupeStore } = require(${JSON.stringify(STORE)});
+    const store = createFileDedupeStore({ ttlMs: 60000, filePath: ${JSON.stringify(filePath)} });
+    setTimeout(async () => process.stdout.write(String(await store.claim(${JSON.stringify(key)}, { pid: process.pid }))), ${startAt} - Date.now());
+  `;
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, ["-e", script], { timeout: 10000, env: { ...process.env, LOG_LEVEL: "error" } }, (err, stdout) => (err ? reject(err) : resolve(stdout.trim())));
+  });
+}
+
+describe("file dedupe store", () => {
+  it("lets only one of several processes claim a key", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "dedupe-test-"));
+    try {
+      const filePath = path.join(dir, "dedupe.json");
+      const startAt = Date.now() + 500;
+      const results = await Promise.all([1, 2, 3, 4].map(() => claimInChild(filePath, "call:RACE", startAt)));
+      assert.deepEqual(results.filter((r) => r === "true").length, 1, results.join(","));
+      assert.equal(fs.existsSync(filePath + ".lock"), false);
+
+      const store = createFileDedupeStore({ ttlMs: 60000, filePath });
+      assert.equal(await store.claim("call:RACE", {}), false);
+      await store.release("call:RACE");
+      assert.equal(await store.claim("call:RACE", {}), true);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("breaks a lock left behind by a crashed process", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "dedupe-test-"));
+    try {
+      const filePath = path.join(dir, "dedupe.json");
+      fs.writeFileSync(filePath + ".lock", "");
+      const old = new Date(Date.now() - 60000);
+      fs.utimesSync(filePath + ".lock", old, old);
+      const store = createFileDedupeStore({ ttlMs: 60000, filePath });
+      assert.equal(await store.claim("call:STALE", {}), true);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
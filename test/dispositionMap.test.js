@@ -0,0 +1,65 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { DISP, DEFAULT_DISPOSITION_MAP, compileDispositionMap, mapDisposition } = require("../lib/dispositionMap");
+const { useServer } = require("./helpers/suite");
+const { startForthStub } = require("./helpers/stubs");
+
+const ADMIN_TOKEN = "test-admin-token";
+
+describe("default disposition map", () => {
+  const map = compileDispositionMap(DEFAULT_DISPOSITION_MAP);
+
+  // [Convoso payload, rule, Forth call_disposition]
+  const cases = [
+    [{ status: "NA" }, "no_answer", DISP.NO_ANSWER],
+    [{ status_name: "No Answer" }, "no_answer", DISP.NO_ANSWER],
+    [{ status: "B" }, "busy", DISP.BUSY],
+    [{ term_reason: "BUSY" }, "busy", DISP.BUSY],
+    [{ disposition: "Left Voicemail" }, "left_message", DISP.LEFT_MESSAGE],
+    [{ status_name: "No Answer", talk_time: "45" }, "talk_time", DISP.CONNECTED],
+    // Real conversations, never No Answer however loosely "na" is matched
+    [{ status_name: "Not Interested" }, "default", DISP.CONNECTED],
+    [{ disposition: "Transfer to Finance" }, "default", DISP.CONNECTED],
+    [{ status: "NAI", status_name: "National" }, "default", DISP.CONNECTED]
+  ];
+
+  for (const [convoso, rule, dispId] of cases) {
+    it(`maps ${JSON.stringify(convoso)} by ${rule}`, () => {
+      const mapped = mapDisposition(map, convoso);
+      assert.deepEqual([mapped.rule, mapped.dispId], [rule, dispId]);
+    });
+  }
+});
+
+describe("admin disposition map test endpoint", () => {
+  const stack = useServer({
+    stubs: { forth: () => startForthStub() },
+    env: ({ forth }) => ({ FORTH_BASE_URL: forth.url, ADMIN_TOKEN })
+  });
+
+  const test = async (sample, headers = { "X-Admin-Token": ADMIN_TOKEN }) => {
+    const r = await fetch(stack.server.url + "/admin/disposition-map/test", {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(sample)
+    });
+    return { status: r.status, body: await r.json() };
+  };
+
+  it("reports the rule a sample matches and what it writes to Forth", async () => {
+    const { body } = await test({ status: "NA", status_name: "No Answer" });
+    assert.deepEqual([body.rule, body.matched, body.call_disposition, body.call_result], ["no_answer", { field: "status", value: "NA" }, DISP.NO_ANSWER, "No Answer"]);
+    assert.deepEqual(body.call_completed, { dispId: DISP.NO_ANSWER, call_result: "No Answer", source: "convoso", rule: "no_answer" });
+  });
+
+  it("falls through to the default for Not Interested", async () => {
+    const { body } = await test({ status_name: "Not Interested" });
+    assert.deepEqual([body.rule, body.matched, body.call_disposition], ["default", null, DISP.CONNECTED]);
+  });
+
+  it("needs the admin token and a known tenant", async () => {
+    assert.equal((await test({ status: "NA" }, {})).status, 401);
+    const r = await fetch(stack.server.url + "/admin/disposition-map/test?tenant=nope", { method: "POST", headers: { "X-Admin-Token": ADMIN_TOKEN } });
+    assert.equal(r.status, 400);
+  });
+});
@@ -0,0 +1,65 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { startForthStub, startConvosoStub } = require("./helpers/stubs");
+const { useServer } = require("./helpers/suite");
+
+const PHONE = "5556660001";
+
+// Recent Convoso logs for one phone, newest first as Convoso returns them
+const log = (id, leadId, callDate) => ({ id, lead_id: leadId, phone_number: PHONE, call_date: callDate, call_type: "OUTBOUND" });
+const LOGS = [
+  log("CL-3", "LD-B", "2026-04-01 10:14:00"),
+  log("CL-2", "LD-A", "2026-04-01 10:10:00"),
+  log("CL-1", "LD-A", "2026-04-01 10:00:00")
+];
+
+describe("Convoso call log matching", () => {
+  const stack = useServer({
+    stubs: { forth: () => startForthStub({ contacts: { [PHONE]: [{ id: 66 }] } }), convoso: () => startConvosoStub({ callLogs: LOGS }) },
+    env: ({ forth, convoso }) => ({ FORTH_BASE_URL: forth.url, CONVOSO_API_BASE: convoso.url, CONVOSO_AUTH_TOKEN: "convoso-token" })
+  });
+
+  // Dry run, so nothing is claimed or written; the response reports which log enrichment picked
+  async function enrichment(hints) {
+    const res = await stack.server.post("/convoso/call-completed", { phone_number: PHONE, call_type: "OUTBOUND", ...hints }, { headers: { "X-Dry-Run": "1" } });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    return res.body.enrichment;
+  }
+
+  it("matches call_log_id first, even when lead_id and time point at another log", async () => {
+    assert.deepEqual(await enrichment({ call_log_id: "CL-1", lead_id: "LD-B", call_start_time: "2026-04-01 10:14:00" }), {
+      convoso_log_id: "CL-1", method: "call_log_id", confidence: "exact", delta_sec: null
+    });
+  });
+
+  it("falls back to the lead's log nearest the call time when call_log_id is not in the list", async () => {
+    assert.deepEqual(await enrichment({ call_log_id: "CL-9", lead_id: "LD-A", call_start_time: "2026-04-01 10:09:00" }), {
+      convoso_log_id: "CL-2", method: "lead_id_time", confidence: "high", delta_sec: 60
+    });
+    // CL-3 is nearer, but belongs to another lead
+    assert.equal((await enrichment({ lead_id: "LD-A", call_start_time: "2026-04-01 10:13:00" })).convoso_log_id, "CL-2");
+  });
+
+  it("matches on time alone without a lead_id, and on nothing outside the tolerance", async () => {
+    assert.deepEqual(await enrichment({ call_start_time: "2026-04-01 10:14:30" }), {
+      convoso_log_id: "CL-3", method: "time", confidence: "medium", delta_sec: 30
+    });
+    assert.deepEqual(await enrichment({ lead_id: "LD-A", call_start_time: "2026-04-01 11:00:00" }), { convoso_log_id: null, method: null, confidence: "none" });
+  });
+
+  it("takes the newest log, with low confidence, only when the webhook gave nothing to match on", async () => {
+    assert.deepEqual(await enrichment({}), { convoso_log_id: "CL-3", method: "newest", confidence: "low", delta_sec: null });
+  });
+
+  it("reads the logs from data before logs, whichever shape data has", async () => {
+    const retrieve = /^\/v1\/log\/retrieve$/;
+    stack.convoso.on("GET", retrieve, () => ({ body: { success: true, data: [LOGS[1]], logs: [LOGS[0]] } }), { once: true });
+    assert.equal((await enrichment({})).convoso_log_id, "CL-2");
+
+    stack.convoso.on("GET", retrieve, () => ({ body: { success: true, data: { results: [LOGS[2]] }, logs: [LOGS[0]] } }), { once: true });
+    assert.equal((await enrichment({})).convoso_log_id, "CL-1");
+
+    stack.convoso.on("GET", retrieve, () => ({ body: { success: true, logs: [LOGS[1]] } }), { once: true });
+    assert.equal((await enrichment({})).convoso_log_id, "CL-2");
+  });
+});
@@ -0,0 +1,100 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { logger } = require("../lib/logger");
+const {
+  createEventPipeline,
+  normalizeStage,
+  dedupeStage,
+  resolveContactStage,
+  mapStage,
+  mappedDedupeStage,
+  writeStage
+} = require("../lib/eventPipeline");
+
+const log = logger.child({ component: "test" });
+
+function memoryStore() {
+  const keys = new Set();
+  return {
+    keys,
+    async has(k) { return keys.has(k); },
+    async claim(k) {
+      if (keys.has(k)) return false;
+      keys.add(k);
+      return true;
+    },
+    async release(k) { keys.delete(k); }
+  };
+}
+
+function pipeline(store, { findContacts }) {
+  return createEventPipeline("test", [
+    normalizeStage({ normalize: (b) => b, toEvent: (p) => ({ phone: p.phone, callLogId: p.id, payload: p }) }),
+    dedupeStage({ store, key: (e) => (e.callLogId ? "call:" + e.callLogId : null), onDuplicate: () => ({ ok: true, deduped: true }) }),
+    resolveContactStage({ findContacts }),
+    mapStage({ build: () => ({ write: { type: "forth.createCall", payload: {} } }) }),
+    writeStage({
+      preview: (ctx, decision) => ({ ok: true, decision }),
+      park: () => ({ ok: true, parked: true }),
+      enqueue: (ctx) => ctx.match.contacts.map((c) => "job-" + c.id),
+      respond: (ctx) => ({ ok: true, job_ids: ctx.jobs })
+    })
+  ], { log });
+}
+
+describe("event pipeline", () => {
+  it("stops at normalize with 400 when the phone is missing", async () => {
+    const ctx = await pipeline(memoryStore(), { findContacts: async () => ({ contacts: [] }) }).run({ body: { id: "1" } });
+    assert.deepEqual(ctx.response, { status: 400, body: { ok: false, error: "Missing phone" } });
+    assert.deepEqual(ctx.stages, ["normalize"]);
+  });
+
+  it("queues per contact, then dedupes a repeat", async () => {
+    const store = memoryStore();
+    const p = pipeline(store, { findContacts: async () => ({ contacts: [{ id: 1 }, { id: 2 }] }) });
+    const first = await p.run({ body: { phone: "5551230001", id: "A" } });
+    assert.equal(first.response.status, 202);
+    assert.deepEqual(first.jobs, ["job-1", "job-2"]);
+    assert.equal(first.outcome, "created");
+
+    const second = await p.run({ body: { phone: "5551230001", id: "A" } });
+    assert.deepEqual(second.response, { status: 200, body: { ok: true, deduped: true } });
+    assert.equal(second.outcome, "deduped");
+  });
+
+  it("releases the dedupe key when a later stage throws", async () => {
+    const store = memoryStore();
+    const p = pipeline(store, { findContacts: async () => { throw new Error("forth down"); } });
+    await assert.rejects(p.run({ body: { phone: "5551230001", id: "B" } }), /forth down/);
+    assert.equal(store.keys.has("call:B"), false);
+  });
+
+  it("dry-run peeks at the dedupe store without claiming", async () => {
+    const store = memoryStore();
+    const p = pipeline(store, { findContacts: async () => ({ contacts: [] }) });
+    const ctx = await p.run({ body: { phone: "5551230001", id: "C" }, dryRun: true });
+    assert.deepEqual(ctx.response.body, { ok: true, decision: "would_park" });
+    assert.equal(store.keys.size, 0);
+  });
+
+  it("claims a key found while mapping, and releases it when the write throws", async () => {
+    const store = memoryStore();
+    const mappedPipeline = (enqueue) => createEventPipeline("test", [
+      normalizeStage({ normalize: (b) => b, toEvent: (p) => ({ phone: p.phone, payload: p }) }),
+      resolveContactStage({ findContacts: async () => ({ contacts: [{ id: 1 }] }) }),
+      mapStage({ build: (event) => ({ write: { type: "forth.createCall", payload: {} }, logKey: "log:" + event.payload.log }) }),
+      mappedDedupeStage({ store, key: (ctx) => ctx.mapped.logKey, onDuplicate: () => ({ ok: true, deduped: true }) }),
+      writeStage({ preview: () => ({}), park: () => ({}), enqueue, respond: () => ({ ok: true }) })
+    ], { log });
+
+    const failing = mappedPipeline(() => { throw new Error("queue full"); });
+    await assert.rejects(failing.run({ body: { phone: "5551230001", log: "L1" } }), /queue full/);
+    assert.equal(store.keys.has("log:L1"), false);
+
+    const working = mappedPipeline(() => ["job-1"]);
+    const first = await working.run({ body: { phone: "5551230001", log: "L1" } });
+    assert.deepEqual([first.response.status, first.mappedDedupeKey], [202, "log:L1"]);
+    const second = await working.run({ body: { phone: "5551230001", log: "L1" } });
+    assert.deepEqual(second.response, { status: 200, body: { ok: true, deduped: true } });
+  });
+});
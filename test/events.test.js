@@ -0,0 +1,122 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { waitFor } = require("./helpers/server");
+const { startForthStub } = require("./helpers/stubs");
+const { useServer } = require("./helpers/suite");
+
+const ADMIN_TOKEN = "test-admin-token";
+
+describe("event journal and replay", () => {
+  const stack = useServer({
+    stubs: { forth: () => startForthStub({ contacts: { 5553330001: [{ id: 31 }] } }) },
+    env: ({ forth }) => ({ FORTH_BASE_URL: forth.url, ADMIN_TOKEN })
+  });
+
+  const admin = async (method, route, body) => {
+    const r = await fetch(stack.server.url + route, {
+      method,
+      headers: { "X-Admin-Token": ADMIN_TOKEN, ...(body ? { "Content-Type": "application/json" } : {}) },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: r.status, body: await r.json() };
+  };
+  const settledJob = (filter) => waitFor(async () => {
+    const { body } = await admin("GET", "/admin/events?" + filter);
+    const event = body.events[0];
+    return event?.jobs.length && event.jobs.every((j) => j.status === "done") ? event : null;
+  }, { message: "journaled Forth job" });
+
+  it("journals the redacted body, contact, Forth request and response, and outcome", async () => {
+    const res = await stack.server.post("/convoso/disposition", { phone_number: "5553330001", call_type: "INBOUND", disposition: "SALE", call_id: "J-1", lead_id: "L-1" });
+    assert.equal(res.status, 202, JSON.stringify(res.body));
+
+    const event = await settledJob("lead_id=L-1");
+    assert.equal(event.route, "disposition");
+    assert.equal(event.phone_last4, "0001");
+    assert.equal(event.body.phone_number, "***0001");
+    assert.equal(event.raw, undefined);
+    assert.deepEqual([event.status, event.outcome, event.tenant], [202, "created", "default"]);
+    assert.deepEqual(event.contact.contact_ids, [31]);
+    const [job] = event.jobs;
+    assert.equal(job.request.url, stack.forth.url + "/v1/calls");
+    assert.equal(job.request.body.contactID, 31);
+    assert.equal(job.response.status, 200);
+
+    const byPhone = await admin("GET", "/admin/events?phone_last4=0001&route=disposition");
+    assert.equal(byPhone.body.events[0].id, event.id);
+    const future = await admin("GET", "/admin/events?since=" + new Date(Date.now() + 60000).toISOString());
+    assert.deepEqual(future.body.events, []);
+  });
+
+  it("keeps the original body off disk", async () => {
+    await stack.server.post("/convoso/disposition", { phone_number: "5553330001", call_type: "INBOUND", disposition: "SALE", call_id: "J-4", lead_id: "L-4" });
+    await settledJob("lead_id=L-4");
+    const file = path.join(stack.server.dataDir, "event-journal.json");
+    const saved = await waitFor(() => {
+      const text = fs.existsSync(file) ? fs.readFileSync(file, "utf8") : "";
+      return text.includes("L-4") ? text : null;
+    }, { message: "journal flushed" });
+    assert.equal(saved.includes("5553330001"), false);
+    assert.equal(saved.includes('"raw"'), false);
+  });
+
+  it("counts webhooks rejected by auth instead of journaling them", async () => {
+    const res = await stack.server.post("/convoso/call-completed", { phone_number: "5553339999", call_log_id: "J-REJ" }, { headers: { "X-Shared-Secret": "wrong" } });
+    assert.equal(res.status, 401);
+    const { body } = await admin("GET", "/admin/events?call_log_id=J-REJ");
+    assert.deepEqual(body.events, []);
+    const metrics = await (await fetch(stack.server.url + "/metrics")).text();
+    assert.match(metrics, /webhook_auth_rejected_total\{source="convoso"\} 1/);
+  });
+
+  it("replays an event past dedupe, as a dry run or for real", async () => {
+    const payload = { phone_number: "5553330001", call_type: "INBOUND", disposition: "SALE", call_id: "J-2", lead_id: "L-2" };
+    await stack.server.post("/convoso/disposition", payload);
+    const original = await settledJob("lead_id=L-2");
+    const again = await stack.server.post("/convoso/disposition", payload);
+    assert.equal(again.body.deduped, true);
+    stack.forth.reset();
+
+    const dry = await admin("POST", `/admin/events/${original.id}/replay`, { dry_run: true });
+    assert.equal(dry.body.response.decision, "would_write");
+    assert.equal(stack.forth.find("POST", /^\/v1\/calls$/).length, 0);
+
+    // The Forth call for this Convoso call already exists, so the replay merges into it instead of adding another
+    const live = await admin("POST", `/admin/events/${original.id}/replay`, {});
+    assert.equal(live.status, 200, JSON.stringify(live.body));
+    assert.equal(live.body.status, 202);
+    const replayed = await waitFor(async () => {
+      const { body } = await admin("GET", "/admin/events/" + live.body.replay_id);
+      return body.event.jobs[0]?.status === "done" ? body.event : null;
+    }, { message: "replayed Forth job" });
+    assert.deepEqual([replayed.replay_of, replayed.outcome], [original.id, "created"]);
+    assert.deepEqual(replayed.jobs[0].response.merge, { action: "unchanged", forth_call_id: original.jobs[0].response.merge.forth_call_id });
+    assert.equal(stack.forth.find("POST", /^\/v1\/calls$/).length, 0);
+  });
+
+  it("only replays call events", async () => {
+    await stack.server.post("/convoso/lead-upsert", { phone_number: "5553330002", lead_id: "L-3" });
+    const { body } = await admin("GET", "/admin/events?lead_id=L-3");
+    const res = await admin("POST", `/admin/events/${body.events[0].id}/replay`, {});
+    assert.equal(res.status, 400);
+    assert.equal((await admin("POST", "/admin/events/nope/replay", {})).status, 404);
+  });
+
+  it("keeps the phone out of dry-run requests and the shadow log", async () => {
+    const res = await stack.server.post("/convoso/disposition", { phone_number: "5553330001", call_type: "INBOUND", disposition: "SALE", call_id: "J-5" }, { headers: { "X-Dry-Run": "1" } });
+    assert.equal(res.body.decision, "would_write");
+    assert.equal(res.body.requests[0].body.contactID, 31);
+    const { body } = await admin("GET", "/admin/shadow?route=disposition");
+    assert.equal(body.entries[0].id, res.body.shadow_id);
+    for (const output of [res.body, body.entries[0]]) assert.equal(JSON.stringify(output).includes("5553330001"), false);
+  });
+
+  it("serves the admin page without exposing data", async () => {
+    const r = await fetch(stack.server.url + "/admin/ui");
+    assert.equal(r.status, 200);
+    assert.match(await r.text(), /X-Admin-Token/);
+    assert.equal((await fetch(stack.server.url + "/admin/events")).status, 401);
+  });
+});
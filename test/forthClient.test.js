@@ -0,0 +1,113 @@
+const { describe, it, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createForthClient, tokenExpiry } = require("../lib/forthClient");
+const { waitFor } = require("./helpers/server");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function jwt(claims) {
+  const part = (o) => Buffer.from(JSON.stringify(o)).toString("base64url");
+  return [part({ alg: "HS256" }), part(claims), "sig"].join(".");
+}
+
+// Answers /v1/auth/token with the next queued response ({ status, body }); refreshes counts the calls
+function tokenServer(responses) {
+  const server = { refreshes: 0 };
+  server.fetch = async () => {
+    const next = responses[Math.min(server.refreshes++, responses.length - 1)];
+    return { ok: next.status < 300, status: next.status, json: async () => next.body };
+  };
+  return server;
+}
+
+function recordingAlerts() {
+  const sent = [];
+  return {
+    sent,
+    fire: async (key, text, fields) => sent.push({ status: "firing", key, fields }),
+    resolve: async (key, text, fields) => sent.push({ status: "resolved", key, fields })
+  };
+}
+
+describe("Forth token lifecycle", () => {
+  const clients = [];
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "forth-client-test-"));
+  const client = (opts) => {
+    const c = createForthClient({ tenant: "t", baseUrl: "https://forth.example", keyId: "kid", apiSecret: "secret", ...opts });
+    clients.push(c);
+    return c;
+  };
+
+  afterEach(() => clients.splice(0).forEach((c) => c.stop()));
+  after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+  it("reads the expiry from expires_in or the JWT exp claim, whichever is earlier", () => {
+    const now = Date.parse("2026-01-01T00:00:00Z");
+    const exp = now / 1000 + 3600;
+    assert.deepEqual(tokenExpiry("opaque", 7200, now), { expiresAt: now + 7200 * 1000, source: "expires_in" });
+    assert.deepEqual(tokenExpiry(jwt({ exp }), undefined, now), { expiresAt: exp * 1000, source: "jwt_exp" });
+    assert.deepEqual(tokenExpiry(jwt({ exp }), 7200, now), { expiresAt: exp * 1000, source: "jwt_exp" });
+    assert.equal(tokenExpiry("opaque", undefined, now).source, "default_ttl");
+  });
+
+  it("persists the token and reuses it after a restart with the same key id", async () => {
+    const tokenFile = path.join(tmp, "persist.json");
+    const exp = Math.floor((Date.now() + 10 * DAY_MS) / 1000);
+    const first = tokenServer([{ status: 200, body: { response: { api_key: jwt({ exp }) } } }]);
+    const a = client({ httpClient: first, tokenFile });
+    a.start();
+    await waitFor(() => a.readiness().ok, { message: "first token" });
+    assert.equal(a.readiness().expiry_source, "jwt_exp");
+    assert.equal(fs.statSync(tokenFile).mode & 0o777, 0o600);
+
+    const second = tokenServer([{ status: 200, body: { access_token: "other" } }]);
+    const b = client({ httpClient: second, tokenFile });
+    b.start();
+    assert.deepEqual([b.readiness().ok, b.readiness().expiry_source, second.refreshes], [true, "persisted", 0]);
+    assert.ok(Math.abs(Date.parse(b.readiness().next_refresh_at) - (exp * 1000 - 6 * 60 * 60 * 1000)) < 1000);
+
+    const otherKey = client({ httpClient: second, tokenFile, keyId: "rotated" });
+    assert.equal(otherKey.readiness().ok, false);
+  });
+
+  it("retries a failed refresh with backoff, alerts once the token is close to expiry, and resolves on recovery", async () => {
+    const alerts = recordingAlerts();
+    const failing = { status: 500, body: { message: "auth down" } };
+    const server = tokenServer([failing, failing, failing, { status: 200, body: { access_token: "fresh", expires_in: 864000 } }]);
+    const c = client({ httpClient: server, retryBaseMs: 5, alertAfterFailures: 3, alerts });
+    c.start();
+    await waitFor(() => c.readiness().ok, { message: "recovered token" });
+    assert.equal(server.refreshes, 4);
+    assert.deepEqual(alerts.sent.map((a) => [a.status, a.key]), [["firing", "forth_token_refresh:t"], ["resolved", "forth_token_refresh:t"]]);
+    assert.equal(alerts.sent[0].fields.consecutive_failures, 3);
+    assert.equal(c.readiness().consecutive_failures, 0);
+  });
+
+  it("counts a token response that is not a JSON object as a failed refresh", async () => {
+    const server = tokenServer([{ status: 200, body: null }, { status: 200, body: ["token"] }, { status: 200, body: { access_token: "fresh", expires_in: 864000 } }]);
+    const states = [];
+    const c = client({ httpClient: server, retryBaseMs: 5, onRefresh: (result) => states.push(result) });
+    c.start();
+    await waitFor(() => c.readiness().ok, { message: "token after bad responses" });
+    assert.deepEqual(states, ["error", "error", "ok"]);
+    assert.equal(server.refreshes, 3);
+  });
+
+  it("keeps using a valid token while the scheduled refresh is failing", async () => {
+    const server = tokenServer([{ status: 200, body: { access_token: "short", expires_in: 3600 } }, { status: 500, body: {} }]);
+    const c = client({ httpClient: server, retryBaseMs: 60 * 1000 });
+    c.start();
+    await waitFor(() => server.refreshes === 2, { message: "scheduled refresh inside the buffer" });
+    await new Promise((r) => setImmediate(r));
+    const sent = [];
+    server.fetch = async (url, opts) => {
+      sent.push(opts.headers["Api-Key"]);
+      return { ok: true, status: 200, json: async () => ({}) };
+    };
+    await c.getContact(1);
+    assert.deepEqual(sent, ["short"]);
+  });
+});
@@ -0,0 +1,82 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { waitFor } = require("./helpers/server");
+const { startForthStub } = require("./helpers/stubs");
+const { useServer, waitForRequests } = require("./helpers/suite");
+
+const METRICS_TOKEN = "metrics-token";
+
+// Forth token refresh with a key id and secret instead of a static key, so readiness depends on the refresh
+const refreshEnv = ({ forth }) => ({ FORTH_BASE_URL: forth.url, FORTH_API_KEY: "", FORTH_KEY_ID: "key-id", FORTH_API_SECRET: "key-secret" });
+
+async function get(stack, route, headers = {}) {
+  const r = await fetch(stack.server.url + route, { headers });
+  return { status: r.status, type: r.headers.get("content-type"), text: await r.text() };
+}
+
+describe("health and metrics", () => {
+  const stack = useServer({
+    stubs: { forth: () => startForthStub({ contacts: { 5557770001: [{ id: 77 }] } }) },
+    env: (s) => ({ ...refreshEnv(s), METRICS_TOKEN }),
+    ready: ({ forth }) => waitForRequests(forth, "POST", /^\/v1\/auth\/token$/)
+  });
+
+  it("is live, and ready once the Forth token is refreshed", async () => {
+    assert.deepEqual(JSON.parse((await get(stack, "/health/live")).text), { ok: true });
+    const ready = await get(stack, "/health/ready");
+    const body = JSON.parse(ready.text);
+    assert.deepEqual([ready.status, body.ok, body.forth.mode, body.forth.reason, body.forth.consecutive_failures], [200, true, "refresh", null, 0]);
+    assert.ok(Date.parse(body.forth.token_expires_at) > Date.now());
+    assert.deepEqual(Object.keys(body.tenants), ["default"]);
+  });
+
+  it("needs the metrics token", async () => {
+    assert.equal((await get(stack, "/metrics")).status, 401);
+    assert.equal((await get(stack, "/metrics", { Authorization: "Bearer wrong" })).status, 401);
+  });
+
+  it("exposes webhook, Forth API and token metrics in the Prometheus text format", async () => {
+    const res = await stack.server.post("/convoso/disposition", { phone_number: "5557770001", call_id: "M-1", call_type: "INBOUND", disposition: "SALE" });
+    assert.equal(res.status, 202, JSON.stringify(res.body));
+    await waitForRequests(stack.forth, "POST", /^\/v1\/calls$/);
+
+    const metrics = await get(stack, "/metrics", { Authorization: "Bearer " + METRICS_TOKEN });
+    assert.equal(metrics.status, 200);
+    assert.match(metrics.type, /^text\/plain;.*version=0\.0\.4/);
+    assert.match(metrics.text, /^# HELP convoso_webhooks_received_total /m);
+    assert.match(metrics.text, /^# TYPE convoso_webhooks_received_total counter$/m);
+    assert.match(metrics.text, /^convoso_webhook_outcomes_total\{route="disposition",tenant="default",outcome="created"\} 1$/m);
+    assert.match(metrics.text, /^forth_token_refresh_total\{tenant="default",result="ok"\} 1$/m);
+    assert.match(metrics.text, /^forth_token_refresh_consecutive_failures\{tenant="default"\} 0$/m);
+    assert.match(metrics.text, /^forth_token_expires_at_seconds\{tenant="default"\} [1-9]\d+$/m);
+    assert.match(metrics.text, /^forth_api_request_duration_seconds_count\{method="GET",status_class="2xx"\} [1-9]\d*$/m);
+  });
+});
+
+describe("readiness without a Forth token", () => {
+  const stack = useServer({
+    stubs: {
+      forth: async () => {
+        const forth = await startForthStub();
+        forth.on("POST", /^\/v1\/auth\/token$/, () => ({ status: 500, body: { message: "auth down" } }));
+        return forth;
+      }
+    },
+    env: refreshEnv
+  });
+
+  it("is not ready while the token refresh fails, but stays live", async () => {
+    assert.equal((await get(stack, "/health/live")).status, 200);
+    const ready = await waitFor(async () => {
+      const r = await get(stack, "/health/ready");
+      return JSON.parse(r.text).forth.consecutive_failures >= 1 ? r : null;
+    }, { message: "a failed startup refresh" });
+    const body = JSON.parse(ready.text);
+    assert.deepEqual([ready.status, body.ok, body.forth.reason], [503, false, "no token yet"]);
+    assert.equal(body.forth.last_refresh_error.error, "auth down");
+
+    const metrics = (await get(stack, "/metrics")).text;
+    assert.match(metrics, /^forth_token_refresh_total\{tenant="default",result="error"\} [1-9]\d*$/m);
+    assert.match(metrics, /^forth_token_expires_at_seconds\{tenant="default"\} 0$/m);
+  });
+});
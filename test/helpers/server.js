@@ -0,0 +1,105 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const net = require("net");
+const readline = require("readline");
+const { spawn } = require("child_process");
+
+const SERVER = path.join(__dirname, "..", "..", "server.js");
+const WEBHOOK_SECRET = "test-webhook-secret";
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.on("error", reject);
+    srv.listen(0, "127.0.0.1", () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Poll until predicate() returns something truthy; rejects after timeoutMs.
+ */
+async function waitFor(predicate, { timeoutMs = 5000, intervalMs = 20, message = "condition" } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await predicate();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error("timed out waiting for " + message);
+    await new Promise((r) => setTimeout(r, intervalMs));
+  }
+}
+
+/**
+ * Start server.js as a child process with its own DATA_DIR and port. env is merged over test defaults
+ * (shared webhook secret, static Forth key, fast queue retries, single enrichment attempt).
+ * Returns { url, logs, post(route, body, { form, headers }), stop() }; logs holds the parsed JSON log lines.
+ */
+async function startServer(env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "convoso-forth-test-"));
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER], {
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      DATA_DIR: dataDir,
+      SHARED_SECRET: WEBHOOK_SECRET,
+      FORTH_API_KEY: "static-key",
+      FORTH_QUEUE_BASE_DELAY_MS: "50",
+      ENRICHMENT_RETRY_DELAYS_MS: "0",
+      LOG_LEVEL: "info",
+      ...env
+    },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+  const logs = [];
+  let stderr = "";
+  readline.createInterface({ input: child.stdout }).on("line", (line) => {
+    try {
+      logs.push(JSON.parse(line));
+    } catch (_) {
+      logs.push({ msg: line });
+    }
+  });
+  child.stderr.on("data", (d) => {
+    stderr += d;
+  });
+  const exited = new Promise((resolve) => child.on("exit", resolve));
+  let exitCode = null;
+  exited.then((code) => {
+    exitCode = code;
+  });
+
+  await waitFor(() => exitCode !== null || logs.some((l) => l.msg === "listening"), { timeoutMs: 10000, message: "server to listen" });
+  if (exitCode !== null) throw new Error("server exited with " + exitCode + ": " + stderr);
+
+  const url = `http://127.0.0.1:${port}`;
+  return {
+    url,
+    logs,
+    dataDir,
+    async post(route, body, { form = false, headers = {} } = {}) {
+      const r = await fetch(url + route, {
+        method: "POST",
+        headers: {
+          "Content-Type": form ? "application/x-www-form-urlencoded" : "application/json",
+          "X-Shared-Secret": WEBHOOK_SECRET,
+          ...headers
+        },
+        body: form ? body : JSON.stringify(body)
+      });
+      return { status: r.status, body: await r.json() };
+    },
+    async stop() {
+      if (exitCode === null) {
+        child.kill();
+        await exited;
+      }
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+}
+
+module.exports = { startServer, waitFor, WEBHOOK_SECRET };
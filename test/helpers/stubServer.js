@@ -0,0 +1,66 @@
+const http = require("http");
+
+/**
+ * Local HTTP stub standing in for Forth or Convoso.
+ * Every request is recorded as { method, path, query, headers, body } (body parsed as JSON or form when possible).
+ * Routes are matched newest first, so a test can override a default with on(); once: true routes answer one request.
+ * handler(request) -> { status = 200, body, headers }.
+ */
+async function startStubServer(name) {
+  const requests = [];
+  let routes = [];
+
+  function on(method, pattern, handler, { once = false } = {}) {
+    routes.unshift({ method, pattern, handler, once });
+  }
+
+  function parseBody(raw, contentType) {
+    if (!raw) return null;
+    if (String(contentType).includes("application/json")) {
+      try {
+        return JSON.parse(raw);
+      } catch (_) {
+        return raw;
+      }
+    }
+    if (String(contentType).includes("application/x-www-form-urlencoded")) return Object.fromEntries(new URLSearchParams(raw));
+    return raw;
+  }
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", async () => {
+      const url = new URL(req.url, "http://stub");
+      const request = {
+        method: req.method,
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        headers: req.headers,
+        body: parseBody(Buffer.concat(chunks).toString("utf8"), req.headers["content-type"])
+      };
+      requests.push(request);
+      const route = routes.find((r) => r.method === req.method && r.pattern.test(url.pathname));
+      if (route?.once) routes = routes.filter((r) => r !== route);
+      const reply = route ? await route.handler(request) : { status: 404, body: { message: name + " stub: no route" } };
+      res.writeHead(reply.status ?? 200, { "Content-Type": "application/json", ...reply.headers });
+      res.end(JSON.stringify(reply.body ?? {}));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    on,
+    find: (method, pattern) => requests.filter((r) => r.method === method && pattern.test(r.path)),
+    reset() {
+      requests.length = 0;
+    },
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+module.exports = { startStubServer };
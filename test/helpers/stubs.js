@@ -0,0 +1,40 @@
+const { startStubServer } = require("./stubServer");
+
+/**
+ * Forth API stub: token refresh hands out tok-1, tok-2, ...; contact search answers from stub.contacts
+ * (phone -> contacts); calls, notes and contact events / tasks get increasing ids and can be updated.
+ */
+async function startForthStub({ contacts = {} } = {}) {
+  const stub = await startStubServer("forth");
+  let tokens = 0;
+  let ids = 1000;
+  stub.contacts = contacts;
+  stub.on("POST", /^\/v1\/auth\/token$/, () => ({ body: { response: { access_token: "tok-" + ++tokens, expires_in: 10 * 24 * 60 * 60 } } }));
+  stub.on("GET", /^\/v1\/contacts\/search_by_phone\/[^/]+$/, (r) => ({
+    body: { response: stub.contacts[decodeURIComponent(r.path.split("/").pop())] ?? [] }
+  }));
+  stub.on("POST", /^\/v1\/calls$/, () => ({ body: { status: { code: 200 }, response: { id: ++ids } } }));
+  stub.on("PUT", /^\/v1\/calls\/[^/]+$/, () => ({ body: { status: { code: 200 }, response: {} } }));
+  stub.on("POST", /^\/v1\/contacts\/[^/]+\/notes$/, () => ({ body: { status: { code: 200 }, response: { id: ++ids } } }));
+  stub.on("POST", /^\/v1\/contacts\/[^/]+\/(events|tasks)$/, () => ({ body: { status: { code: 200 }, response: { id: ++ids } } }));
+  stub.on("PUT", /^\/v1\/contacts\/[^/]+\/(events|tasks)\/[^/]+$/, () => ({ body: { status: { code: 200 }, response: {} } }));
+  return stub;
+}
+
+/**
+ * Convoso API stub: /v1/log/retrieve answers from stub.callLogs filtered by phone_number; lead updates and DNC
+ * inserts succeed.
+ */
+async function startConvosoStub({ callLogs = [] } = {}) {
+  const stub = await startStubServer("convoso");
+  stub.callLogs = callLogs;
+  stub.on("GET", /^\/v1\/log\/retrieve$/, (r) => {
+    const results = stub.callLogs.filter((e) => !r.query.phone_number || e.phone_number === r.query.phone_number);
+    return { body: { success: true, data: { total_found: results.length, results } } };
+  });
+  stub.on("POST", /^\/v1\/leads\/update$/, () => ({ body: { success: true } }));
+  stub.on("POST", /^\/v1\/dnc\/insert$/, () => ({ body: { success: true } }));
+  return stub;
+}
+
+module.exports = { startForthStub, startConvosoStub };
@@ -0,0 +1,44 @@
+const { before, after, beforeEach } = require("node:test");
+const { startServer, waitFor } = require("./server");
+const { startForthStub } = require("./stubs");
+
+/**
+ * Hooks for a describe() that runs server.js against stubs: the stubs and then the server start in before(),
+ * everything stops in after(), and each stub's recorded requests are cleared before every test.
+ *   stubs - name -> () => stub (default: one Forth stub as forth)
+ *   env(stack) - server env, given the started stubs (default: FORTH_BASE_URL of forth)
+ *   ready(stack) - awaited once the server is up (e.g. for the startup token refresh)
+ * Returns the stack: { server, <stub name>... }, filled in once before() has run.
+ */
+function useServer({ stubs = { forth: () => startForthStub() }, env = ({ forth }) => ({ FORTH_BASE_URL: forth.url }), ready = null } = {}) {
+  const stack = { server: null };
+
+  before(async () => {
+    for (const [name, start] of Object.entries(stubs)) stack[name] = await start();
+    stack.server = await startServer(env(stack));
+    if (ready) await ready(stack);
+  });
+
+  after(async () => {
+    await stack.server?.stop();
+    for (const name of Object.keys(stubs)) await stack[name]?.close();
+  });
+
+  beforeEach(() => {
+    for (const name of Object.keys(stubs)) stack[name].reset();
+  });
+
+  return stack;
+}
+
+/**
+ * Wait until stub has recorded at least count method requests to a path matching pattern; resolves with them.
+ */
+function waitForRequests(stub, method, pattern, count = 1) {
+  return waitFor(() => {
+    const found = stub.find(method, pattern);
+    return found.length >= count ? found : null;
+  }, { message: `${method} ${pattern} x${count}` });
+}
+
+module.exports = { useServer, waitForRequests };
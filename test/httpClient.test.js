@@ -0,0 +1,97 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createHttpClient, parseRetryAfter } = require("../lib/httpClient");
+const { startStubServer } = require("./helpers/stubServer");
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+describe("http client", () => {
+  let stub;
+  let arrivals;
+
+  before(async () => {
+    stub = await startStubServer("http");
+  });
+
+  after(() => stub.close());
+
+  beforeEach(() => {
+    stub.reset();
+    arrivals = [];
+  });
+
+  // Every request to /ok is timestamped on arrival
+  function serve() {
+    stub.on("GET", /^\/ok$/, () => {
+      arrivals.push(Date.now());
+      return { body: { ok: true } };
+    });
+  }
+
+  it("lets a burst through, then spaces requests at the host rate", async () => {
+    serve();
+    const client = createHttpClient({ defaultLimit: { ratePerSec: 10, burst: 2, maxInFlight: 10 } });
+    const responses = await Promise.all([1, 2, 3, 4, 5].map(() => client.fetch(stub.url + "/ok")));
+    assert.deepEqual(responses.map((r) => r.status), [200, 200, 200, 200, 200]);
+
+    // Two from the burst, then one token per 100ms
+    assert.ok(arrivals[1] - arrivals[0] < 80, `burst spacing ${arrivals[1] - arrivals[0]}ms`);
+    assert.ok(arrivals[4] - arrivals[0] >= 250, `5 requests took ${arrivals[4] - arrivals[0]}ms`);
+    const host = new URL(stub.url).host;
+    assert.deepEqual([client.metrics()[host].requests, client.metrics()[host].throttled], [5, 3]);
+  });
+
+  it("never has more than maxInFlight requests open to a host", async () => {
+    let open = 0;
+    let peak = 0;
+    stub.on("GET", /^\/slow$/, async () => {
+      peak = Math.max(peak, ++open);
+      await sleep(50);
+      open -= 1;
+      return { body: {} };
+    });
+    const client = createHttpClient({ defaultLimit: { ratePerSec: 1000, burst: 100, maxInFlight: 2 } });
+    const responses = await Promise.all([1, 2, 3, 4, 5].map(() => client.fetch(stub.url + "/slow")));
+    assert.equal(responses.every((r) => r.ok), true);
+    assert.equal(peak, 2);
+  });
+
+  it("pauses the host for Retry-After on a 429 and retries", async () => {
+    serve();
+    stub.on("GET", /^\/ok$/, () => {
+      arrivals.push(Date.now());
+      return { status: 429, headers: { "Retry-After": "0.3" }, body: { message: "slow down" } };
+    }, { once: true });
+    const client = createHttpClient({ defaultLimit: { ratePerSec: 100, burst: 10, maxInFlight: 4 } });
+
+    const first = client.fetch(stub.url + "/ok");
+    await sleep(50);
+    // Sent while the host is paused, so it waits out the same Retry-After
+    const second = client.fetch(stub.url + "/ok");
+    assert.deepEqual([(await first).status, (await second).status], [200, 200]);
+
+    assert.equal(arrivals.length, 3);
+    assert.ok(arrivals[1] - arrivals[0] >= 290, `retried after ${arrivals[1] - arrivals[0]}ms`);
+    assert.ok(arrivals[2] - arrivals[0] >= 290, `second request sent after ${arrivals[2] - arrivals[0]}ms`);
+    assert.equal(client.metrics()[new URL(stub.url).host].rateLimited, 1);
+  });
+
+  it("hands back the 429 once retries run out or Retry-After is too long", async () => {
+    stub.on("GET", /^\/busy$/, () => ({ status: 429, headers: { "Retry-After": "0" }, body: {} }));
+    stub.on("GET", /^\/later$/, () => ({ status: 429, headers: { "Retry-After": "3600" }, body: {} }));
+    const client = createHttpClient({ max429Retries: 1, maxRetryAfterMs: 1000 });
+
+    assert.equal((await client.fetch(stub.url + "/busy")).status, 429);
+    assert.equal(stub.find("GET", /^\/busy$/).length, 2);
+    assert.equal((await client.fetch(stub.url + "/later")).status, 429);
+    assert.equal(stub.find("GET", /^\/later$/).length, 1);
+  });
+
+  it("reads Retry-After as seconds or an HTTP date", () => {
+    assert.equal(parseRetryAfter("2"), 2000);
+    assert.equal(parseRetryAfter(""), null);
+    assert.equal(parseRetryAfter("soon"), null);
+    const inAMinute = parseRetryAfter(new Date(Date.now() + 60000).toUTCString());
+    assert.ok(inAMinute > 58000 && inAMinute <= 60000, String(inAMinute));
+  });
+});
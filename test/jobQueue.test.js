@@ -0,0 +1,138 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createJobQueue, JobError } = require("../lib/jobQueue");
+const { waitFor } = require("./helpers/server");
+const { useServer, waitForRequests } = require("./helpers/suite");
+const { startForthStub } = require("./helpers/stubs");
+
+const ADMIN_TOKEN = "test-admin-token";
+
+// A queue on a fresh file; the worker is not started, so each test drives drain() itself
+function tempQueue(t, options) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "job-queue-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, "queue.json");
+  return { filePath, queue: createJobQueue({ name: "test-queue", filePath, ...options }) };
+}
+
+describe("job queue", () => {
+  it("backs off exponentially with jitter, capped at maxDelayMs", async (t) => {
+    const delays = [];
+    const { queue } = tempQueue(t, {
+      handlers: { flaky: async () => { throw new Error("down"); } },
+      baseDelayMs: 1000,
+      maxDelayMs: 3000,
+      maxAttempts: 4,
+      onSettled: (job, { status }) => status === "retry" && delays.push(job.nextAttemptAt - Date.now())
+    });
+    const job = queue.enqueue("flaky", {});
+    for (let i = 0; i < 3; i++) {
+      await queue.drain();
+      job.nextAttemptAt = 0;
+    }
+    assert.equal(delays.length, 3);
+    // 1s, 2s, then 4s capped to 3s, each +/-20%
+    for (const [delay, exp] of delays.map((d, i) => [d, [1000, 2000, 3000][i]])) {
+      assert.ok(delay >= exp * 0.8 - 50 && delay <= exp * 1.2, `delay ${delay} for ${exp}`);
+    }
+  });
+
+  it("dead-letters after maxAttempts, or at once for a non-retryable error", async (t) => {
+    const settled = [];
+    const { filePath, queue } = tempQueue(t, {
+      handlers: {
+        flaky: async () => { throw new Error("down"); },
+        rejected: async () => { throw new JobError("bad payload", { retryable: false, status: 422 }); }
+      },
+      baseDelayMs: 0,
+      maxAttempts: 2,
+      onSettled: (job, { status }) => settled.push(job.type + ":" + status)
+    });
+    queue.enqueue("rejected", {});
+    queue.enqueue("flaky", {});
+    await queue.drain();
+
+    assert.deepEqual(settled, ["rejected:dead", "flaky:retry", "flaky:dead"]);
+    assert.equal(queue.pending().length, 0);
+    assert.deepEqual(queue.dead().map((j) => [j.type, j.attempts, j.lastError, typeof j.deadAt]), [
+      ["rejected", 1, "bad payload", "string"],
+      ["flaky", 2, "down", "string"]
+    ]);
+    // The dead-letter list survives a restart
+    const reloaded = createJobQueue({ name: "test-queue", filePath, handlers: {} });
+    assert.equal(reloaded.dead().length, 2);
+  });
+
+  it("requeues a dead job with its attempts reset and runs it again", async (t) => {
+    let fail = true;
+    const runs = [];
+    const { queue } = tempQueue(t, {
+      handlers: { work: async (payload, job) => {
+        runs.push(job.attempts);
+        if (fail) throw new JobError("rejected", { retryable: false });
+        return payload.n;
+      } }
+    });
+    const { id } = queue.enqueue("work", { n: 1 });
+    await queue.drain();
+    assert.equal(queue.dead().length, 1);
+
+    fail = false;
+    assert.deepEqual(queue.retryDead("missing"), []);
+    assert.deepEqual(queue.retryDead(id), [id]);
+    assert.equal(queue.dead().length, 0);
+    assert.equal("deadAt" in queue.pending()[0], false);
+    await waitFor(() => queue.pending().length === 0, { message: "requeued job to run" });
+    assert.deepEqual(runs, [1, 1]);
+  });
+});
+
+describe("admin queue routes", () => {
+  const stack = useServer({
+    stubs: { forth: () => startForthStub({ contacts: { 5553330001: [{ id: 31 }] } }) },
+    env: ({ forth }) => ({ FORTH_BASE_URL: forth.url, ADMIN_TOKEN })
+  });
+
+  const admin = async (method, route) => {
+    const r = await fetch(stack.server.url + route, { method, headers: { "X-Admin-Token": ADMIN_TOKEN } });
+    return { status: r.status, body: await r.json() };
+  };
+
+  // A disposition whose Forth call write is rejected once (4xx, not retried) and so dead-letters
+  async function deadJob(callId) {
+    stack.forth.on("POST", /^\/v1\/calls$/, () => ({ status: 422, body: { message: "invalid call" } }), { once: true });
+    const res = await stack.server.post("/convoso/disposition", { phone_number: "5553330001", call_id: callId, call_type: "INBOUND", disposition: "SALE" });
+    assert.equal(res.status, 202);
+    const [id] = res.body.job_ids;
+    return waitFor(async () => (await admin("GET", "/admin/queue")).body.dead.find((j) => j.id === id), { message: "dead job " + callId });
+  }
+
+  it("lists a dead job, shows it, and retries it into Forth", async () => {
+    const job = await deadJob("Q-1");
+    assert.match(job.lastError, /422/);
+
+    const shown = await admin("GET", "/admin/queue/dead/" + job.id);
+    assert.deepEqual([shown.status, shown.body.job.id], [200, job.id]);
+
+    const retried = await admin("POST", `/admin/queue/dead/${job.id}/retry`);
+    assert.deepEqual(retried.body, { ok: true, requeued: [job.id] });
+    await waitForRequests(stack.forth, "POST", /^\/v1\/calls$/, 2);
+    await waitFor(async () => (await admin("GET", "/admin/queue")).body.pending.length === 0, { message: "retried job to finish" });
+    assert.equal((await admin("GET", "/admin/queue/dead/" + job.id)).status, 404);
+  });
+
+  it("purges a dead job", async () => {
+    const job = await deadJob("Q-2");
+    assert.deepEqual((await admin("DELETE", "/admin/queue/dead/" + job.id)).body, { ok: true, purged: 1 });
+    assert.equal((await admin("DELETE", "/admin/queue/dead/" + job.id)).status, 404);
+  });
+
+  it("rejects an unknown queue and a missing admin token", async () => {
+    assert.equal((await admin("GET", "/admin/queue?queue=nope")).status, 400);
+    assert.equal((await admin("POST", "/admin/queue/dead/nope/retry")).status, 404);
+    assert.equal((await fetch(stack.server.url + "/admin/queue")).status, 401);
+  });
+});
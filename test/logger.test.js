@@ -0,0 +1,59 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { createLogger, redact, redactString } = require("../lib/logger");
+
+describe("log redaction", () => {
+  it("masks secrets in query strings", () => {
+    assert.equal(
+      redactString("GET https://api.convoso.com/v1/log/retrieve?auth_token=abc123&limit=5 failed"),
+      "GET https://api.convoso.com/v1/log/retrieve?auth_token=[REDACTED]&limit=5 failed"
+    );
+    assert.equal(redactString("refresh: access_token=eyJhbGci.x.y client_secret=s3cr3t"), "refresh: access_token=[REDACTED] client_secret=[REDACTED]");
+  });
+
+  it("masks phones after a phone-named key", () => {
+    assert.equal(redactString("retrieve?auth_token=abc&phone_number=5551234567&limit=5"), "retrieve?auth_token=[REDACTED]&phone_number=***4567&limit=5");
+    assert.equal(redactString("GET /v1/contacts/search_by_phone/5551234567 HTTP 500"), "GET /v1/contacts/search_by_phone/***4567 HTTP 500");
+    assert.equal(redactString('body {"phone":"5551234567","lead_id":"123"}'), 'body {"phone":"***4567","lead_id":"123"}');
+    assert.equal(redactString("phone_number:5551234567"), "phone_number:***4567");
+  });
+
+  it("masks phone-formatted values anywhere", () => {
+    assert.equal(redactString("caller +15551234567 hung up"), "caller ***4567 hung up");
+    assert.equal(redactString("call (555) 123-4567 or 555.123.4568 or 1-555-123-4569"), "call ***4567 or ***4568 or ***4569");
+  });
+
+  it("leaves timestamps, ids and dates alone", () => {
+    const text = "job 1767225600123 for lead 100200300400 at 2026-03-03 10:00:00, call log 9876543210";
+    assert.equal(redactString(text), text);
+  });
+
+  it("applies the field policy to nested objects and errors", () => {
+    assert.deepEqual(redact({
+      phone_number: "+1 (555) 123-4567",
+      auth_token: "abc",
+      agent_comment: "call back Friday",
+      lead_id: "1234567890",
+      started_ms: 1767225600123,
+      nested: [{ caller_id: "5551234568" }],
+      error: new Error("search_by_phone/5551234569 returned 401")
+    }), {
+      phone_number: "***4567",
+      auth_token: "[REDACTED]",
+      agent_comment: "[REDACTED len=16]",
+      lead_id: "1234567890",
+      started_ms: 1767225600123,
+      nested: [{ caller_id: "***4568" }],
+      error: "search_by_phone/***4569 returned 401"
+    });
+  });
+
+  it("redacts the message and fields of every log line", () => {
+    const lines = [];
+    const log = createLogger({ write: (line) => lines.push(JSON.parse(line)) }).child({ component: "test" });
+    log.info("fetch https://x.test/?auth_token=abc failed for +15551234567", { phone: "5551234567", request_ms: 1767225600123 });
+    const [line] = lines;
+    assert.equal(line.msg, "fetch https://x.test/?auth_token=[REDACTED] failed for ***4567");
+    assert.deepEqual([line.component, line.phone, line.request_ms], ["test", "***4567", 1767225600123]);
+  });
+});
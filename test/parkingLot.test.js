@@ -0,0 +1,79 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { startForthStub } = require("./helpers/stubs");
+const { useServer, waitForRequests } = require("./helpers/suite");
+
+const ADMIN_TOKEN = "test-admin-token";
+
+describe("parking lot", () => {
+  const stack = useServer({
+    stubs: { forth: () => startForthStub() },
+    env: ({ forth }) => ({ FORTH_BASE_URL: forth.url, ADMIN_TOKEN, CONTACT_NEGATIVE_TTL_MS: "0" })
+  });
+
+  const admin = async (method, route, body) => {
+    const r = await fetch(stack.server.url + route, {
+      method,
+      headers: { "X-Admin-Token": ADMIN_TOKEN, ...(body ? { "Content-Type": "application/json" } : {}) },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: r.status, body: await r.json() };
+  };
+
+  // A disposition for a phone with no Forth contact; resolves with the parked event's id
+  async function park(phone, callId) {
+    const res = await stack.server.post("/convoso/disposition", { phone_number: phone, call_id: callId, lead_id: "LP-" + callId, call_type: "INBOUND", disposition: "SALE" });
+    assert.deepEqual([res.status, res.body.parked], [200, true], JSON.stringify(res.body));
+    return res.body.parked_id;
+  }
+
+  const parked = async (id) => (await admin("GET", "/admin/parked")).body.events.find((e) => e.id === id);
+
+  it("parks an event with no matching contact and writes nothing", async () => {
+    const id = await park("5558880001", "PK-1");
+    const event = await parked(id);
+    assert.deepEqual(
+      [event.status, event.route, event.phone_last4, event.lead_id, event.write, event.attached_to ?? null],
+      ["parked", "disposition", "0001", "LP-PK-1", "forth.createCall", null]
+    );
+    assert.equal((await admin("GET", "/admin/parked/" + id)).body.event.convoso.call_id, "PK-1");
+    assert.equal(stack.forth.find("POST", /^\/v1\/calls$/).length, 0);
+  });
+
+  it("attaches a parked event once its contact appears in Forth", async () => {
+    const id = await park("5558880002", "PK-2");
+    const idle = await admin("POST", "/admin/parked/reconcile");
+    assert.equal(idle.body.attached, 0);
+
+    stack.forth.contacts["5558880002"] = [{ id: 82 }];
+    const pass = await admin("POST", "/admin/parked/reconcile");
+    assert.equal(pass.body.attached, 1);
+
+    const event = await parked(id);
+    assert.deepEqual([event.status, event.attached_to, event.lookups, event.job_ids.length], ["attached", [82], 2, 1]);
+    const [call] = await waitForRequests(stack.forth, "POST", /^\/v1\/calls$/);
+    assert.equal(call.body.contactID, 82);
+  });
+
+  it("force-attaches a parked event to a given contact, once", async () => {
+    const id = await park("5558880003", "PK-3");
+    assert.equal((await admin("POST", `/admin/parked/${id}/attach`, {})).status, 400);
+
+    const attached = await admin("POST", `/admin/parked/${id}/attach`, { contact_id: "83" });
+    assert.deepEqual([attached.status, attached.body.attached_to, attached.body.job_ids.length], [200, "83", 1]);
+    const [call] = await waitForRequests(stack.forth, "POST", /^\/v1\/calls$/);
+    assert.equal(call.body.contactID, 83);
+    assert.equal((await admin("GET", "/admin/parked/" + id)).body.event.forced, true);
+
+    const again = await admin("POST", `/admin/parked/${id}/attach`, { contact_id: "84" });
+    assert.deepEqual([again.status, again.body.attached_to], [409, ["83"]]);
+    assert.equal((await admin("POST", "/admin/parked/nope/attach", { contact_id: "83" })).status, 404);
+  });
+
+  it("removes a parked event", async () => {
+    const id = await park("5558880004", "PK-4");
+    assert.deepEqual((await admin("DELETE", "/admin/parked/" + id)).body, { ok: true, removed: true });
+    assert.equal(await parked(id), undefined);
+    assert.equal((await admin("DELETE", "/admin/parked/" + id)).status, 404);
+  });
+});
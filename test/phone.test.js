@@ -0,0 +1,87 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { parsePhone, normalizePhone, phoneSearchCandidates, loadPhoneConfig } = require("../lib/phone");
+const { useServer } = require("./helpers/suite");
+
+const e164 = (raw, options) => parsePhone(raw, options)?.e164 ?? null;
+
+describe("phone normalization", () => {
+  it("reads US numbers however they are typed", () => {
+    for (const raw of ["5551230001", "(555) 123-0001", "1-555-123-0001", "+1 555 123 0001", "555.123.0001"]) {
+      assert.equal(e164(raw), "+15551230001", raw);
+    }
+    assert.equal(normalizePhone("15551230001"), "5551230001");
+    assert.equal(e164("555123"), null);
+  });
+
+  it("uses phone_code, a + prefix or the default country for international numbers", () => {
+    assert.equal(e164("07700 900123", { phoneCode: "44" }), "+447700900123");
+    assert.equal(e164("447700900123", { phoneCode: "44" }), "+447700900123");
+    assert.equal(e164("+44 7700 900123"), "+447700900123");
+    assert.equal(e164("0044 7700 900123"), "+447700900123");
+    assert.equal(e164("06 1234 5678", { phoneCode: "39" }), "+390612345678");
+    assert.equal(e164("0412 345 678", { defaultCallingCode: "61" }), "+61412345678");
+    assert.deepEqual(parsePhone("+52 55 1234 5678"), { e164: "+525512345678", countryCode: "52", national: "5512345678", extension: null, valid: true });
+  });
+
+  it("strips extensions", () => {
+    for (const raw of ["555-123-0001 x42", "5551230001 ext. 42", "(555) 123-0001 extension 42", "+15551230001;ext=42", "5551230001#42"]) {
+      const parsed = parsePhone(raw);
+      assert.deepEqual([parsed.e164, parsed.extension], ["+15551230001", "42"], raw);
+    }
+  });
+
+  it("lists search candidates in the configured order, national only for the default country", () => {
+    const formats = ["e164", "national", "e164_digits", "dashed"];
+    assert.deepEqual(phoneSearchCandidates(parsePhone("5551230001"), { formats }).map((c) => c.value), ["+15551230001", "5551230001", "15551230001", "555-123-0001"]);
+    assert.deepEqual(phoneSearchCandidates(parsePhone("+447700900123"), { formats }), [
+      { format: "e164", value: "+447700900123" },
+      { format: "e164_digits", value: "447700900123" }
+    ]);
+  });
+
+  it("refuses an unknown default country or search format", () => {
+    assert.deepEqual(loadPhoneConfig({ PHONE_DEFAULT_COUNTRY: "gb", PHONE_SEARCH_FORMATS: "e164, national" }), { defaultCountry: "GB", defaultCallingCode: "44", searchFormats: ["e164", "national"] });
+    assert.equal(loadPhoneConfig({ PHONE_DEFAULT_COUNTRY: "+353" }).defaultCallingCode, "353");
+    assert.throws(() => loadPhoneConfig({ PHONE_DEFAULT_COUNTRY: "Narnia" }), /PHONE_DEFAULT_COUNTRY: unknown country/);
+    assert.throws(() => loadPhoneConfig({ PHONE_SEARCH_FORMATS: "national,pretty" }), /PHONE_SEARCH_FORMATS: unknown format pretty/);
+  });
+});
+
+describe("Forth contact search by phone format", () => {
+  const stack = useServer();
+
+  beforeEach(() => {
+    stack.forth.contacts = {};
+  });
+
+  const dryRun = (body) => stack.server.post("/convoso/disposition", { call_type: "INBOUND", disposition: "SALE", ...body }, { headers: { "X-Dry-Run": "1" } });
+  const searched = () => stack.forth.find("GET", /^\/v1\/contacts\/search_by_phone\//).map((r) => decodeURIComponent(r.path.split("/").pop()));
+
+  it("finds a contact Forth stores in E.164 from a national number and phone_code", async () => {
+    stack.forth.contacts["+447700900123"] = [{ id: 81 }];
+    const res = await dryRun({ phone_number: "07700 900123", phone_code: "44", call_id: "P-1" });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.deepEqual(res.body.contact.contact_ids, [81]);
+    assert.equal(res.body.contact.matched_format, "e164");
+    assert.deepEqual(searched(), ["+447700900123"]);
+  });
+
+  it("tries each format in order and reports the one that matched", async () => {
+    stack.forth.contacts["555-123-0002"] = [{ id: 82 }];
+    const res = await dryRun({ phone_number: "(555) 123-0002 ext. 7", call_id: "P-2" });
+    assert.deepEqual(res.body.contact.contact_ids, [82]);
+    assert.equal(res.body.contact.matched_format, "dashed");
+    assert.deepEqual(searched(), ["5551230002", "+15551230002", "15551230002", "555-123-0002"]);
+
+    const again = await dryRun({ phone_number: "+1 555 123 0002", call_id: "P-3" });
+    assert.deepEqual([again.body.contact.cached, again.body.contact.matched_format], [true, "dashed"]);
+  });
+
+  it("previews a lead upsert whose contact search fails as would_fail", async () => {
+    stack.forth.on("GET", /^\/v1\/contacts\/search_by_phone\//, () => ({ status: 503, body: { message: "down" } }), { once: true });
+    const res = await stack.server.post("/convoso/lead-upsert", { phone_number: "5551230003", lead_id: "PL-1" }, { headers: { "X-Dry-Run": "1" } });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.deepEqual([res.body.decision, res.body.search_error, res.body.requests], ["would_fail", "Forth contact search failed", []]);
+  });
+});
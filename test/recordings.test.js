@@ -0,0 +1,78 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { waitFor } = require("./helpers/server");
+const { startForthStub, startConvosoStub } = require("./helpers/stubs");
+const { useServer, waitForRequests } = require("./helpers/suite");
+
+const ADMIN_TOKEN = "test-admin-token";
+
+// A connected Convoso call for phone, with no recording until a test adds one
+const callLog = (id, phone) => ({
+  id,
+  lead_id: "LR-" + id,
+  phone_number: phone,
+  call_type: "OUTBOUND",
+  status_name: "Answered",
+  term_reason: "AGENT",
+  call_length: "125",
+  call_date: "2026-03-04 09:00:00"
+});
+
+describe("recording attach queue", () => {
+  const stack = useServer({
+    stubs: { forth: () => startForthStub(), convoso: () => startConvosoStub() },
+    env: ({ forth, convoso }) => ({
+      FORTH_BASE_URL: forth.url,
+      CONVOSO_API_BASE: convoso.url,
+      CONVOSO_AUTH_TOKEN: "convoso-token",
+      RECORDINGS_ENABLED: "1",
+      RECORDING_RETRY_BASE_MS: "50",
+      RECORDING_MAX_ATTEMPTS: "4",
+      ADMIN_TOKEN
+    })
+  });
+
+  // Post a call-completed webhook for a new call log; resolves with the Forth call it created
+  async function completeCall(log) {
+    stack.convoso.callLogs.push(log);
+    stack.forth.contacts[log.phone_number] = [{ id: 90 }];
+    const res = await stack.server.post("/convoso/call-completed", { phone_number: log.phone_number, call_log_id: log.id, call_type: "OUTBOUND" });
+    assert.equal(res.status, 202, JSON.stringify(res.body));
+    const calls = await waitForRequests(stack.forth, "POST", /^\/v1\/calls$/);
+    return calls.find((c) => c.body.notes.includes(log.id));
+  }
+
+  const recordingQueue = async () => {
+    const r = await fetch(stack.server.url + "/admin/queue?queue=recordings", { headers: { "X-Admin-Token": ADMIN_TOKEN } });
+    return r.json();
+  };
+
+  it("sends a recording Convoso already has with the new call, without queueing a lookup", async () => {
+    const call = await completeCall({ ...callLog("CLR-1", "5554440101"), recording_url: "https://rec.example/CLR-1.mp3" });
+    assert.equal(call.body.recording_url, "https://rec.example/CLR-1.mp3");
+    await new Promise((r) => setTimeout(r, 200));
+    assert.equal(stack.forth.find("PUT", /^\/v1\/calls\//).length, 0);
+    assert.deepEqual((await recordingQueue()).pending, []);
+  });
+
+  it("re-checks Convoso until the recording appears, then updates the Forth call", async () => {
+    const log = callLog("CLR-2", "5554440102");
+    const call = await completeCall(log);
+    assert.equal(call.body.recording_url, undefined);
+
+    const [lookup] = await waitForRequests(stack.convoso, "GET", /^\/v1\/log\/retrieve$/, 2);
+    assert.equal(lookup.query.include_recordings, "1");
+    log.recording = [{ public_url: "https://rec.example/CLR-2.mp3" }];
+
+    const [update] = await waitForRequests(stack.forth, "PUT", /^\/v1\/calls\/[^/]+$/);
+    assert.deepEqual(update.body, { recording_url: "https://rec.example/CLR-2.mp3" });
+    await waitFor(async () => (await recordingQueue()).pending.length === 0, { message: "recording job to finish" });
+  });
+
+  it("dead-letters the lookup when the recording never shows up", async () => {
+    await completeCall(callLog("CLR-3", "5554440103"));
+    const dead = await waitFor(async () => (await recordingQueue()).dead.find((j) => j.meta.contact_id === 90 && j.attempts === 4), { message: "dead recording job" });
+    assert.equal(dead.lastError, "recording not available yet");
+    assert.equal(stack.forth.find("PUT", /^\/v1\/calls\//).length, 0);
+  });
+});
@@ -0,0 +1,78 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { compileReverseSyncRules, matchReverseSyncRules, DEFAULT_REVERSE_SYNC_RULES } = require("../lib/reverseSyncRules");
+const { startForthStub, startConvosoStub } = require("./helpers/stubs");
+const { WEBHOOK_SECRET } = require("./helpers/server");
+const { useServer, waitForRequests } = require("./helpers/suite");
+
+const defaults = compileReverseSyncRules(DEFAULT_REVERSE_SYNC_RULES);
+const rulesFor = (event) => matchReverseSyncRules(defaults, event).map((a) => a.rule);
+
+describe("reverse sync rules", () => {
+  it("matches the default rules on status or stage", () => {
+    for (const [event, expected] of [
+      [{ status: "Enrolled" }, ["enrolled"]],
+      [{ stage: " ENROLLED " }, ["enrolled"]],
+      [{ status: "Not Enrolled" }, []],
+      [{ status: "Unenrolled - pending" }, []],
+      [{ status: "Do Not Call" }, ["do_not_call"]],
+      [{ stage: "DNC" }, ["do_not_call"]],
+      [{ status: "Enrolled", stage: "DNC" }, ["do_not_call", "enrolled"]],
+      [{ type: "Enrolled" }, []]
+    ]) {
+      assert.deepEqual(rulesFor(event), expected, JSON.stringify(event));
+    }
+  });
+
+  it("refuses rules without a usable action", () => {
+    assert.throws(() => compileReverseSyncRules({ rules: [{ name: "x", values: ["a"], action: "update_status" }] }), /update_status needs status/);
+    assert.throws(() => compileReverseSyncRules({ rules: [{ name: "x", action: "dnc" }] }), /needs pattern or values/);
+    assert.throws(() => compileReverseSyncRules({ rules: [{ name: "x", values: ["a"], action: "dnc", fields: ["owner"] }] }), /unknown field owner/);
+  });
+});
+
+describe("POST /forth/contact-event", () => {
+  const stack = useServer({
+    stubs: { forth: () => startForthStub(), convoso: () => startConvosoStub() },
+    env: ({ forth, convoso }) => ({
+      FORTH_BASE_URL: forth.url,
+      FORTH_WEBHOOK_SECRETS: WEBHOOK_SECRET,
+      CONVOSO_API_BASE: convoso.url,
+      CONVOSO_AUTH_TOKEN: "convoso-token",
+      CONVOSO_QUEUE_BASE_DELAY_MS: "50"
+    })
+  });
+
+  it("sets the Convoso lead status for an enrolled contact, once per event id", async () => {
+    const event = { event_id: "FE-1", contact: { id: 501, status: "Enrolled" }, lead_id: "LD-501" };
+    const res = await stack.server.post("/forth/contact-event", event);
+    assert.equal(res.status, 202, JSON.stringify(res.body));
+    assert.deepEqual(res.body.rules, ["enrolled"]);
+    const [update] = await waitForRequests(stack.convoso, "POST", /^\/v1\/leads\/update$/);
+    assert.deepEqual(update.body, { auth_token: "convoso-token", lead_id: "LD-501", status: "ENROLLED" });
+
+    const again = await stack.server.post("/forth/contact-event", event);
+    assert.deepEqual(again.body, { ok: true, skipped: "Event already processed", deduped: true });
+  });
+
+  it("leaves a contact that is not enrolled alone", async () => {
+    const res = await stack.server.post("/forth/contact-event", { event_id: "FE-2", contact: { id: 502, status: "Not Enrolled" }, lead_id: "LD-502" });
+    assert.deepEqual(res.body, { ok: true, skipped: "No matching rule" });
+    await new Promise((r) => setTimeout(r, 200));
+    assert.equal(stack.convoso.requests.length, 0);
+  });
+
+  it("adds a do-not-call contact's phone to the Convoso DNC list", async () => {
+    const res = await stack.server.post("/forth/contact-event", { event_id: "FE-3", contact: { id: 503, status: "Do Not Call", phone: "(555) 777-0003" } });
+    assert.equal(res.status, 202, JSON.stringify(res.body));
+    const [dnc] = await waitForRequests(stack.convoso, "POST", /^\/v1\/dnc\/insert$/);
+    assert.equal(dnc.body.phone_number, "5557770003");
+  });
+
+  it("previews the actions on a dry run and needs a contact to act on", async () => {
+    const dry = await stack.server.post("/forth/contact-event", { event_id: "FE-4", contact: { id: 504, stage: "Enrolled" } }, { headers: { "X-Dry-Run": "1" } });
+    assert.deepEqual([dry.body.dry_run, dry.body.actions.map((a) => a.status)], [true, ["ENROLLED"]]);
+    const missing = await stack.server.post("/forth/contact-event", { event_id: "FE-5", status: "Enrolled" });
+    assert.equal(missing.status, 400);
+  });
+});
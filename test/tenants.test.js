@@ -0,0 +1,109 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { compileTenants, resolveTenant } = require("../lib/tenants");
+const { startForthStub } = require("./helpers/stubs");
+const { useServer, waitForRequests } = require("./helpers/suite");
+
+const DEFAULTS = { forthBaseUrl: "https://forth.example", secrets: ["shared"], forthWebhookSecrets: [], dispositionMap: { source: "default" } };
+
+describe("tenant config", () => {
+  const { tenants } = compileTenants({
+    tenants: [
+      { id: "acme", default: true, campaign_ids: [100], forth: { api_key: "a" } },
+      { id: "zenith", list_ids: ["200"], secrets: ["zenith-secret"], forth: { key_id: "env:ZENITH_KEY_ID", api_secret: "s" } }
+    ]
+  }, DEFAULTS, { ZENITH_KEY_ID: "zk" });
+
+  it("inherits the global secrets and reads env: references", () => {
+    assert.deepEqual(tenants[0].secrets, ["shared"]);
+    assert.equal(tenants[0].forth.baseUrl, "https://forth.example");
+    assert.equal(tenants[1].forth.keyId, "zk");
+  });
+
+  it("rejects a campaign routed to two tenants and a tenant without Forth credentials", () => {
+    assert.throws(() => compileTenants({ tenants: [{ id: "a", campaign_ids: [1], forth: { api_key: "k" } }, { id: "b", campaign_ids: [1], forth: { api_key: "k" } }] }, DEFAULTS), /campaign 1 already belongs to tenant a/);
+    assert.throws(() => compileTenants({ tenants: [{ id: "a", forth: {} }] }, DEFAULTS), /forth needs api_key/);
+  });
+
+  it("routes by path, campaign, list, tenant-only secret, then default", () => {
+    const both = ["acme", "zenith"];
+    assert.equal(resolveTenant(tenants, { pathTenant: "zenith", accepted: both }).tenant.id, "zenith");
+    assert.equal(resolveTenant(tenants, { accepted: both, campaignId: "100", listId: "200" }).via, "campaign_id");
+    assert.equal(resolveTenant(tenants, { accepted: both, listId: "200" }).tenant.id, "zenith");
+    assert.deepEqual(resolveTenant(tenants, { accepted: ["zenith"] }), { tenant: tenants[1], via: "secret" });
+    assert.deepEqual(resolveTenant(tenants, { accepted: ["acme"] }), { tenant: tenants[0], via: "default" });
+  });
+
+  it("never routes to a tenant whose secret did not authenticate the webhook", () => {
+    assert.deepEqual(resolveTenant(tenants, { accepted: ["acme"], listId: "200" }), { error: "Webhook secret is not valid for tenant zenith", status: 401 });
+    assert.equal(resolveTenant(tenants, { pathTenant: "nope", accepted: ["acme"] }).status, 404);
+  });
+});
+
+describe("multi-tenant webhooks", () => {
+  const stack = useServer({
+    stubs: {
+      acme: () => startForthStub({ contacts: { 5552220001: [{ id: 11 }] } }),
+      zenith: () => startForthStub({ contacts: { 5552220001: [{ id: 22 }] } })
+    },
+    env: ({ acme, zenith }) => ({
+      TENANTS_JSON: JSON.stringify({
+        tenants: [
+          { id: "acme", default: true, campaign_ids: ["100"], forth: { base_url: acme.url, key_id: "acme-id", api_secret: "acme-secret" } },
+          {
+            id: "zenith",
+            list_ids: ["200"],
+            secrets: ["zenith-secret"],
+            forth: { base_url: zenith.url, api_key: "env:ZENITH_FORTH_KEY" },
+            disposition_map: { default: { dispId: 9, call_result: "Zenith" }, rules: [{ name: "sale", values: ["SALE"], dispId: 7, call_result: "Sold" }] }
+          }
+        ]
+      }),
+      ZENITH_FORTH_KEY: "zenith-key"
+    }),
+    ready: ({ acme }) => waitForRequests(acme, "POST", /^\/v1\/auth\/token$/)
+  });
+
+  const call = { phone_number: "5552220001", call_type: "INBOUND" };
+  const zenithSecret = { headers: { "X-Shared-Secret": "zenith-secret" } };
+
+  it("routes a campaign to its tenant's Forth account with that tenant's token", async () => {
+    const res = await stack.server.post("/convoso/call-completed", { ...call, campaign_id: "100", call_log_id: "T-1" });
+    assert.equal(res.status, 202, JSON.stringify(res.body));
+    assert.equal(res.body.tenant, "acme");
+    const [created] = await waitForRequests(stack.acme, "POST", /^\/v1\/calls$/);
+    assert.equal(created.headers["api-key"], "tok-1");
+    assert.equal(created.body.contactID, 11);
+    assert.equal(stack.zenith.requests.length, 0);
+  });
+
+  it("routes a list to its tenant and maps with that tenant's disposition map", async () => {
+    const res = await stack.server.post("/convoso/disposition", { ...call, list_id: "200", disposition: "SALE", call_id: "T-2" }, zenithSecret);
+    assert.equal(res.status, 202, JSON.stringify(res.body));
+    const [created] = await waitForRequests(stack.zenith, "POST", /^\/v1\/calls$/);
+    assert.equal(created.headers["api-key"], "zenith-key");
+    assert.deepEqual([created.body.contactID, created.body.call_disposition, created.body.call_result], [22, 7, "Sold"]);
+    assert.equal(stack.acme.requests.length, 0);
+  });
+
+  it("rejects a list routed to a tenant when the webhook used another tenant's secret", async () => {
+    const res = await stack.server.post("/convoso/disposition", { ...call, list_id: "200", disposition: "SALE", call_id: "T-3" });
+    assert.deepEqual([res.status, res.body.error], [401, "Webhook secret is not valid for tenant zenith"]);
+  });
+
+  it("routes by URL path segment and by tenant-only secret", async () => {
+    const byPath = await stack.server.post("/tenants/zenith/convoso/disposition-set", { ...call, disposition: "SALE", call_id: "T-4" }, zenithSecret);
+    assert.equal(byPath.body.tenant, "zenith");
+    const bySecret = await stack.server.post("/convoso/disposition-set", { ...call, disposition: "SALE", call_id: "T-5" }, zenithSecret);
+    assert.equal(bySecret.body.tenant, "zenith");
+    const unknown = await stack.server.post("/tenants/nope/convoso/disposition-set", { ...call, disposition: "SALE", call_id: "T-6" });
+    assert.equal(unknown.status, 401);
+  });
+
+  it("counts webhooks per tenant", async () => {
+    const r = await fetch(stack.server.url + "/metrics");
+    const text = await r.text();
+    assert.match(text, /convoso_webhook_outcomes_total\{route="call-completed",tenant="acme",outcome="created"\} 1/);
+    assert.match(text, /forth_token_refresh_total\{tenant="acme",result="ok"\} 1/);
+  });
+});
@@ -0,0 +1,87 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseTimestamp, formatInTimeZone, pickTimestamp, loadTimeConfig } = require("../lib/timestamps");
+const { startForthStub } = require("./helpers/stubs");
+const { useServer } = require("./helpers/suite");
+
+const NY = "America/New_York";
+const iso = (value, tz) => new Date(parseTimestamp(value, tz).ms).toISOString();
+
+describe("timestamps", () => {
+  it("reads wall-clock times in the source timezone on both sides of DST", () => {
+    assert.equal(iso("2026-01-15 12:00:00", NY), "2026-01-15T17:00:00.000Z");
+    assert.equal(iso("2026-07-01 12:00:00", NY), "2026-07-01T16:00:00.000Z");
+    assert.equal(iso("03/02/2026 2:05 PM", NY), "2026-03-02T19:05:00.000Z");
+    assert.equal(iso("2026-03-02T14:00:00Z", NY), "2026-03-02T14:00:00.000Z");
+    assert.equal(iso("1772460000", NY), "2026-03-02T14:00:00.000Z");
+  });
+
+  it("flags times skipped or repeated by a DST change", () => {
+    assert.deepEqual(parseTimestamp("2026-03-08 02:30:00", NY), { ms: Date.parse("2026-03-08T07:30:00Z"), flag: "nonexistent" });
+    assert.deepEqual(parseTimestamp("2026-11-01 01:30:00", NY), { ms: Date.parse("2026-11-01T05:30:00Z"), flag: "ambiguous" });
+  });
+
+  it("rejects dates that are not real", () => {
+    for (const v of ["0000-00-00 00:00:00", "2026-02-30 10:00:00", "13/01/2026", "yesterday"]) {
+      assert.deepEqual(parseTimestamp(v, NY), { error: "unparseable" }, v);
+    }
+  });
+
+  it("formats for the target timezone and falls through unparseable fields", () => {
+    assert.equal(formatInTimeZone(Date.parse("2026-07-01T16:00:00Z"), "America/Los_Angeles"), "2026-07-01 09:00:00");
+    const picked = pickTimestamp([
+      { field: "created_at", value: "0000-00-00 00:00:00", timeZone: NY },
+      { field: "call_end_time", value: "", timeZone: NY },
+      { field: "log.call_date", value: "2026-07-01 12:00:00", timeZone: "UTC" }
+    ], NY);
+    assert.deepEqual([picked.value, picked.field, picked.rejected.map((r) => r.field)], ["2026-07-01 08:00:00", "log.call_date", ["created_at"]]);
+    assert.equal(pickTimestamp([], "UTC", 0).flag, "defaulted_to_now");
+  });
+
+  it("refuses an unknown timezone", () => {
+    assert.throws(() => loadTimeConfig({ CONVOSO_WEBHOOK_TZ: "Mars/Olympus" }), /CONVOSO_WEBHOOK_TZ: unknown timezone/);
+    assert.deepEqual(loadTimeConfig({ CONVOSO_WEBHOOK_TZ: NY }), { webhookTimeZone: NY, apiTimeZone: NY, forthTimeZone: "UTC" });
+  });
+});
+
+describe("Forth created_at timezones", () => {
+  const stack = useServer({
+    stubs: { forth: () => startForthStub({ contacts: { 5554440001: [{ id: 41 }] } }) },
+    env: ({ forth }) => ({ FORTH_BASE_URL: forth.url, CONVOSO_WEBHOOK_TZ: NY, FORTH_TZ: "America/Los_Angeles" })
+  });
+
+  const dryRun = (body) => stack.server.post("/convoso/disposition", { phone_number: "5554440001", call_type: "INBOUND", disposition: "SALE", ...body }, { headers: { "X-Dry-Run": "1" } });
+
+  it("converts the webhook time from the Convoso timezone to the Forth timezone", async () => {
+    const res = await dryRun({ call_id: "TZ-1", created_at: "2026-07-01 12:00:00" });
+    assert.equal(res.body.requests[0].body.created_at, "2026-07-01 09:00:00");
+    assert.deepEqual([res.body.created_at.field, res.body.created_at.flag], ["created_at", null]);
+  });
+
+  it("reports an unparseable time and stamps the call with the current time instead", async () => {
+    const res = await dryRun({ call_id: "TZ-2", created_at: "0000-00-00 00:00:00" });
+    assert.deepEqual(res.body.created_at.rejected, [{ field: "created_at", value: "0000-00-00 00:00:00", error: "unparseable" }]);
+    assert.equal(res.body.created_at.flag, "defaulted_to_now");
+    assert.match(res.body.requests[0].body.created_at, /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/);
+  });
+
+  it("reads call_start_time first and flags a time repeated when clocks go back", async () => {
+    const res = await dryRun({ call_id: "TZ-3", call_start_time: "2026-11-01 01:30:00", created_at: "2026-11-01 02:00:00" });
+    // The first 01:30 (EDT) is 05:30Z, still PDT in Los Angeles
+    assert.equal(res.body.requests[0].body.created_at, "2026-10-31 22:30:00");
+    assert.deepEqual([res.body.created_at.field, res.body.created_at.flag], ["call_start_time", "ambiguous"]);
+  });
+
+  it("dedupes a disposition without call_id on the call's UTC instant, however the time was written", async () => {
+    const post = (callStartTime) => stack.server.post("/convoso/disposition", {
+      phone_number: "5554440001", lead_id: "LD-TZ", call_type: "INBOUND", disposition: "SALE", call_start_time: callStartTime
+    });
+    // 03:30 on the spring-forward day is EDT, so 07:30Z
+    const first = await post("2026-03-08 03:30:00");
+    assert.equal(first.status, 202);
+    const second = await post("2026-03-08T07:30:00Z");
+    assert.deepEqual([second.status, second.body.deduped], [200, true]);
+    const other = await post("2026-03-08T08:30:00Z");
+    assert.equal(other.status, 202);
+  });
+});
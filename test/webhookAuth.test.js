@@ -0,0 +1,33 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { logger } = require("../lib/logger");
+const { createWebhookAuth } = require("../lib/webhookAuth");
+
+const SECRET = "hmac-secret";
+const log = logger.child({ component: "test" });
+
+function signedRequest(body, { ts = String(Math.floor(Date.now() / 1000)), signature = null } = {}) {
+  const sig = signature ?? crypto.createHmac("sha256", SECRET).update(ts + "." + body).digest("hex");
+  const headers = { "x-signature": sig, "x-signature-timestamp": ts };
+  return { rawBody: Buffer.from(body), get: (name) => headers[name.toLowerCase()] };
+}
+
+describe("HMAC webhook auth", () => {
+  it("accepts a signature once, however it is cased or prefixed", () => {
+    const auth = createWebhookAuth({ secrets: [SECRET], mode: "hmac", log });
+    const req = signedRequest('{"call_log_id":"H-1"}');
+    const [sig, ts] = [req.get("X-Signature"), req.get("X-Signature-Timestamp")];
+    assert.equal(auth.verify(req).ok, true);
+
+    for (const replayed of [sig, sig.toUpperCase(), " sha256=" + sig.toUpperCase() + " "]) {
+      const result = auth.verify(signedRequest('{"call_log_id":"H-1"}', { ts, signature: replayed }));
+      assert.deepEqual(result, { ok: false, reason: "signature replayed" }, replayed);
+    }
+  });
+
+  it("rejects a signature made with another secret", () => {
+    const auth = createWebhookAuth({ secrets: ["other-secret"], mode: "hmac", log });
+    assert.deepEqual(auth.verify(signedRequest("{}")), { ok: false, reason: "bad signature" });
+  });
+});
@@ -0,0 +1,181 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startForthStub, startConvosoStub } = require("./helpers/stubs");
+const { useServer, waitForRequests } = require("./helpers/suite");
+
+const FIXTURES = path.join(__dirname, "fixtures");
+const callLogs = require("./fixtures/convoso/call-logs.json");
+const payloads = fs
+  .readdirSync(path.join(FIXTURES, "payloads"))
+  .filter((f) => f.endsWith(".json"))
+  .map((f) => require(path.join(FIXTURES, "payloads", f)));
+
+function postFixture(server, route, fixture) {
+  return server.post(route, fixture.body, { form: fixture.content_type === "form" });
+}
+
+// Every call log fixture maps to this Forth call body (contactID aside)
+function expectedCall(log) {
+  return {
+    created_at: log.call_date,
+    call_type: "Outgoing",
+    call_disposition: 2,
+    call_result: "Connected",
+    notes: `Direction: Outgoing | Interested, call back Friday | ConvosoLogID:${log.id} | Status:Answered | Term:AGENT | Len:125s`,
+    duration: "00:02:05",
+    event_id: 0
+  };
+}
+
+describe("POST /convoso/call-completed", () => {
+  const stack = useServer({
+    stubs: { forth: () => startForthStub(), convoso: () => startConvosoStub({ callLogs }) },
+    env: ({ forth, convoso }) => ({
+      FORTH_BASE_URL: forth.url,
+      CONVOSO_API_BASE: convoso.url,
+      CONVOSO_AUTH_TOKEN: "convoso-token",
+      CONTACT_NEGATIVE_TTL_MS: "0"
+    })
+  });
+
+  beforeEach(() => {
+    stack.forth.contacts = {};
+  });
+
+  for (const fixture of payloads) {
+    it("turns a " + fixture.input_type + " payload into the exact Forth call", async () => {
+      const log = callLogs.find((l) => JSON.stringify(fixture.body).includes(l.id));
+      stack.forth.contacts[log.phone_number] = [{ id: 70 }];
+
+      const res = await postFixture(stack.server, "/convoso/call-completed", fixture);
+      assert.equal(res.status, 202, JSON.stringify(res.body));
+      assert.equal(res.body.write, "call");
+      assert.deepEqual(res.body.enrichment, { convoso_log_id: log.id, method: "call_log_id", confidence: "exact", delta_sec: null });
+
+      const parsed = stack.server.logs.filter((l) => l.msg === "webhook parsed").pop();
+      assert.equal(parsed.input_type, fixture.input_type);
+
+      const [retrieve] = stack.convoso.find("GET", /^\/v1\/log\/retrieve$/);
+      assert.equal(retrieve.query.phone_number, log.phone_number);
+      assert.equal(retrieve.query.auth_token, "convoso-token");
+
+      const [call] = await waitForRequests(stack.forth, "POST", /^\/v1\/calls$/);
+      assert.equal(call.headers["api-key"], "static-key");
+      assert.deepEqual(call.body, { contactID: 70, ...expectedCall(log) });
+    });
+  }
+
+  it("parks the event and writes nothing when no Forth contact matches", async () => {
+    const res = await stack.server.post("/convoso/call-completed", { phone_number: "5559990001", call_type: "INBOUND", call_log_id: "MISS-1" });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.parked, true);
+    assert.equal(res.body.skipped, "No matching contact in Forth");
+    assert.equal(stack.forth.find("GET", /^\/v1\/contacts\/search_by_phone\/5559990001$/).length, 1);
+    await new Promise((r) => setTimeout(r, 200));
+    assert.equal(stack.forth.find("POST", /^\/v1\//).length, 0);
+  });
+
+  it("writes a contact note instead of a call when direction is missing", async () => {
+    stack.forth.contacts["5559990002"] = [{ id: 71 }];
+    const res = await stack.server.post("/convoso/call-completed", {
+      phone_number: "5559990002",
+      call_log_id: "NODIR-1",
+      created_at: "2026-03-02 15:00:00",
+      duration: 42,
+      notes: "Left voicemail"
+    });
+    assert.equal(res.status, 202, JSON.stringify(res.body));
+    assert.equal(res.body.write, "note");
+
+    const [note] = await waitForRequests(stack.forth, "POST", /^\/v1\/contacts\/71\/notes$/);
+    assert.deepEqual(note.body, {
+      content: "⚠️ Direction MISSING (Convoso did not send call_type). Call was NOT logged as a Call in Forth because call_type is required."
+        + " | call_log_id:NODIR-1 | call_date:2026-03-02 15:00:00 | duration:42s | phone_number:5559990002 | Left voicemail",
+      note_type: 1,
+      public: true
+    });
+    assert.equal(stack.forth.find("POST", /^\/v1\/calls$/).length, 0);
+  });
+
+  it("writes a replayed call_log_id to Forth only once", async () => {
+    const log = callLogs[0];
+    stack.forth.contacts[log.phone_number] = [{ id: 72 }];
+    const body = { phone_number: log.phone_number, call_log_id: "DEDUPE-1", call_type: "OUTBOUND" };
+
+    const first = await stack.server.post("/convoso/call-completed", body);
+    const second = await stack.server.post("/convoso/call-completed", body);
+    assert.equal(first.status, 202);
+    assert.deepEqual(second.body, { ok: true, skipped: "Call already processed", deduped: true });
+
+    await waitForRequests(stack.forth, "POST", /^\/v1\/calls$/);
+    await new Promise((r) => setTimeout(r, 200));
+    assert.equal(stack.forth.find("POST", /^\/v1\/calls$/).length, 1);
+  });
+
+  it("writes a replayed webhook without call_log_id once, deduped on the Convoso call log it matched", async () => {
+    const log = { ...callLogs[0], id: "CL2001", lead_id: "LD20", phone_number: "5551239001", call_date: "2026-03-03 10:00:00" };
+    stack.convoso.callLogs = [...callLogs, log];
+    stack.forth.contacts[log.phone_number] = [{ id: 73 }];
+    const body = { phone_number: log.phone_number, lead_id: log.lead_id, call_start_time: "2026-03-03 10:00:30", call_type: "OUTBOUND" };
+
+    try {
+      const first = await stack.server.post("/convoso/call-completed", body);
+      assert.equal(first.status, 202, JSON.stringify(first.body));
+      assert.equal(first.body.enrichment.convoso_log_id, "CL2001");
+      const second = await stack.server.post("/convoso/call-completed", body);
+      assert.deepEqual(second.body, { ok: true, skipped: "Call already processed", deduped: true });
+
+      await waitForRequests(stack.forth, "POST", /^\/v1\/calls$/);
+      await new Promise((r) => setTimeout(r, 200));
+      assert.equal(stack.forth.find("POST", /^\/v1\/calls$/).length, 1);
+    } finally {
+      stack.convoso.callLogs = callLogs;
+    }
+  });
+
+  it("rejects webhooks without the shared secret", async () => {
+    const res = await stack.server.post("/convoso/call-completed", { phone_number: "5559990003" }, { headers: { "X-Shared-Secret": "wrong" } });
+    assert.equal(res.status, 401);
+    assert.equal(stack.forth.requests.length, 0);
+  });
+});
+
+describe("Forth token lifecycle", () => {
+  // Recorded requests are cleared before each test, so keep the startup refresh
+  let startupRefresh;
+  const stack = useServer({
+    stubs: { forth: () => startForthStub({ contacts: { 5559990010: [{ id: 80 }] } }) },
+    env: ({ forth }) => ({
+      FORTH_BASE_URL: forth.url,
+      FORTH_API_KEY: "",
+      FORTH_KEY_ID: "key-id",
+      FORTH_API_SECRET: "key-secret"
+    }),
+    ready: async ({ forth }) => {
+      [startupRefresh] = await waitForRequests(forth, "POST", /^\/v1\/auth\/token$/);
+    }
+  });
+
+  it("refreshes a token on startup with the key id and secret", () => {
+    assert.deepEqual(startupRefresh.body, { client_id: "key-id", client_secret: "key-secret" });
+  });
+
+  it("refreshes and retries once when Forth rejects the token", async () => {
+    stack.forth.on("GET", /^\/v1\/contacts\/search_by_phone\//, () => ({ status: 401, body: { message: "expired" } }), { once: true });
+
+    const res = await stack.server.post("/convoso/disposition", { phone_number: "5559990010", disposition: "Sale", call_id: "TOKEN-1", call_type: "INBOUND" });
+    assert.equal(res.status, 202, JSON.stringify(res.body));
+
+    const searches = stack.forth.find("GET", /^\/v1\/contacts\/search_by_phone\/5559990010$/);
+    assert.deepEqual(searches.map((r) => r.headers["api-key"]), ["tok-1", "tok-2"]);
+    assert.equal(stack.forth.find("POST", /^\/v1\/auth\/token$/).length, 1);
+
+    const [call] = await waitForRequests(stack.forth, "POST", /^\/v1\/calls$/);
+    assert.equal(call.headers["api-key"], "tok-2");
+    assert.equal(call.body.contactID, 80);
+    assert.equal(call.body.call_type, "Incoming");
+    assert.equal(call.body.notes, "Convoso - Disposition: Sale | phone=5559990010");
+  });
+});